@@ -4,6 +4,7 @@ import Layout from './components/Layout';
 import Home from './pages/Home';
 import MeetingDetail from './pages/MeetingDetail';
 import Analytics from './pages/Analytics';
+import Search from './pages/Search';
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -90,6 +91,7 @@ function App() {
         <Route path="/" element={<Layout />}>
           <Route index element={<Home />} />
           <Route path="meeting/:id" element={<MeetingDetail />} />
+          <Route path="search" element={<Search />} />
           <Route path="analytics" element={<Analytics />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Route>
@@ -30,10 +30,24 @@ export const api = {
     getMeetings: (params) => apiClient.get('/meetings', { params }),
     getMeeting: (id) => apiClient.get(`/meetings/${id}`),
     getTranscript: (id) => apiClient.get(`/meetings/${id}/transcript`),
+    getTranscriptSegments: (id) =>
+        apiClient.get(`/meetings/${id}/transcript`, { params: { format: 'segments' } }),
     getSummary: (id) => apiClient.get(`/meetings/${id}/summary`),
-    getAudio: (id) => `${API_BASE_URL}/meetings/${id}/audio`,
+    getMediaToken: (id) => apiClient.get(`/meetings/${id}/media-token`),
+    // <audio> cannot send the Authorization header, so media URLs carry a token from getMediaToken
+    getAudio: (id, userId, token) => {
+        const params = new URLSearchParams();
+        if (userId) params.set('userId', userId);
+        if (token) params.set('token', token);
+        const query = params.toString();
+        return `${API_BASE_URL}/meetings/${id}/audio${query ? `?${query}` : ''}`;
+    },
+    getTracks: (id) => apiClient.get(`/meetings/${id}/tracks`),
     getParticipants: (id) => apiClient.get(`/meetings/${id}/participants`),
 
+    // Search
+    search: (params) => apiClient.get('/search', { params }),
+
     // Analytics
     getUserSpeakingTime: (params) => apiClient.get('/analytics/user-speaking-time', { params }),
     getAnalyticsSummary: (params) => apiClient.get('/analytics/summary', { params }),
@@ -1,45 +1,159 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useLayoutEffect, useImperativeHandle } from 'react';
 
-export default function AudioPlayer({ audioUrl }) {
+// Tracks further apart than this (in seconds) are pulled back onto the clock track
+const DRIFT_TOLERANCE = 0.15;
+
+// Playback URLs ask for inline delivery so the browser can stream and seek with range requests
+const withInline = (url) => `${url}${url.includes('?') ? '&' : '?'}inline=true`;
+
+/**
+ * Audio player for a meeting recording
+ * Plays the mixdown, or, when per-speaker tracks are given, plays them in
+ * sync so individual speakers can be muted or soloed
+ * @param {string} audioUrl - Mixdown URL, including its media token
+ * @param {Array} tracks - Per-speaker tracks ({ userId, username, url }), URLs including their media token
+ * @param {number} startAt - Position in seconds to cue up once the audio loads (optional)
+ * @param {Function} onTimeUpdate - Receives the playback position in seconds; pass a stable function (optional)
+ * @param {Function} onError - Called when a source fails to load, e.g. with an expired media token (optional)
+ * @param {Object} ref - Exposes seek(seconds) so other components can move playback
+ */
+export default function AudioPlayer({ audioUrl, tracks = [], startAt = null, onTimeUpdate, onError, ref }) {
     const [isPlaying, setIsPlaying] = useState(false);
     const [currentTime, setCurrentTime] = useState(0);
     const [duration, setDuration] = useState(0);
-    const audioRef = useRef(null);
+    const [muted, setMuted] = useState(() => new Set());
+    const [soloed, setSoloed] = useState(() => new Set());
+    const audioRefs = useRef(new Map());
+    // Where playback was, so it can continue after the source URLs change
+    const resumeRef = useRef({ urls: null, time: 0, playing: false });
+
+    const multiTrack = tracks.length > 0;
+    const sources = multiTrack
+        ? tracks.map((track) => ({ id: track.userId, url: withInline(track.url) }))
+        : [{ id: 'mixdown', url: withInline(audioUrl) }];
+    const sourceKey = sources.map((source) => source.id).join('|');
+    const sourceUrls = sources.map((source) => source.url).join('|');
+
+    // The first source drives the clock; the others follow it
+    const getClock = () => audioRefs.current.get(sources[0].id);
+    const getAudios = () => sources.map((source) => audioRefs.current.get(source.id)).filter(Boolean);
 
     useEffect(() => {
-        const audio = audioRef.current;
-        if (!audio) return;
+        const audios = sourceKey.split('|').map((id) => audioRefs.current.get(id)).filter(Boolean);
+        const clock = audios[0];
+        if (!clock) return;
+
+        const updateTime = () => {
+            resumeRef.current.time = clock.currentTime;
+            setCurrentTime(clock.currentTime);
+            onTimeUpdate?.(clock.currentTime);
+
+            for (const audio of audios.slice(1)) {
+                if (!audio.paused && Math.abs(audio.currentTime - clock.currentTime) > DRIFT_TOLERANCE) {
+                    audio.currentTime = clock.currentTime;
+                }
+            }
+        };
+        const updateDuration = () => {
+            setDuration(clock.duration);
 
-        const updateTime = () => setCurrentTime(audio.currentTime);
-        const updateDuration = () => setDuration(audio.duration);
-        const handleEnded = () => setIsPlaying(false);
+            if (startAt !== null && clock.currentTime === 0) {
+                audios.forEach((audio) => {
+                    audio.currentTime = startAt;
+                });
+                setCurrentTime(startAt);
+            }
+        };
+        const handleEnded = () => {
+            audios.forEach((audio) => audio.pause());
+            resumeRef.current.playing = false;
+            setIsPlaying(false);
+        };
 
-        audio.addEventListener('timeupdate', updateTime);
-        audio.addEventListener('loadedmetadata', updateDuration);
-        audio.addEventListener('ended', handleEnded);
+        clock.addEventListener('timeupdate', updateTime);
+        clock.addEventListener('loadedmetadata', updateDuration);
+        clock.addEventListener('ended', handleEnded);
 
         return () => {
-            audio.removeEventListener('timeupdate', updateTime);
-            audio.removeEventListener('loadedmetadata', updateDuration);
-            audio.removeEventListener('ended', handleEnded);
+            clock.removeEventListener('timeupdate', updateTime);
+            clock.removeEventListener('loadedmetadata', updateDuration);
+            clock.removeEventListener('ended', handleEnded);
         };
-    }, []);
+    }, [sourceKey, startAt, onTimeUpdate]);
+
+    // A refreshed media token changes the URLs, which reloads every element
+    // from the start; put playback back where it was once they have loaded.
+    // Runs as a layout effect so the position is read before the reload resets it
+    useLayoutEffect(() => {
+        const resume = resumeRef.current;
+        const previousUrls = resume.urls;
+        resume.urls = sourceUrls;
+        if (previousUrls === null || previousUrls === sourceUrls) return;
+
+        const { time, playing } = resume;
+        const audios = sourceKey.split('|').map((id) => audioRefs.current.get(id)).filter(Boolean);
+        const restorers = audios.map((audio) => {
+            const restore = () => {
+                audio.currentTime = time;
+                if (playing) audio.play();
+            };
+            audio.addEventListener('loadedmetadata', restore, { once: true });
+            return () => audio.removeEventListener('loadedmetadata', restore);
+        });
+
+        return () => restorers.forEach((remove) => remove());
+    }, [sourceUrls, sourceKey]);
+
+    // Soloing any track silences every track that is not soloed
+    const isSilenced = (id) => (soloed.size > 0 ? !soloed.has(id) : muted.has(id));
 
     const togglePlayPause = () => {
-        const audio = audioRef.current;
+        const audios = getAudios();
         if (isPlaying) {
-            audio.pause();
+            audios.forEach((audio) => audio.pause());
         } else {
-            audio.play();
+            const time = getClock().currentTime;
+            audios.forEach((audio) => {
+                audio.currentTime = time;
+                audio.play();
+            });
         }
+        resumeRef.current.playing = !isPlaying;
         setIsPlaying(!isPlaying);
     };
 
-    const handleSeek = (e) => {
-        const audio = audioRef.current;
-        const newTime = (e.target.value / 100) * duration;
-        audio.currentTime = newTime;
+    const seekTo = (newTime) => {
+        getAudios().forEach((audio) => {
+            audio.currentTime = newTime;
+        });
         setCurrentTime(newTime);
+        onTimeUpdate?.(newTime);
+    };
+
+    const handleSeek = (e) => {
+        seekTo((e.target.value / 100) * duration);
+    };
+
+    // Seeking from outside (e.g. a transcript row) also starts playback
+    useImperativeHandle(ref, () => ({
+        seek: (newTime) => {
+            seekTo(newTime);
+            getAudios().forEach((audio) => audio.play());
+            resumeRef.current.playing = true;
+            setIsPlaying(true);
+        },
+    }));
+
+    const toggleIn = (setter, id) => {
+        setter((previous) => {
+            const next = new Set(previous);
+            if (next.has(id)) {
+                next.delete(id);
+            } else {
+                next.add(id);
+            }
+            return next;
+        });
     };
 
     const formatTime = (seconds) => {
@@ -50,15 +164,26 @@ export default function AudioPlayer({ audioUrl }) {
 
     const progress = duration > 0 ? (currentTime / duration) * 100 : 0;
 
-    // Add API key to audio URL
-    const apiKey = localStorage.getItem('apiKey');
-    const authenticatedUrl = `${audioUrl}${audioUrl.includes('?') ? '&' : '?'}auth=${apiKey}`;
-
     return (
         <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
             <h3 className="text-lg font-semibold text-white mb-4">🎧 Audio Recording</h3>
 
-            <audio ref={audioRef} src={authenticatedUrl} preload="metadata" />
+            {sources.map((source) => (
+                <audio
+                    key={source.id}
+                    ref={(element) => {
+                        if (element) {
+                            audioRefs.current.set(source.id, element);
+                        } else {
+                            audioRefs.current.delete(source.id);
+                        }
+                    }}
+                    src={source.url}
+                    onError={onError}
+                    muted={multiTrack && isSilenced(source.id)}
+                    preload="metadata"
+                />
+            ))}
 
             <div className="space-y-4">
                 <div className="flex items-center gap-4">
@@ -92,8 +217,48 @@ export default function AudioPlayer({ audioUrl }) {
                     </div>
                 </div>
 
+                {multiTrack && (
+                    <div className="divide-y divide-gray-700 border border-gray-700 rounded-md">
+                        {tracks.map((track) => (
+                            <div key={track.userId} className="flex items-center gap-3 px-4 py-2">
+                                <span
+                                    className={`flex-1 text-sm ${isSilenced(track.userId) ? 'text-gray-500' : 'text-white'}`}
+                                >
+                                    {track.username || track.userId}
+                                </span>
+                                <button
+                                    onClick={() => toggleIn(setMuted, track.userId)}
+                                    className={`px-2 py-1 text-xs font-medium rounded transition-colors ${muted.has(track.userId)
+                                            ? 'bg-red-600 text-white'
+                                            : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                                        }`}
+                                >
+                                    M
+                                </button>
+                                <button
+                                    onClick={() => toggleIn(setSoloed, track.userId)}
+                                    className={`px-2 py-1 text-xs font-medium rounded transition-colors ${soloed.has(track.userId)
+                                            ? 'bg-yellow-500 text-black'
+                                            : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                                        }`}
+                                >
+                                    S
+                                </button>
+                                <a
+                                    href={track.url}
+                                    download
+                                    className="text-gray-400 hover:text-white transition-colors"
+                                    title={`Download ${track.username || track.userId}'s track`}
+                                >
+                                    📥
+                                </a>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
                 <a
-                    href={authenticatedUrl}
+                    href={audioUrl}
                     download
                     className="inline-flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition-colors"
                 >
@@ -26,6 +26,12 @@ export default function Navbar() {
                             >
                                 Meetings
                             </Link>
+                            <Link
+                                to="/search"
+                                className={`px-3 py-2 rounded-md text-sm font-medium ${isActive('/search')}`}
+                            >
+                                Search
+                            </Link>
                             <Link
                                 to="/analytics"
                                 className={`px-3 py-2 rounded-md text-sm font-medium ${isActive('/analytics')}`}
@@ -1,9 +1,81 @@
-import { useState } from 'react';
+import { useState, useRef, useEffect } from 'react';
+import { formatTimestamp } from '../utils/formatters';
 
-export default function TranscriptViewer({ transcript }) {
+const SPEAKER_COLORS = [
+    'bg-blue-600',
+    'bg-green-600',
+    'bg-purple-600',
+    'bg-pink-600',
+    'bg-orange-600',
+    'bg-teal-600',
+    'bg-red-600',
+    'bg-indigo-600',
+];
+
+// Keep an utterance highlighted briefly after it ends, so short pauses don't flicker
+const HIGHLIGHT_GRACE_SECONDS = 1.5;
+
+// Stable colour per speaker, so the same person looks the same everywhere
+const speakerColor = (speakerKey) => {
+    let hash = 0;
+    for (const char of String(speakerKey)) {
+        hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    }
+    return SPEAKER_COLORS[Math.abs(hash) % SPEAKER_COLORS.length];
+};
+
+const initials = (name) =>
+    String(name || '?')
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 2)
+        .map((part) => part[0].toUpperCase())
+        .join('');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Position of a segment in the meeting audio; older meetings only have transcript offsets
+const segmentStart = (segment) => segment.audioStart ?? segment.start;
+const segmentEnd = (segment) => segment.audioEnd ?? segment.end;
+
+/**
+ * Meeting transcript
+ * Renders per-utterance segments as rows when available; clicking a row
+ * seeks the audio, and the utterance being played is highlighted and
+ * kept in view. Falls back to the plain-text transcript otherwise
+ * @param {string} transcript - Plain-text transcript
+ * @param {Array} segments - Transcript segments (optional)
+ * @param {number} currentTime - Audio playback position in seconds (optional)
+ * @param {Function} onSeek - Called with a position in seconds when a row is clicked (optional)
+ */
+export default function TranscriptViewer({ transcript, segments = [], currentTime = null, onSeek }) {
     const [searchTerm, setSearchTerm] = useState('');
+    const [followPlayback, setFollowPlayback] = useState(true);
+    const containerRef = useRef(null);
+    const rowRefs = useRef(new Map());
 
-    if (!transcript) {
+    let activeIndex = -1;
+    if (currentTime !== null) {
+        for (let i = 0; i < segments.length && segmentStart(segments[i]) <= currentTime; i++) {
+            if (currentTime <= segmentEnd(segments[i]) + HIGHLIGHT_GRACE_SECONDS) {
+                activeIndex = i;
+            }
+        }
+    }
+
+    useEffect(() => {
+        const container = containerRef.current;
+        const row = rowRefs.current.get(activeIndex);
+        if (!followPlayback || !container || !row) return;
+
+        // Scroll the transcript panel only, keeping the row in the upper third
+        const rowTop = row.offsetTop - container.offsetTop;
+        if (rowTop < container.scrollTop || rowTop + row.offsetHeight > container.scrollTop + container.clientHeight) {
+            container.scrollTo({ top: rowTop - container.clientHeight / 3, behavior: 'smooth' });
+        }
+    }, [activeIndex, followPlayback]);
+
+    if (!transcript && segments.length === 0) {
         return (
             <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
                 <p className="text-gray-400">Transcript not available</p>
@@ -14,9 +86,9 @@ export default function TranscriptViewer({ transcript }) {
     const highlightText = (text) => {
         if (!searchTerm) return text;
 
-        const regex = new RegExp(`(${searchTerm})`, 'gi');
+        const regex = new RegExp(`(${escapeRegExp(searchTerm)})`, 'gi');
         return text.split(regex).map((part, i) =>
-            regex.test(part) ? (
+            part.toLowerCase() === searchTerm.toLowerCase() ? (
                 <mark key={i} className="bg-yellow-500 text-black">
                     {part}
                 </mark>
@@ -28,21 +100,76 @@ export default function TranscriptViewer({ transcript }) {
 
     return (
         <div className="bg-gray-800 rounded-lg border border-gray-700">
-            <div className="p-4 border-b border-gray-700">
+            <div className="p-4 border-b border-gray-700 flex items-center gap-4">
                 <input
                     type="text"
                     placeholder="Search transcript..."
                     value={searchTerm}
                     onChange={(e) => setSearchTerm(e.target.value)}
-                    className="w-full px-4 py-2 bg-gray-700 text-white rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    className="flex-1 px-4 py-2 bg-gray-700 text-white rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
+                {segments.length > 0 && onSeek && (
+                    <label className="flex items-center gap-2 text-sm text-gray-400 whitespace-nowrap">
+                        <input
+                            type="checkbox"
+                            checked={followPlayback}
+                            onChange={(e) => setFollowPlayback(e.target.checked)}
+                        />
+                        Follow playback
+                    </label>
+                )}
             </div>
 
-            <div className="p-6 max-h-[600px] overflow-y-auto">
-                <pre className="whitespace-pre-wrap text-gray-300 text-sm font-mono">
-                    {highlightText(transcript)}
-                </pre>
-            </div>
+            {segments.length > 0 ? (
+                <div ref={containerRef} className="p-2 max-h-[600px] overflow-y-auto">
+                    {segments.map((segment, index) => {
+                        const speakerKey = segment.speakerId || segment.speaker;
+                        const isActive = index === activeIndex;
+
+                        return (
+                            <div
+                                key={segment.index ?? index}
+                                ref={(element) => {
+                                    if (element) {
+                                        rowRefs.current.set(index, element);
+                                    } else {
+                                        rowRefs.current.delete(index);
+                                    }
+                                }}
+                                onClick={() => onSeek?.(segmentStart(segment))}
+                                className={`flex items-start gap-3 px-4 py-3 rounded-md transition-colors ${onSeek ? 'cursor-pointer' : ''} ${isActive
+                                        ? 'bg-blue-900/40 ring-1 ring-blue-500'
+                                        : 'hover:bg-gray-700/50'
+                                    }`}
+                            >
+                                <div
+                                    className={`w-9 h-9 flex-shrink-0 flex items-center justify-center rounded-full text-xs font-semibold text-white ${speakerColor(speakerKey)}`}
+                                    title={segment.speaker}
+                                >
+                                    {initials(segment.speaker)}
+                                </div>
+                                <div className="flex-1 min-w-0">
+                                    <div className="flex items-baseline gap-2">
+                                        <span className="text-sm font-medium text-white">{segment.speaker}</span>
+                                        <span className="text-xs text-gray-500 font-mono">
+                                            {formatTimestamp(segmentStart(segment))}
+                                        </span>
+                                    </div>
+                                    <p className={`text-sm ${isActive ? 'text-white' : 'text-gray-300'}`}>
+                                        {highlightText(segment.text)}
+                                    </p>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            ) : (
+                <div className="p-6 max-h-[600px] overflow-y-auto">
+                    <pre className="whitespace-pre-wrap text-gray-300 text-sm font-mono">
+                        {highlightText(transcript)}
+                    </pre>
+                </div>
+            )}
         </div>
     );
 }
@@ -1,24 +1,68 @@
-import { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import { api } from '../api/client';
 import TranscriptViewer from '../components/TranscriptViewer';
 import SummaryPanel from '../components/SummaryPanel';
 import AudioPlayer from '../components/AudioPlayer';
 import { formatDateTime, formatDuration } from '../utils/formatters';
 
+// Media tokens are renewed this long before they expire, so long playback keeps working
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// A failing audio source fetches a new token at most this often
+const TOKEN_ERROR_RETRY_MS = 60 * 1000;
+
 export default function MeetingDetail() {
     const { id } = useParams();
+    const [searchParams] = useSearchParams();
+    // Search results link to a moment in the meeting with ?t=<seconds>
+    const startAt = searchParams.has('t') ? Number(searchParams.get('t')) || 0 : null;
     const [meeting, setMeeting] = useState(null);
     const [transcript, setTranscript] = useState(null);
+    const [segments, setSegments] = useState([]);
+    const [playbackTime, setPlaybackTime] = useState(startAt);
     const [participants, setParticipants] = useState([]);
+    const [tracks, setTracks] = useState([]);
+    const [mediaToken, setMediaToken] = useState(null);
+    const [mediaTokenExpiresAt, setMediaTokenExpiresAt] = useState(null);
+    const lastTokenRetry = useRef(0);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
-    const [activeTab, setActiveTab] = useState('summary');
+    const [activeTab, setActiveTab] = useState(startAt !== null ? 'transcript' : 'summary');
+    const playerRef = useRef(null);
 
     useEffect(() => {
         loadMeetingData();
     }, [id]);
 
+    // Audio URLs need a short-lived token, since <audio> cannot send the API key
+    const refreshMediaToken = useCallback(async () => {
+        try {
+            const tokenResponse = await api.getMediaToken(id);
+            setMediaToken(tokenResponse.data.data.token);
+            setMediaTokenExpiresAt(new Date(tokenResponse.data.data.expiresAt).getTime());
+        } catch (err) {
+            console.error('Failed to get media token:', err);
+        }
+    }, [id]);
+
+    useEffect(() => {
+        if (!mediaTokenExpiresAt) return undefined;
+
+        const timer = setTimeout(
+            refreshMediaToken,
+            Math.max(0, mediaTokenExpiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS)
+        );
+        return () => clearTimeout(timer);
+    }, [mediaTokenExpiresAt, refreshMediaToken]);
+
+    // Covers a token that expired while the timer could not run (e.g. a sleeping laptop)
+    const handleAudioError = useCallback(() => {
+        if (Date.now() - lastTokenRetry.current < TOKEN_ERROR_RETRY_MS) return;
+        lastTokenRetry.current = Date.now();
+        refreshMediaToken();
+    }, [refreshMediaToken]);
+
     const loadMeetingData = async () => {
         setLoading(true);
         setError(null);
@@ -34,6 +78,40 @@ export default function MeetingDetail() {
                 } catch (err) {
                     console.error('Failed to load transcript:', err);
                 }
+
+                // Segments are missing for meetings transcribed before they were stored
+                try {
+                    const segmentsResponse = await api.getTranscriptSegments(id);
+                    setSegments(segmentsResponse.data.data.segments);
+                } catch {
+                    setSegments([]);
+                }
+            }
+
+            if (meetingResponse.data.data.hasAudio || meetingResponse.data.data.trackCount > 0) {
+                await refreshMediaToken();
+            } else {
+                setMediaToken(null);
+                setMediaTokenExpiresAt(null);
+            }
+
+            // Load per-speaker tracks for the multi-track player
+            if (meetingResponse.data.data.trackCount > 0) {
+                try {
+                    const tracksResponse = await api.getTracks(id);
+                    setTracks(
+                        tracksResponse.data.data.tracks
+                            .filter((track) => track.available)
+                            .map((track) => ({
+                                userId: track.userId,
+                                username: track.username,
+                            }))
+                    );
+                } catch (err) {
+                    console.error('Failed to load audio tracks:', err);
+                }
+            } else {
+                setTracks([]);
             }
 
             // Load participants
@@ -50,6 +128,12 @@ export default function MeetingDetail() {
         }
     };
 
+    // Built on each render so they pick up a refreshed media token
+    const audioTracks = tracks.map((track) => ({
+        ...track,
+        url: api.getAudio(id, track.userId, mediaToken),
+    }));
+
     if (loading) {
         return (
             <div className="text-center py-12">
@@ -154,7 +238,26 @@ export default function MeetingDetail() {
             <div className="mt-6">
                 {activeTab === 'summary' && <SummaryPanel summary={meeting.summary} />}
 
-                {activeTab === 'transcript' && <TranscriptViewer transcript={transcript} />}
+                {activeTab === 'transcript' && (
+                    <div className="space-y-4">
+                        {meeting.hasAudio && segments.length > 0 && (
+                            <AudioPlayer
+                                ref={playerRef}
+                                audioUrl={api.getAudio(id, null, mediaToken)}
+                                tracks={audioTracks}
+                                startAt={startAt}
+                                onTimeUpdate={setPlaybackTime}
+                                onError={handleAudioError}
+                            />
+                        )}
+                        <TranscriptViewer
+                            transcript={transcript}
+                            segments={segments}
+                            currentTime={meeting.hasAudio ? playbackTime : null}
+                            onSeek={meeting.hasAudio ? (time) => playerRef.current?.seek(time) : undefined}
+                        />
+                    </div>
+                )}
 
                 {activeTab === 'participants' && (
                     <div className="bg-gray-800 rounded-lg border border-gray-700 overflow-hidden">
@@ -210,7 +313,11 @@ export default function MeetingDetail() {
                 )}
 
                 {activeTab === 'audio' && meeting.hasAudio && (
-                    <AudioPlayer audioUrl={api.getAudio(id)} />
+                    <AudioPlayer
+                        audioUrl={api.getAudio(id, null, mediaToken)}
+                        tracks={audioTracks}
+                        onError={handleAudioError}
+                    />
                 )}
             </div>
         </div>
@@ -0,0 +1,224 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { api } from '../api/client';
+import { formatDateTime, formatTimestamp } from '../utils/formatters';
+
+const HIT_LABELS = {
+    transcript: '📝 Transcript',
+    executiveSummary: '📋 Summary',
+    keyPoint: '💡 Key point',
+    actionItem: '✅ Action item',
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Highlight search terms, including word endings the stemmed index matched
+const highlightTerms = (text, terms) => {
+    if (!terms || terms.length === 0) return text;
+
+    const regex = new RegExp(`((?:${terms.map(escapeRegExp).join('|')})\\w*)`, 'gi');
+    return text.split(regex).map((part, i) =>
+        i % 2 === 1 ? (
+            <mark key={i} className="bg-yellow-500 text-black">
+                {part}
+            </mark>
+        ) : (
+            part
+        )
+    );
+};
+
+export default function Search() {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const query = searchParams.get('q') || '';
+    const page = Math.max(1, parseInt(searchParams.get('page')) || 1);
+
+    const [input, setInput] = useState(query);
+    const [results, setResults] = useState([]);
+    const [terms, setTerms] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [totalPages, setTotalPages] = useState(1);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!query) return;
+
+        let cancelled = false;
+
+        const runSearch = async () => {
+            setLoading(true);
+            setError(null);
+
+            try {
+                const response = await api.search({ q: query, page, limit: 20 });
+                if (cancelled) return;
+                setResults(response.data.data.results);
+                setTerms(response.data.data.terms);
+                setTotal(response.data.meta.total);
+                setTotalPages(response.data.meta.totalPages);
+            } catch (err) {
+                if (!cancelled) {
+                    setError(err.response?.data?.message || 'Search failed');
+                }
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        runSearch();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [query, page]);
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        if (input.trim()) {
+            setSearchParams({ q: input.trim() });
+        }
+    };
+
+    const goToPage = (newPage) => {
+        setSearchParams({ q: query, page: String(newPage) });
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between">
+                <h1 className="text-3xl font-bold text-white">Search</h1>
+            </div>
+
+            <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
+                <form onSubmit={handleSearch} className="flex gap-4">
+                    <input
+                        type="text"
+                        placeholder='Search transcripts, key points and action items (use "quotes" for phrases)'
+                        value={input}
+                        onChange={(e) => setInput(e.target.value)}
+                        className="flex-1 px-4 py-2 bg-gray-700 text-white rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button
+                        type="submit"
+                        className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md transition-colors"
+                    >
+                        Search
+                    </button>
+                </form>
+            </div>
+
+            {/* Loading state */}
+            {loading && (
+                <div className="text-center py-12">
+                    <div className="inline-block w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+                    <p className="mt-4 text-gray-400">Searching...</p>
+                </div>
+            )}
+
+            {/* Error state */}
+            {error && (
+                <div className="bg-red-900/20 border border-red-500 rounded-lg p-4">
+                    <p className="text-red-400">{error}</p>
+                </div>
+            )}
+
+            {/* Results */}
+            {query && !loading && !error && (
+                <>
+                    {results.length === 0 ? (
+                        <div className="text-center py-12">
+                            <p className="text-gray-400">No matches for &ldquo;{query}&rdquo;</p>
+                        </div>
+                    ) : (
+                        <div className="space-y-4">
+                            <p className="text-sm text-gray-400">
+                                {total} meeting{total === 1 ? '' : 's'} matched &ldquo;{query}&rdquo;
+                            </p>
+
+                            {results.map((result) => (
+                                <div
+                                    key={result.meeting.id}
+                                    className="bg-gray-800 rounded-lg p-6 border border-gray-700"
+                                >
+                                    <div className="flex items-start justify-between mb-3">
+                                        <Link
+                                            to={`/meeting/${result.meeting.id}`}
+                                            className="text-lg font-semibold text-white hover:text-blue-400 transition-colors"
+                                        >
+                                            {result.meeting.title}
+                                        </Link>
+                                        <span className="text-sm text-gray-400">
+                                            {formatDateTime(result.meeting.startTime)}
+                                        </span>
+                                    </div>
+
+                                    <ul className="space-y-2">
+                                        {result.hits.map((hit, index) => (
+                                            <li key={index} className="text-sm">
+                                                {hit.type === 'transcript' ? (
+                                                    <Link
+                                                        to={`/meeting/${result.meeting.id}?t=${Math.floor(hit.audioStart ?? hit.start)}`}
+                                                        className="block rounded-md px-3 py-2 hover:bg-gray-700/50 transition-colors"
+                                                    >
+                                                        <span className="text-gray-500 font-mono mr-2">
+                                                            {formatTimestamp(hit.audioStart ?? hit.start)}
+                                                        </span>
+                                                        <span className="text-white font-medium mr-2">{hit.speaker}:</span>
+                                                        <span className="text-gray-300">
+                                                            {highlightTerms(hit.snippet, terms)}
+                                                        </span>
+                                                    </Link>
+                                                ) : (
+                                                    <div className="px-3 py-2">
+                                                        <span className="text-gray-500 mr-2">{HIT_LABELS[hit.type]}</span>
+                                                        <span className="text-gray-300">
+                                                            {highlightTerms(hit.snippet, terms)}
+                                                        </span>
+                                                    </div>
+                                                )}
+                                            </li>
+                                        ))}
+                                    </ul>
+
+                                    {result.hitCount > result.hits.length && (
+                                        <p className="mt-2 px-3 text-xs text-gray-500">
+                                            +{result.hitCount - result.hits.length} more matches in this meeting
+                                        </p>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Pagination */}
+                    {totalPages > 1 && (
+                        <div className="flex items-center justify-center gap-2 mt-8">
+                            <button
+                                onClick={() => goToPage(Math.max(1, page - 1))}
+                                disabled={page === 1}
+                                className="px-4 py-2 bg-gray-700 text-white rounded-md disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-600 transition-colors"
+                            >
+                                Previous
+                            </button>
+
+                            <span className="text-gray-400">
+                                Page {page} of {totalPages}
+                            </span>
+
+                            <button
+                                onClick={() => goToPage(Math.min(totalPages, page + 1))}
+                                disabled={page === totalPages}
+                                className="px-4 py-2 bg-gray-700 text-white rounded-md disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-600 transition-colors"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -60,6 +60,20 @@ export function formatDuration(seconds) {
     return parts.join(' ');
 }
 
+/**
+ * Format a playback position as a clock timestamp (e.g., "4:05" or "1:02:09")
+ * @param {number} seconds - Position in seconds
+ * @returns {string} Formatted timestamp
+ */
+export function formatTimestamp(seconds) {
+    const total = Math.floor(seconds || 0);
+    const hours = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    const mmss = `${mins.toString().padStart(hours > 0 ? 2 : 1, '0')}:${secs.toString().padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
 /**
  * Format relative time (e.g., "2 hours ago")
  * @param {string|Date} date - Date to format
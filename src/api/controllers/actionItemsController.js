@@ -0,0 +1,165 @@
+import actionItemService from '../../services/actionItemService.js';
+import mongoService from '../../services/mongoService.js';
+import ActionItem, { ACTION_ITEM_STATUSES } from '../../models/ActionItem.js';
+import { getPaginationParams, buildPaginationMeta } from '../utils/pagination.js';
+import { successResponse, formatActionItem } from '../utils/responseFormatter.js';
+import { ApiError, asyncHandler } from '../utils/errorHandler.js';
+
+/**
+ * Parse an optional due date from a request body
+ * @param {*} value - ISO date string, null to clear, or undefined
+ * @returns {Date|null|undefined}
+ * @throws {ApiError} If the value is not a valid date
+ */
+function parseDueDate(value) {
+    if (value === undefined || value === null) {
+        return value;
+    }
+
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+        throw new ApiError(400, 'dueDate must be an ISO 8601 date', { field: 'dueDate' });
+    }
+
+    return date;
+}
+
+/**
+ * Check a task description from a request body
+ * @param {*} task - Task value
+ * @throws {ApiError} If the task is empty or too long
+ */
+function validateTask(task) {
+    if (typeof task !== 'string' || !task.trim() || task.length > 1000) {
+        throw new ApiError(400, 'task must be a non-empty string of at most 1000 characters', {
+            field: 'task',
+        });
+    }
+}
+
+/**
+ * List action items
+ * GET /api/v1/action-items
+ * Query params:
+ *   - page, limit: Pagination (default: 1, 20)
+ *   - guildId: Filter by guild
+ *   - status: open | done | cancelled | all (default: all)
+ *   - assigneeId: Filter by assignee Discord user ID
+ *   - meetingId: Filter by meeting
+ * Open items come first, soonest due first
+ */
+export const listActionItems = asyncHandler(async (req, res) => {
+    const { page, limit, skip } = getPaginationParams(req.query);
+    const { guildId, status, assigneeId, meetingId } = req.query;
+
+    if (status && status !== 'all' && !ACTION_ITEM_STATUSES.includes(status)) {
+        throw new ApiError(400, `Invalid status: ${status}`, {
+            validStatuses: [...ACTION_ITEM_STATUSES, 'all'],
+        });
+    }
+
+    const { items, total } = await actionItemService.list(
+        { guildId, status, assigneeId, meetingId },
+        { skip, limit }
+    );
+
+    res.json(successResponse(items.map(formatActionItem), buildPaginationMeta(page, limit, total)));
+});
+
+/**
+ * Get a single action item
+ * GET /api/v1/action-items/:id
+ */
+export const getActionItem = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const item = await ActionItem.findByItemId(id);
+
+    if (!item) {
+        throw new ApiError(404, 'Action item not found', { itemId: id });
+    }
+
+    res.json(successResponse(formatActionItem(item)));
+});
+
+/**
+ * Add an action item
+ * POST /api/v1/action-items
+ * Body: { guildId, task, meetingId?, assigneeName?, assigneeId?, dueDate? }
+ * The assignee is resolved to a Discord user from the name when no ID is given
+ */
+export const createActionItem = asyncHandler(async (req, res) => {
+    const { guildId, task, meetingId, assigneeName, assigneeId, dueDate } = req.body || {};
+
+    if (!guildId) {
+        throw new ApiError(400, 'guildId is required', { field: 'guildId' });
+    }
+    validateTask(task);
+
+    if (meetingId) {
+        const meeting = await mongoService.findMeeting(meetingId);
+        if (!meeting || meeting.guildId !== guildId) {
+            throw new ApiError(404, 'Meeting not found in this guild', { meetingId, guildId });
+        }
+    }
+
+    const item = await actionItemService.create({
+        guildId,
+        meetingId,
+        task: task.trim(),
+        assigneeName,
+        assigneeId,
+        dueDate: parseDueDate(dueDate) || undefined,
+        createdBy: 'api',
+    });
+
+    res.status(201).json(successResponse(formatActionItem(item)));
+});
+
+/**
+ * Update an action item
+ * PATCH /api/v1/action-items/:id
+ * Body: any of { task, assigneeName, assigneeId, dueDate, status }; null clears a field
+ */
+export const updateActionItem = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { task, assigneeName, assigneeId, dueDate, status } = req.body || {};
+
+    if (task !== undefined) {
+        validateTask(task);
+    }
+
+    if (status !== undefined && !ACTION_ITEM_STATUSES.includes(status)) {
+        throw new ApiError(400, `Invalid status: ${status}`, { validStatuses: ACTION_ITEM_STATUSES });
+    }
+
+    const updates = { assigneeName, assigneeId, dueDate: parseDueDate(dueDate), status };
+    if (task !== undefined) {
+        updates.task = task.trim();
+    }
+    Object.keys(updates).forEach((key) => updates[key] === undefined && delete updates[key]);
+
+    const item = await actionItemService.update(id, updates, 'api');
+
+    if (!item) {
+        throw new ApiError(404, 'Action item not found', { itemId: id });
+    }
+
+    res.json(successResponse(formatActionItem(item)));
+});
+
+/**
+ * Delete an action item
+ * DELETE /api/v1/action-items/:id
+ */
+export const deleteActionItem = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deleted = await actionItemService.remove(id);
+
+    if (!deleted) {
+        throw new ApiError(404, 'Action item not found', { itemId: id });
+    }
+
+    res.json(successResponse({ id, deleted: true }));
+});
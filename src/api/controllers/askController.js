@@ -0,0 +1,67 @@
+import embeddingService from '../../services/embeddingService.js';
+import logger from '../../utils/logger.js';
+import { successResponse } from '../utils/responseFormatter.js';
+import { ApiError, asyncHandler } from '../utils/errorHandler.js';
+
+/**
+ * Answer a question about a guild's past meetings
+ * POST /api/v1/ask
+ * Body: { "question": "...", "guildId": "...", "limit": 6 }
+ * Retrieves the most similar transcript chunks and answers from them,
+ * citing meeting IDs and timestamps
+ */
+export const askQuestion = asyncHandler(async (req, res) => {
+    const { question, guildId, limit } = req.body || {};
+
+    if (typeof question !== 'string' || !question.trim()) {
+        throw new ApiError(400, 'Question is required', { field: 'question' });
+    }
+
+    if (!guildId) {
+        throw new ApiError(400, 'guildId is required', { field: 'guildId' });
+    }
+
+    const result = await embeddingService.ask(question.trim(), {
+        guildId,
+        limit: Math.min(20, Math.max(1, parseInt(limit) || embeddingService.topK)),
+    });
+
+    res.json(
+        successResponse(
+            {
+                question: question.trim(),
+                answer: result.answer,
+                citations: result.citations.map((citation) => ({
+                    ...citation,
+                    url: `/api/v1/meetings/${citation.meetingId}`,
+                })),
+            },
+            {
+                provider: result.provider,
+                model: result.model,
+                citationCount: result.citations.length,
+            }
+        )
+    );
+});
+
+/**
+ * Build missing embeddings for a guild's meetings
+ * POST /api/v1/ask/reindex
+ * Body: { "guildId": "..." }
+ * Indexes meetings transcribed before semantic search was enabled,
+ * or after the guild switched embedding provider
+ */
+export const reindexEmbeddings = asyncHandler(async (req, res) => {
+    const { guildId } = req.body || {};
+
+    if (!guildId) {
+        throw new ApiError(400, 'guildId is required', { field: 'guildId' });
+    }
+
+    const indexed = await embeddingService.indexMissing(guildId);
+
+    logger.info('Embeddings reindexed via API', { guildId, indexed });
+
+    res.json(successResponse({ guildId, indexed }));
+});
@@ -0,0 +1,105 @@
+import guildConfigService from '../../services/guildConfigService.js';
+import summaryService, { SUMMARY_PROVIDERS } from '../../services/summaryService.js';
+import transcriptionService, { TRANSCRIPTION_BACKENDS } from '../../services/transcriptionService.js';
+import { EMBEDDING_PROVIDERS } from '../../services/embeddingService.js';
+import logger from '../../utils/logger.js';
+import { successResponse } from '../utils/responseFormatter.js';
+import { ApiError, asyncHandler } from '../utils/errorHandler.js';
+
+/**
+ * Get effective configuration for a guild
+ * GET /api/v1/guilds/:guildId/config
+ * Stored overrides are merged over environment defaults
+ */
+export const getGuildConfig = asyncHandler(async (req, res) => {
+    const { guildId } = req.params;
+
+    const config = await guildConfigService.getConfig(guildId);
+
+    res.json(successResponse({ ...config, guildId }, {
+        availableSummaryProviders: SUMMARY_PROVIDERS,
+        availableTranscriptionBackends: TRANSCRIPTION_BACKENDS,
+        availableEmbeddingProviders: EMBEDDING_PROVIDERS,
+    }));
+});
+
+/**
+ * Update configuration overrides for a guild
+ * PATCH /api/v1/guilds/:guildId/config
+ * Body: partial config, e.g. { "summarization": { "provider": "extractive" } }
+ * Setting a field to null restores the default
+ */
+export const updateGuildConfig = asyncHandler(async (req, res) => {
+    const { guildId } = req.params;
+    const updates = req.body || {};
+
+    if (typeof updates !== 'object' || Array.isArray(updates)) {
+        throw new ApiError(400, 'Request body must be a JSON object');
+    }
+
+    const provider = updates.summarization?.provider;
+    if (provider != null && !SUMMARY_PROVIDERS.includes(provider)) {
+        throw new ApiError(400, `Invalid summary provider: ${provider}`, {
+            validProviders: SUMMARY_PROVIDERS,
+        });
+    }
+
+    const backend = updates.transcription?.backend;
+    if (backend != null && !TRANSCRIPTION_BACKENDS.includes(backend)) {
+        throw new ApiError(400, `Invalid transcription backend: ${backend}`, {
+            validBackends: TRANSCRIPTION_BACKENDS,
+        });
+    }
+
+    const embeddingProvider = updates.embeddings?.provider;
+    if (embeddingProvider != null && !EMBEDDING_PROVIDERS.includes(embeddingProvider)) {
+        throw new ApiError(400, `Invalid embedding provider: ${embeddingProvider}`, {
+            validProviders: EMBEDDING_PROVIDERS,
+        });
+    }
+
+    const disallowedBaseUrls = guildConfigService.findDisallowedBaseUrls(updates);
+    if (disallowedBaseUrls.length > 0) {
+        throw new ApiError(400, 'Base URL overrides must be listed in ALLOWED_BASE_URLS', {
+            fields: disallowedBaseUrls,
+        });
+    }
+
+    const voiceChannelIds = updates.autoRecord?.voiceChannelIds;
+    if (
+        voiceChannelIds != null &&
+        (!Array.isArray(voiceChannelIds) || voiceChannelIds.some((id) => typeof id !== 'string'))
+    ) {
+        throw new ApiError(400, 'autoRecord.voiceChannelIds must be an array of channel IDs');
+    }
+
+    const config = await guildConfigService.updateConfig(guildId, updates);
+
+    logger.info('Guild config updated via API', { guildId });
+
+    res.json(successResponse({ ...config, guildId }));
+});
+
+/**
+ * Check the guild's summary provider is reachable and authorized
+ * POST /api/v1/guilds/:guildId/config/summarization/validate
+ */
+export const validateSummaryProvider = asyncHandler(async (req, res) => {
+    const { guildId } = req.params;
+
+    const result = await summaryService.validateApiKey({ guildId });
+
+    res.json(successResponse(result));
+});
+
+/**
+ * Report the status of the guild's transcription backend
+ * GET /api/v1/guilds/:guildId/config/transcription/health
+ */
+export const getTranscriptionHealth = asyncHandler(async (req, res) => {
+    const { guildId } = req.params;
+
+    const health = await transcriptionService.checkWhisperHealth(guildId);
+
+    res.json(successResponse(health));
+});
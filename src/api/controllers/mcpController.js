@@ -1,6 +1,146 @@
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import Meeting from '../../models/Meeting.js';
 import logger from '../../utils/logger.js';
 import { asyncHandler, ApiError } from '../utils/errorHandler.js';
+import { formatMeetingAsMarkdown, generateMeetingTitle } from '../utils/meetingMarkdown.js';
+import { createMcpServer } from '../../mcp/server.js';
+
+/**
+ * Open MCP sessions: session ID -> { transport, activeRequests, idleTimer }
+ * Each client keeps its own server, so resource subscriptions and
+ * notifications can be delivered over its GET /mcp event stream
+ */
+const mcpSessions = new Map();
+
+/**
+ * Sessions with no request or event stream open for this long are closed
+ */
+const SESSION_IDLE_MS = parseInt(process.env.MCP_SESSION_IDLE_MINUTES || '30') * 60 * 1000;
+
+/**
+ * Maximum number of open sessions; each one holds a server and an event listener
+ */
+const MAX_SESSIONS = parseInt(process.env.MCP_MAX_SESSIONS || '100');
+
+/**
+ * Send a JSON-RPC error for a request without a usable session
+ * @param {Response} res - Express response object
+ * @param {string} sessionId - Session ID the client sent, if any
+ */
+function sendSessionError(res, sessionId) {
+    // 404 tells clients with an expired session to initialize again
+    res.status(sessionId ? 404 : 400).json({
+        jsonrpc: '2.0',
+        error: {
+            code: -32000,
+            message: sessionId ? 'Session not found' : 'Bad Request: missing MCP session ID',
+        },
+        id: null,
+    });
+}
+
+/**
+ * Count a request against a session, so it is not closed while the
+ * request (or the GET event stream) is open, and restart its idle timer
+ * once the last one ends
+ * @param {Object} session - Session entry
+ * @param {Response} res - Express response object
+ */
+function trackSessionRequest(session, res) {
+    clearTimeout(session.idleTimer);
+    session.activeRequests += 1;
+
+    res.on('close', () => {
+        session.activeRequests -= 1;
+        if (session.activeRequests > 0 || session.closed) {
+            return;
+        }
+
+        session.idleTimer = setTimeout(() => {
+            logger.debug('Closing idle MCP session', { sessionId: session.transport.sessionId });
+            session.transport.close().catch((error) => {
+                logger.warn('Could not close idle MCP session', { error: error.message });
+            });
+        }, SESSION_IDLE_MS);
+        session.idleTimer.unref();
+    });
+}
+
+/**
+ * MCP Streamable HTTP endpoint: JSON-RPC messages
+ * POST /mcp
+ * An initialize request opens a session; later requests carry its
+ * Mcp-Session-Id header
+ */
+export const handleMcpRequest = asyncHandler(async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    let session = sessionId ? mcpSessions.get(sessionId) : undefined;
+    let server = null;
+
+    if (!session) {
+        if (sessionId || !isInitializeRequest(req.body)) {
+            return sendSessionError(res, sessionId);
+        }
+
+        if (mcpSessions.size >= MAX_SESSIONS) {
+            return res.status(503).json({
+                jsonrpc: '2.0',
+                error: { code: -32000, message: 'Too many open MCP sessions, try again later' },
+                id: null,
+            });
+        }
+
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            enableJsonResponse: true,
+            onsessioninitialized: (id) => {
+                mcpSessions.set(id, session);
+                logger.debug('MCP session opened', { sessionId: id });
+            },
+        });
+        session = { transport, activeRequests: 0, idleTimer: null, closed: false };
+        transport.onclose = () => {
+            session.closed = true;
+            clearTimeout(session.idleTimer);
+            if (transport.sessionId) {
+                mcpSessions.delete(transport.sessionId);
+                logger.debug('MCP session closed', { sessionId: transport.sessionId });
+            }
+        };
+
+        server = createMcpServer();
+        await server.connect(transport);
+    }
+
+    trackSessionRequest(session, res);
+    try {
+        await session.transport.handleRequest(req, res, req.body);
+    } finally {
+        // A failed initialize never registers its session, so nothing else
+        // would close the server and drop its meeting event listener
+        if (server && !mcpSessions.has(session.transport.sessionId)) {
+            await server.close();
+        }
+    }
+});
+
+/**
+ * MCP Streamable HTTP endpoint: notification stream and session end
+ * GET /mcp opens the server-to-client event stream, DELETE /mcp ends the session
+ */
+export const handleMcpSessionRequest = asyncHandler(async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId ? mcpSessions.get(sessionId) : undefined;
+
+    if (!session) {
+        return sendSessionError(res, sessionId);
+    }
+
+    trackSessionRequest(session, res);
+    await session.transport.handleRequest(req, res);
+});
 
 /**
  * MCP Resource: meetings://list
@@ -108,127 +248,3 @@ export const listResources = asyncHandler(async (req, res) => {
         ],
     });
 });
-
-/**
- * Helper: Generate meeting title
- * @param {Object} meeting - Meeting document
- * @returns {string} Meeting title
- */
-function generateMeetingTitle(meeting) {
-    const date = new Date(meeting.startTimestamp);
-    const dateStr = date.toLocaleDateString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        year: 'numeric',
-    });
-    const timeStr = date.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-    });
-
-    return `${meeting.channelName || 'Meeting'} - ${dateStr} ${timeStr}`;
-}
-
-/**
- * Helper: Format meeting as Markdown for MCP
- * @param {Object} meeting - Meeting document
- * @returns {string} Markdown formatted meeting content
- */
-function formatMeetingAsMarkdown(meeting) {
-    const parts = [];
-
-    // Title
-    parts.push(`# ${generateMeetingTitle(meeting)}\n`);
-
-    // Metadata
-    parts.push('## Meeting Information\n');
-    parts.push(`- **Date**: ${new Date(meeting.startTimestamp).toLocaleString()}`);
-    parts.push(`- **Duration**: ${formatDuration(meeting.duration)}`);
-    parts.push(`- **Channel**: ${meeting.channelName || 'Unknown'}`);
-    parts.push(`- **Server**: ${meeting.guildName || 'Unknown'}`);
-    parts.push(`- **Status**: ${meeting.recordingStatus}\n`);
-
-    // Participants
-    parts.push('## Participants\n');
-    if (meeting.participants && meeting.participants.length > 0) {
-        meeting.participants.forEach((p) => {
-            const speakingTime = formatDuration(p.speakingTime);
-            const duration = formatDuration(p.duration);
-            parts.push(`- **${p.username}** - Speaking: ${speakingTime} / Total: ${duration}`);
-        });
-        parts.push('');
-    } else {
-        parts.push('_No participants recorded_\n');
-    }
-
-    // Summary
-    if (meeting.summary) {
-        parts.push('## Summary\n');
-
-        if (meeting.summary.executiveSummary) {
-            parts.push(meeting.summary.executiveSummary);
-            parts.push('');
-        }
-
-        if (meeting.summary.keyPoints && meeting.summary.keyPoints.length > 0) {
-            parts.push('### Key Points\n');
-            meeting.summary.keyPoints.forEach((point) => {
-                parts.push(`- ${point}`);
-            });
-            parts.push('');
-        }
-
-        if (meeting.summary.actionItems && meeting.summary.actionItems.length > 0) {
-            parts.push('### Action Items\n');
-            meeting.summary.actionItems.forEach((item) => {
-                const assignee = item.assignee ? ` (${item.assignee})` : '';
-                const dueDate = item.dueDate
-                    ? ` - Due: ${new Date(item.dueDate).toLocaleDateString()}`
-                    : '';
-                parts.push(`- ${item.task}${assignee}${dueDate}`);
-            });
-            parts.push('');
-        }
-
-        if (meeting.summary.innovations && meeting.summary.innovations.length > 0) {
-            parts.push('### Innovations Discussed\n');
-            meeting.summary.innovations.forEach((innovation) => {
-                parts.push(`- ${innovation}`);
-            });
-            parts.push('');
-        }
-    }
-
-    // Transcript
-    if (meeting.transcript) {
-        parts.push('## Transcript\n');
-        parts.push('```');
-        parts.push(meeting.transcript);
-        parts.push('```\n');
-    } else {
-        parts.push('## Transcript\n');
-        parts.push('_Transcript not available_\n');
-    }
-
-    return parts.join('\n');
-}
-
-/**
- * Helper: Format duration in seconds to human-readable
- * @param {number} seconds - Duration in seconds
- * @returns {string} Formatted duration
- */
-function formatDuration(seconds) {
-    if (!seconds || seconds < 0) return '0s';
-
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-
-    const parts = [];
-    if (hours > 0) parts.push(`${hours}h`);
-    if (minutes > 0) parts.push(`${minutes}m`);
-    if (secs > 0 || parts.length === 0) parts.push(`${secs}s`);
-
-    return parts.join(' ');
-}
@@ -1,4 +1,7 @@
 import mongoService from '../../services/mongoService.js';
+import processingQueue from '../../services/processingQueue.js';
+import audioTranscoder, { AUDIO_FORMATS } from '../../services/audioTranscoder.js';
+import { PROCESSING_STAGES } from '../../models/ProcessingJob.js';
 import Meeting from '../../models/Meeting.js';
 import logger from '../../utils/logger.js';
 import {
@@ -10,8 +13,12 @@ import {
     successResponse,
     formatMeetingList,
     formatMeetingDetails,
+    formatTranscriptSegment,
 } from '../utils/responseFormatter.js';
 import { ApiError, asyncHandler } from '../utils/errorHandler.js';
+import { segmentsToSrt, segmentsToVtt } from '../utils/transcriptExporter.js';
+import { createMediaToken } from '../utils/mediaToken.js';
+import { formatMeetingAsMarkdown } from '../utils/meetingMarkdown.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -81,16 +88,32 @@ export const getMeeting = asyncHandler(async (req, res) => {
     res.json(successResponse(formattedMeeting));
 });
 
+/**
+ * Supported transcript response formats
+ */
+const TRANSCRIPT_FORMATS = ['json', 'text', 'segments', 'srt', 'vtt', 'markdown'];
+
 /**
  * Get meeting transcript
  * GET /api/v1/meetings/:id/transcript
  * Response formats:
  *   - JSON (default): { transcript: "...", participants: [...] }
  *   - Text (format=text): Plain text transcript
+ *   - Segments (format=segments): Per-utterance segments with speaker and timing
+ *   - SRT (format=srt): SubRip subtitles aligned to the meeting audio
+ *   - WebVTT (format=vtt): WebVTT subtitles aligned to the meeting audio
+ *   - Markdown (format=markdown): Full meeting notes with summary and transcript
  */
 export const getTranscript = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { format } = req.query;
+    const format = req.query.format === 'md' ? 'markdown' : req.query.format || 'json';
+
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+        throw new ApiError(400, 'Unsupported transcript format', {
+            format,
+            supported: TRANSCRIPT_FORMATS,
+        });
+    }
 
     const meeting = await Meeting.findByMeetingId(id);
 
@@ -108,6 +131,50 @@ export const getTranscript = asyncHandler(async (req, res) => {
         return res.send(meeting.transcript);
     }
 
+    // Return as Markdown meeting notes if requested
+    if (format === 'markdown') {
+        res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${meeting.meetingId}.md"`);
+        return res.send(formatMeetingAsMarkdown(meeting));
+    }
+
+    // Remaining formats are built from per-utterance segments
+    if (format !== 'json') {
+        const segments = await mongoService.getTranscriptSegments(meeting.meetingId);
+
+        if (segments.length === 0) {
+            throw new ApiError(404, 'Transcript segments not available for this meeting');
+        }
+
+        if (format === 'srt') {
+            res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${meeting.meetingId}.srt"`);
+            return res.send(segmentsToSrt(segments, meeting.startTimestamp));
+        }
+
+        if (format === 'vtt') {
+            res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${meeting.meetingId}.vtt"`);
+            return res.send(segmentsToVtt(segments, meeting.startTimestamp));
+        }
+
+        return res.json(
+            successResponse({
+                meetingId: meeting.meetingId,
+                segmentCount: segments.length,
+                // Meetings recorded before the audio start was stored fall back to the meeting start
+                segments: segments.map((segment) =>
+                    formatTranscriptSegment(
+                        segment,
+                        meeting.audioStartTimestamp || meeting.startTimestamp
+                    )
+                ),
+                duration: meeting.duration,
+                startTime: meeting.startTimestamp,
+            })
+        );
+    }
+
     // Return as JSON with metadata
     res.json(
         successResponse({
@@ -152,6 +219,9 @@ export const getSummary = asyncHandler(async (req, res) => {
                 sentiment: meeting.summary.sentiment,
                 generatedAt: meeting.summary.generatedAt,
                 model: meeting.summary.model,
+                provider: meeting.summary.provider,
+                // Section summaries for long meetings (empty when summarized in one pass)
+                chunks: meeting.summary.chunks || [],
             },
             metadata: {
                 startTime: meeting.startTimestamp,
@@ -163,14 +233,58 @@ export const getSummary = asyncHandler(async (req, res) => {
 });
 
 /**
- * Download meeting audio file
+ * Issue a short-lived token for streaming a meeting's audio
+ * GET /api/v1/meetings/:id/media-token
+ * Pass it as `?token=` to the audio route from <audio> elements and
+ * download links, which cannot send the API key header
+ */
+export const getMediaToken = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const meeting = await Meeting.findByMeetingId(id);
+
+    if (!meeting) {
+        throw new ApiError(404, 'Meeting not found', { meetingId: id });
+    }
+
+    res.json(successResponse({ meetingId: id, ...createMediaToken(id) }));
+});
+
+/**
+ * Seconds a client is told to wait for an audio variant being transcoded
+ */
+const VARIANT_RETRY_AFTER_SECONDS = 5;
+
+/**
+ * Stream meeting audio
  * GET /api/v1/meetings/:id/audio
+ * Supports byte-range requests (206 Partial Content) so players can seek
+ * before the download finishes, and ETag/Last-Modified revalidation
+ * Authenticated with the API key header or a media token
  * Query params:
+ *   - token: Media token from GET /api/v1/meetings/:id/media-token (optional)
  *   - userId: Get specific user's audio track (optional)
+ *   - format: mp3 (default) or opus
+ *   - bitrate: Re-encode at this bitrate, e.g. 64k (optional; 202 until the encoding is ready)
+ *   - inline: true to play in the browser instead of downloading
  */
 export const getAudio = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { userId } = req.query;
+    const { userId, format = 'mp3', bitrate, inline } = req.query;
+
+    if (!AUDIO_FORMATS[format]) {
+        throw new ApiError(400, 'Invalid audio format', {
+            format,
+            validFormats: Object.keys(AUDIO_FORMATS),
+        });
+    }
+
+    let kbps;
+    try {
+        kbps = audioTranscoder.parseBitrate(bitrate);
+    } catch (error) {
+        throw new ApiError(400, error.message, { bitrate });
+    }
 
     const meeting = await Meeting.findByMeetingId(id);
 
@@ -178,58 +292,132 @@ export const getAudio = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Meeting not found', { meetingId: id });
     }
 
-    if (!meeting.audioFilePath) {
-        throw new ApiError(404, 'Audio file not available for this meeting');
-    }
-
     // Determine which file to serve
     let audioPath;
     let filename;
 
     if (userId) {
         // Serve individual user track
-        const recordingsPath = process.env.RECORDINGS_PATH || './recordings';
-        audioPath = path.join(recordingsPath, `${id}-user-${userId}.mp3`);
-        filename = `${id}-user-${userId}.mp3`;
+        const track = meeting.audioTracks.find((t) => t.userId === userId);
+
+        if (!track) {
+            throw new ApiError(404, 'Audio track not found for this user', { userId });
+        }
+
+        audioPath = track.filePath;
+        filename = `${id}-${userId}`;
 
         if (!fs.existsSync(audioPath)) {
             throw new ApiError(404, 'Audio file not found for this user', { userId });
         }
     } else {
+        if (!meeting.audioFilePath) {
+            throw new ApiError(404, 'Audio file not available for this meeting');
+        }
+
         // Serve merged audio
         audioPath = meeting.audioFilePath;
-        filename = path.basename(audioPath);
+        filename = path.basename(audioPath, path.extname(audioPath));
 
         if (!fs.existsSync(audioPath)) {
             throw new ApiError(404, 'Audio file not found on disk');
         }
     }
 
-    // Get file stats for headers
-    const stat = fs.statSync(audioPath);
-
-    // Set headers
-    res.setHeader('Content-Type', 'audio/mpeg');
-    res.setHeader('Content-Length', stat.size);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-
-    // Stream file to response
-    const stream = fs.createReadStream(audioPath);
-    stream.pipe(res);
+    // Alternative encodings are transcoded once and served from the cache;
+    // until then the client is asked to come back instead of holding the request open
+    const variant = await audioTranscoder.getVariant(audioPath, { format, bitrate: kbps });
+    if (!variant.ready) {
+        res.set('Retry-After', String(VARIANT_RETRY_AFTER_SECONDS));
+        return res.status(202).json(
+            successResponse({
+                meetingId: id,
+                status: 'transcoding',
+                retryAfter: VARIANT_RETRY_AFTER_SECONDS,
+            })
+        );
+    }
 
-    stream.on('error', (error) => {
-        logger.error('Error streaming audio file', {
-            error: error.message,
-            audioPath,
-            meetingId: id,
-        });
-        if (!res.headersSent) {
-            res.status(500).json({
-                error: 'Internal Server Error',
-                message: 'Failed to stream audio file',
+    const disposition = inline === 'true' ? 'inline' : 'attachment';
+
+    res.type(variant.contentType);
+    res.sendFile(
+        path.resolve(variant.filePath),
+        {
+            acceptRanges: true,
+            etag: true,
+            lastModified: true,
+            cacheControl: false,
+            headers: {
+                'Cache-Control': 'private, no-cache',
+                'Content-Disposition': `${disposition}; filename="${filename}.${variant.extension}"`,
+            },
+        },
+        (error) => {
+            // Clients routinely abort range requests while seeking
+            if (!error || error.code === 'ECONNABORTED' || error.code === 'ECONNRESET') {
+                return;
+            }
+
+            // Unsatisfiable ranges and failed preconditions are client errors;
+            // the Content-Range header has already been set
+            if ((error.status === 412 || error.status === 416) && !res.headersSent) {
+                res.status(error.status).end();
+                return;
+            }
+
+            logger.error('Error streaming audio file', {
+                error: error.message,
+                audioPath: variant.filePath,
+                meetingId: id,
             });
+            if (!res.headersSent) {
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: 'Failed to stream audio file',
+                });
+            }
         }
-    });
+    );
+});
+
+/**
+ * List per-participant audio tracks
+ * GET /api/v1/meetings/:id/tracks
+ * Every track is aligned to the mixed recording, so they can be played in sync
+ */
+export const getTracks = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const meeting = await Meeting.findByMeetingId(id);
+
+    if (!meeting) {
+        throw new ApiError(404, 'Meeting not found', { meetingId: id });
+    }
+
+    const tracks = meeting.audioTracks.map((track) => ({
+        userId: track.userId,
+        username:
+            meeting.participants.find((p) => p.userId === track.userId)?.username ||
+            track.username ||
+            track.userId,
+        duration: track.duration,
+        available: fs.existsSync(track.filePath),
+        url: `/api/v1/meetings/${id}/audio?userId=${track.userId}`,
+    }));
+
+    res.json(
+        successResponse({
+            meetingId: meeting.meetingId,
+            mixdown: {
+                available: !!meeting.audioFilePath && fs.existsSync(meeting.audioFilePath),
+                url: `/api/v1/meetings/${id}/audio`,
+            },
+            tracks,
+        }, {
+            trackCount: tracks.length,
+        })
+    );
 });
 
 /**
@@ -265,3 +453,76 @@ export const getParticipants = asyncHandler(async (req, res) => {
         })
     );
 });
+
+/**
+ * HTTP status for each reason processingQueue.reprocess refuses a request
+ */
+const REPROCESS_REJECTION_STATUS = {
+    invalid: 400,
+    not_found: 404,
+    conflict: 409,
+};
+
+/**
+ * Re-run processing stages for a meeting
+ * POST /api/v1/meetings/:id/reprocess
+ * Body:
+ *   - stages: Array (or comma-separated string) of 'transcription', 'summary', 'upload'
+ *             (default: all stages)
+ *   - channelId: Discord text channel for results (default: previous run's channel)
+ */
+export const reprocessMeeting = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { stages: rawStages, channelId } = req.body || {};
+
+    const stages = typeof rawStages === 'string'
+        ? rawStages.split(',').map((stage) => stage.trim()).filter(Boolean)
+        : rawStages || PROCESSING_STAGES;
+
+    if (!Array.isArray(stages) || stages.length === 0) {
+        throw new ApiError(400, 'stages must be a non-empty list', {
+            supported: PROCESSING_STAGES,
+        });
+    }
+
+    const invalidStages = stages.filter((stage) => !PROCESSING_STAGES.includes(stage));
+    if (invalidStages.length > 0) {
+        throw new ApiError(400, 'Invalid processing stages', {
+            invalid: invalidStages,
+            supported: PROCESSING_STAGES,
+        });
+    }
+
+    const meeting = await Meeting.findByMeetingId(id);
+
+    if (!meeting) {
+        throw new ApiError(404, 'Meeting not found', { meetingId: id });
+    }
+
+    let job;
+    try {
+        job = await processingQueue.reprocess(meeting.meetingId, {
+            stages,
+            channelId,
+            trigger: 'api',
+            requestedBy: 'api',
+        });
+    } catch (error) {
+        const statusCode = REPROCESS_REJECTION_STATUS[error.reason];
+        if (!statusCode) {
+            throw error;
+        }
+        throw new ApiError(statusCode, error.message, { meetingId: id });
+    }
+
+    res.status(202).json(
+        successResponse({
+            meetingId: meeting.meetingId,
+            jobId: job.id,
+            status: job.status,
+            stages: job.stages
+                .filter((stage) => stage.status !== 'skipped')
+                .map((stage) => stage.name),
+        })
+    );
+});
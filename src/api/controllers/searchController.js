@@ -0,0 +1,39 @@
+import searchService from '../../services/searchService.js';
+import {
+    getPaginationParams,
+    buildPaginationMeta,
+} from '../utils/pagination.js';
+import { successResponse, formatSearchResult } from '../utils/responseFormatter.js';
+import { ApiError, asyncHandler } from '../utils/errorHandler.js';
+
+/**
+ * Search transcripts and summaries across all meetings
+ * GET /api/v1/search
+ * Query params:
+ *   - q: Search text; supports "quoted phrases" and -excluded words (required)
+ *   - guildId: Filter by guild ID (optional)
+ *   - page: Page number (default: 1)
+ *   - limit: Meetings per page (default: 20, max: 100)
+ */
+export const search = asyncHandler(async (req, res) => {
+    const { page, limit, skip } = getPaginationParams(req.query);
+    const { guildId } = req.query;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (!q) {
+        throw new ApiError(400, 'Search query is required', { parameter: 'q' });
+    }
+
+    const { total, terms, results } = await searchService.search(q, { guildId, limit, skip });
+
+    res.json(
+        successResponse(
+            {
+                query: q,
+                terms,
+                results: results.map(formatSearchResult),
+            },
+            buildPaginationMeta(page, limit, total)
+        )
+    );
+});
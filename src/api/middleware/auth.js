@@ -1,4 +1,5 @@
 import logger from '../../utils/logger.js';
+import { verifyMediaToken } from '../utils/mediaToken.js';
 
 /**
  * API Key Authentication Middleware
@@ -62,6 +63,34 @@ export function authenticateApiKey(req, res, next) {
     }
 }
 
+/**
+ * Authentication for media streams of a meeting
+ * Accepts the API key header, or a `token` query parameter from
+ * GET /api/v1/meetings/:id/media-token, since <audio> elements and download
+ * links cannot send headers. The token only opens the meeting it was issued for
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+export function authenticateMediaRequest(req, res, next) {
+    if (req.headers.authorization || typeof req.query.token !== 'string') {
+        return authenticateApiKey(req, res, next);
+    }
+
+    if (!process.env.API_KEY || !verifyMediaToken(req.query.token, req.params.id)) {
+        logger.warn('Invalid media token attempt', {
+            path: req.path,
+            ip: req.ip,
+        });
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Invalid or expired media token',
+        });
+    }
+
+    next();
+}
+
 /**
  * Optional API key authentication for public-ish endpoints
  * If API key is provided, validates it. Otherwise allows through.
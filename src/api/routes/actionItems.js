@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+    listActionItems,
+    getActionItem,
+    createActionItem,
+    updateActionItem,
+    deleteActionItem,
+} from '../controllers/actionItemsController.js';
+
+const router = express.Router();
+
+/**
+ * Action item routes
+ * All routes are protected by authentication middleware from parent router
+ */
+
+// List action items with filtering and pagination
+router.get('/', listActionItems);
+
+// Add an action item
+router.post('/', createActionItem);
+
+// Get single action item
+router.get('/:id', getActionItem);
+
+// Update an action item (including its status)
+router.patch('/:id', updateActionItem);
+
+// Delete an action item
+router.delete('/:id', deleteActionItem);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { askQuestion, reindexEmbeddings } from '../controllers/askController.js';
+
+const router = express.Router();
+
+/**
+ * Question answering routes
+ * All routes are protected by authentication middleware from parent router
+ */
+
+// Answer a question about past meetings
+router.post('/', askQuestion);
+
+// Build missing embeddings for a guild
+router.post('/reindex', reindexEmbeddings);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+    getGuildConfig,
+    updateGuildConfig,
+    validateSummaryProvider,
+    getTranscriptionHealth,
+} from '../controllers/guildsController.js';
+
+const router = express.Router();
+
+/**
+ * Guild configuration routes
+ * All routes are protected by authentication middleware from parent router
+ */
+
+// Get effective guild configuration
+router.get('/:guildId/config', getGuildConfig);
+
+// Update guild configuration overrides
+router.patch('/:guildId/config', updateGuildConfig);
+
+// Check the configured summary provider
+router.post('/:guildId/config/summarization/validate', validateSummaryProvider);
+
+// Check the configured transcription backend
+router.get('/:guildId/config/transcription/health', getTranscriptionHealth);
+
+export default router;
@@ -1,16 +1,29 @@
 import express from 'express';
-import { authenticateApiKey } from '../middleware/auth.js';
+import { authenticateApiKey, authenticateMediaRequest } from '../middleware/auth.js';
+import { getAudio } from '../controllers/meetingsController.js';
 import meetingsRouter from './meetings.js';
 import analyticsRouter from './analytics.js';
+import guildsRouter from './guilds.js';
+import searchRouter from './search.js';
+import askRouter from './ask.js';
+import actionItemsRouter from './actionItems.js';
 
 const router = express.Router();
 
-// Apply authentication to all API routes
+// Download meeting audio; also accepts a media token, since <audio>
+// elements cannot send the API key header
+router.get('/meetings/:id/audio', authenticateMediaRequest, getAudio);
+
+// Apply authentication to all other API routes
 router.use(authenticateApiKey);
 
 // Mount sub-routers
 router.use('/meetings', meetingsRouter);
 router.use('/analytics', analyticsRouter);
+router.use('/guilds', guildsRouter);
+router.use('/search', searchRouter);
+router.use('/ask', askRouter);
+router.use('/action-items', actionItemsRouter);
 
 // API root endpoint
 router.get('/', (req, res) => {
@@ -21,15 +34,36 @@ router.get('/', (req, res) => {
             meetings: {
                 list: 'GET /api/v1/meetings',
                 details: 'GET /api/v1/meetings/:id',
-                transcript: 'GET /api/v1/meetings/:id/transcript',
+                transcript: 'GET /api/v1/meetings/:id/transcript?format=json|text|segments|srt|vtt|markdown',
                 summary: 'GET /api/v1/meetings/:id/summary',
-                audio: 'GET /api/v1/meetings/:id/audio',
+                mediaToken: 'GET /api/v1/meetings/:id/media-token',
+                audio: 'GET /api/v1/meetings/:id/audio?userId=optional&format=mp3|opus&bitrate=optional&inline=true&token=optional',
+                tracks: 'GET /api/v1/meetings/:id/tracks',
                 participants: 'GET /api/v1/meetings/:id/participants',
+                reprocess: 'POST /api/v1/meetings/:id/reprocess',
             },
             analytics: {
                 userSpeakingTime: 'GET /api/v1/analytics/user-speaking-time',
                 summary: 'GET /api/v1/analytics/summary',
             },
+            search: 'GET /api/v1/search?q=&guildId=optional',
+            ask: {
+                ask: 'POST /api/v1/ask',
+                reindex: 'POST /api/v1/ask/reindex',
+            },
+            actionItems: {
+                list: 'GET /api/v1/action-items?guildId=&status=open|done|cancelled|all&assigneeId=&meetingId=',
+                create: 'POST /api/v1/action-items',
+                details: 'GET /api/v1/action-items/:id',
+                update: 'PATCH /api/v1/action-items/:id',
+                delete: 'DELETE /api/v1/action-items/:id',
+            },
+            guilds: {
+                config: 'GET /api/v1/guilds/:guildId/config',
+                updateConfig: 'PATCH /api/v1/guilds/:guildId/config',
+                validateSummaryProvider: 'POST /api/v1/guilds/:guildId/config/summarization/validate',
+                transcriptionHealth: 'GET /api/v1/guilds/:guildId/config/transcription/health',
+            },
         },
         documentation: 'https://github.com/AhmedBaari/team-tape',
     });
@@ -1,5 +1,7 @@
 import express from 'express';
 import {
+    handleMcpRequest,
+    handleMcpSessionRequest,
     listResources,
     listMeetingsResource,
     getMeetingResource,
@@ -12,6 +14,12 @@ const router = express.Router();
  * All routes are protected by authentication middleware from parent router
  */
 
+// MCP Streamable HTTP transport
+router.post('/', handleMcpRequest);
+router.get('/', handleMcpSessionRequest);
+router.delete('/', handleMcpSessionRequest);
+
+// REST views of the MCP resources, for clients without an MCP library
 // List all available MCP resources
 router.get('/resources', listResources);
 
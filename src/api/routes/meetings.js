@@ -4,8 +4,10 @@ import {
     getMeeting,
     getTranscript,
     getSummary,
-    getAudio,
+    getMediaToken,
+    getTracks,
     getParticipants,
+    reprocessMeeting,
 } from '../controllers/meetingsController.js';
 
 const router = express.Router();
@@ -27,10 +29,17 @@ router.get('/:id/transcript', getTranscript);
 // Get meeting summary
 router.get('/:id/summary', getSummary);
 
-// Download meeting audio
-router.get('/:id/audio', getAudio);
+// Issue a token for streaming audio without the API key header
+// (GET /:id/audio itself is mounted ahead of authentication in ./index.js)
+router.get('/:id/media-token', getMediaToken);
+
+// List per-participant audio tracks
+router.get('/:id/tracks', getTracks);
 
 // Get meeting participants
 router.get('/:id/participants', getParticipants);
 
+// Re-run processing stages
+router.post('/:id/reprocess', reprocessMeeting);
+
 export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { search } from '../controllers/searchController.js';
+
+const router = express.Router();
+
+/**
+ * Search routes
+ * All routes are protected by authentication middleware from parent router
+ */
+
+// Search transcripts and summaries across meetings
+router.get('/', search);
+
+export default router;
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+/**
+ * Signed media tokens
+ * <audio> elements and download links cannot send an Authorization header,
+ * so the audio routes accept a short-lived token scoped to one meeting
+ * instead of the API key. Tokens are `<expiry>.<signature>`, signed with
+ * the API key, and are useless for any other route or meeting
+ */
+
+/**
+ * How long a token stays valid
+ */
+const TOKEN_TTL_MS = parseInt(process.env.MEDIA_TOKEN_TTL_MINUTES || '60') * 60 * 1000;
+
+/**
+ * Sign a meeting ID and expiry time
+ * @param {string} meetingId - Meeting ID
+ * @param {number} expiresAt - Expiry time (ms since epoch)
+ * @returns {string} Base64url signature
+ */
+function sign(meetingId, expiresAt) {
+    return crypto
+        .createHmac('sha256', process.env.API_KEY)
+        .update(`media:${meetingId}:${expiresAt}`)
+        .digest('base64url');
+}
+
+/**
+ * Create a token for streaming one meeting's audio
+ * @param {string} meetingId - Meeting ID
+ * @returns {{token: string, expiresAt: Date}}
+ */
+export function createMediaToken(meetingId) {
+    const expiresAt = Date.now() + TOKEN_TTL_MS;
+
+    return {
+        token: `${expiresAt}.${sign(meetingId, expiresAt)}`,
+        expiresAt: new Date(expiresAt),
+    };
+}
+
+/**
+ * Check a token against the meeting it is used for
+ * @param {string} token - Token from the query string
+ * @param {string} meetingId - Meeting ID of the requested route
+ * @returns {boolean} Whether the token is valid, unexpired and for this meeting
+ */
+export function verifyMediaToken(token, meetingId) {
+    const [expiry, signature] = String(token).split('.');
+    const expiresAt = Number(expiry);
+
+    if (!signature || !Number.isFinite(expiresAt) || expiresAt < Date.now()) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(meetingId, expiresAt));
+    const actual = Buffer.from(signature);
+
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,135 @@
+/**
+ * Meeting Markdown formatting
+ * Renders a meeting's details, summary and transcript as a Markdown document
+ */
+
+/**
+ * Generate a meeting title
+ * @param {Object} meeting - Meeting document
+ * @returns {string} Meeting title
+ */
+export function generateMeetingTitle(meeting) {
+    const date = new Date(meeting.startTimestamp);
+    const dateStr = date.toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+    const timeStr = date.toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+
+    return `${meeting.channelName || 'Meeting'} - ${dateStr} ${timeStr}`;
+}
+
+/**
+ * Format a meeting as Markdown
+ * Used by the MCP resources and prompts and the transcript Markdown export
+ * @param {Object} meeting - Meeting document
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.includeTranscript - Append the full transcript (default: true)
+ * @returns {string} Markdown formatted meeting content
+ */
+export function formatMeetingAsMarkdown(meeting, { includeTranscript = true } = {}) {
+    const parts = [];
+
+    // Title
+    parts.push(`# ${generateMeetingTitle(meeting)}\n`);
+
+    // Metadata
+    parts.push('## Meeting Information\n');
+    parts.push(`- **Date**: ${new Date(meeting.startTimestamp).toLocaleString()}`);
+    parts.push(`- **Duration**: ${formatDuration(meeting.duration)}`);
+    parts.push(`- **Channel**: ${meeting.channelName || 'Unknown'}`);
+    parts.push(`- **Server**: ${meeting.guildName || 'Unknown'}`);
+    parts.push(`- **Status**: ${meeting.recordingStatus}\n`);
+
+    // Participants
+    parts.push('## Participants\n');
+    if (meeting.participants && meeting.participants.length > 0) {
+        meeting.participants.forEach((p) => {
+            const speakingTime = formatDuration(p.speakingTime);
+            const duration = formatDuration(p.duration);
+            parts.push(`- **${p.username}** - Speaking: ${speakingTime} / Total: ${duration}`);
+        });
+        parts.push('');
+    } else {
+        parts.push('_No participants recorded_\n');
+    }
+
+    // Summary
+    if (meeting.summary) {
+        parts.push('## Summary\n');
+
+        if (meeting.summary.executiveSummary) {
+            parts.push(meeting.summary.executiveSummary);
+            parts.push('');
+        }
+
+        if (meeting.summary.keyPoints && meeting.summary.keyPoints.length > 0) {
+            parts.push('### Key Points\n');
+            meeting.summary.keyPoints.forEach((point) => {
+                parts.push(`- ${point}`);
+            });
+            parts.push('');
+        }
+
+        if (meeting.summary.actionItems && meeting.summary.actionItems.length > 0) {
+            parts.push('### Action Items\n');
+            meeting.summary.actionItems.forEach((item) => {
+                const assignee = item.assignee ? ` (${item.assignee})` : '';
+                const dueDate = item.dueDate
+                    ? ` - Due: ${new Date(item.dueDate).toLocaleDateString()}`
+                    : '';
+                parts.push(`- ${item.task}${assignee}${dueDate}`);
+            });
+            parts.push('');
+        }
+
+        if (meeting.summary.innovations && meeting.summary.innovations.length > 0) {
+            parts.push('### Innovations Discussed\n');
+            meeting.summary.innovations.forEach((innovation) => {
+                parts.push(`- ${innovation}`);
+            });
+            parts.push('');
+        }
+    }
+
+    // Transcript
+    if (!includeTranscript) {
+        return parts.join('\n');
+    }
+
+    if (meeting.transcript) {
+        parts.push('## Transcript\n');
+        parts.push('```');
+        parts.push(meeting.transcript);
+        parts.push('```\n');
+    } else {
+        parts.push('## Transcript\n');
+        parts.push('_Transcript not available_\n');
+    }
+
+    return parts.join('\n');
+}
+
+/**
+ * Format duration in seconds to human-readable
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+    if (!seconds || seconds < 0) return '0s';
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+
+    const parts = [];
+    if (hours > 0) parts.push(`${hours}h`);
+    if (minutes > 0) parts.push(`${minutes}m`);
+    if (secs > 0 || parts.length === 0) parts.push(`${secs}s`);
+
+    return parts.join(' ');
+}
@@ -33,7 +33,14 @@ export function formatMeeting(meeting) {
         startTime: meeting.startTimestamp,
         endTime: meeting.endTimestamp,
         duration: meeting.duration,
+        pausedDuration: meeting.pausedDuration || 0,
         status: meeting.recordingStatus,
+        endReason: meeting.endReason || null,
+        part: {
+            number: meeting.partNumber || 1,
+            previousMeetingId: meeting.previousMeetingId || null,
+            nextMeetingId: meeting.nextMeetingId || null,
+        },
         channel: {
             id: meeting.channelId,
             name: meeting.channelName,
@@ -44,8 +51,10 @@ export function formatMeeting(meeting) {
         },
         participantCount: meeting.totalParticipants || meeting.participants.length,
         hasTranscript: !!meeting.transcript,
+        hasSegments: (meeting.transcriptSegmentCount || 0) > 0,
         hasSummary: !!meeting.summary,
         hasAudio: !!meeting.audioFilePath,
+        trackCount: meeting.audioTracks?.length || 0,
     };
 }
 
@@ -84,13 +93,120 @@ export function formatMeetingDetails(meeting) {
                 sentiment: meeting.summary.sentiment,
                 generatedAt: meeting.summary.generatedAt,
                 model: meeting.summary.model,
+                provider: meeting.summary.provider,
             }
             : null,
         errors: meeting.processingErrors || [],
+        failedTracks: meeting.failedTracks || [],
+        processingAttempts: meeting.processingAttempts || [],
         metadata: meeting.metadata || {},
     };
 }
 
+/**
+ * Format a transcript segment for API response
+ * When the recording start is known, audioStart/audioEnd give the segment's
+ * position in the meeting audio (seconds), for seeking a player
+ * @param {Object} segment - TranscriptSegment document
+ * @param {Date} audioStartTime - Wall-clock time at position 0 of the audio (optional)
+ * @returns {Object} Formatted segment
+ */
+export function formatTranscriptSegment(segment, audioStartTime = null) {
+    const toAudioOffset = (time) =>
+        audioStartTime && time
+            ? Math.max(0, (new Date(time) - new Date(audioStartTime)) / 1000)
+            : null;
+
+    return {
+        index: segment.index,
+        speaker: segment.speaker,
+        speakerId: segment.speakerId,
+        start: segment.start,
+        end: segment.end,
+        absoluteStartTime: segment.absoluteStartTime,
+        absoluteEndTime: segment.absoluteEndTime,
+        audioStart: toAudioOffset(segment.absoluteStartTime),
+        audioEnd: toAudioOffset(segment.absoluteEndTime),
+        text: segment.text,
+    };
+}
+
+/**
+ * Format a search result (one meeting and its hits) for API response
+ * @param {Object} result - Result from searchService.search
+ * @returns {Object} Formatted result
+ */
+export function formatSearchResult(result) {
+    const { meeting } = result;
+
+    return {
+        meeting: {
+            id: meeting.meetingId,
+            title: generateMeetingTitle(meeting),
+            startTime: meeting.startTimestamp,
+            duration: meeting.duration,
+            status: meeting.recordingStatus,
+            channel: {
+                id: meeting.channelId,
+                name: meeting.channelName,
+            },
+            guild: {
+                id: meeting.guildId,
+                name: meeting.guildName,
+            },
+            hasAudio: !!meeting.audioFilePath,
+        },
+        score: Math.round(result.score * 100) / 100,
+        hitCount: result.hitCount,
+        hits: result.hits.map((hit) => {
+            if (hit.type !== 'transcript') {
+                return { type: hit.type, snippet: hit.snippet };
+            }
+
+            const segment = formatTranscriptSegment(
+                hit.segment,
+                meeting.audioStartTimestamp || meeting.startTimestamp
+            );
+            return {
+                type: hit.type,
+                snippet: hit.snippet,
+                segmentIndex: segment.index,
+                speaker: segment.speaker,
+                speakerId: segment.speakerId,
+                start: segment.start,
+                audioStart: segment.audioStart,
+            };
+        }),
+    };
+}
+
+/**
+ * Format an action item for API response
+ * @param {Object} item - ActionItem document
+ * @returns {Object} Formatted action item
+ */
+export function formatActionItem(item) {
+    return {
+        id: item.itemId,
+        meetingId: item.meetingId || null,
+        guildId: item.guildId,
+        task: item.task,
+        assignee: {
+            name: item.assigneeName || null,
+            userId: item.assigneeId || null,
+        },
+        dueDate: item.dueDate || null,
+        status: item.status,
+        source: item.source,
+        createdBy: item.createdBy || null,
+        completedAt: item.completedAt || null,
+        completedBy: item.completedBy || null,
+        reminderSentAt: item.reminderSentAt || null,
+        createdAt: item.createdAt,
+        updatedAt: item.updatedAt,
+    };
+}
+
 /**
  * Generate a human-readable meeting title
  * @param {Object} meeting - Meeting document
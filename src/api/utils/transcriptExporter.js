@@ -0,0 +1,101 @@
+/**
+ * Transcript export utilities
+ * Converts stored transcript segments into subtitle formats
+ */
+
+/**
+ * Get a segment's offset into the meeting audio
+ * Uses wall-clock times when available so cues line up with the recording,
+ * falling back to the transcript-relative start/end offsets
+ * @param {Object} segment - TranscriptSegment document
+ * @param {Date} recordingStart - When the meeting recording started
+ * @returns {Object} { start, end } in seconds
+ */
+export function getSegmentAudioOffset(segment, recordingStart) {
+    const referenceTime = recordingStart ? new Date(recordingStart).getTime() : null;
+
+    if (referenceTime && segment.absoluteStartTime) {
+        const start = Math.max(0, (new Date(segment.absoluteStartTime).getTime() - referenceTime) / 1000);
+        const end = segment.absoluteEndTime
+            ? Math.max(start, (new Date(segment.absoluteEndTime).getTime() - referenceTime) / 1000)
+            : start + ((segment.end || 0) - (segment.start || 0));
+
+        return { start, end };
+    }
+
+    return {
+        start: Math.max(0, segment.start || 0),
+        end: Math.max(segment.start || 0, segment.end || 0),
+    };
+}
+
+/**
+ * Format seconds as a subtitle timestamp (HH:MM:SS<sep>mmm)
+ * @param {number} seconds - Offset in seconds
+ * @param {string} separator - Millisecond separator (',' for SRT, '.' for WebVTT)
+ * @returns {string} Formatted timestamp
+ */
+export function formatCueTimestamp(seconds, separator) {
+    const totalMs = Math.round(Math.max(0, seconds || 0) * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Convert transcript segments to SubRip (SRT) subtitles
+ * @param {Array} segments - TranscriptSegment documents in order
+ * @param {Date} recordingStart - When the meeting recording started
+ * @returns {string} SRT document
+ */
+export function segmentsToSrt(segments, recordingStart) {
+    return segments
+        .map((segment, index) => {
+            const { start, end } = getSegmentAudioOffset(segment, recordingStart);
+            return [
+                String(index + 1),
+                `${formatCueTimestamp(start, ',')} --> ${formatCueTimestamp(end, ',')}`,
+                `${segment.speaker}: ${segment.text}`,
+            ].join('\n');
+        })
+        .join('\n\n')
+        .concat('\n');
+}
+
+/**
+ * Escape text for a WebVTT cue
+ * &, < and > would otherwise be read as entities or tags (and "-->" as a
+ * timing line), and a blank line would end the cue early
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeVttText(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\n\s*\n/g, '\n');
+}
+
+/**
+ * Convert transcript segments to WebVTT subtitles
+ * Speakers are tagged with voice spans so players can style them
+ * @param {Array} segments - TranscriptSegment documents in order
+ * @param {Date} recordingStart - When the meeting recording started
+ * @returns {string} WebVTT document
+ */
+export function segmentsToVtt(segments, recordingStart) {
+    const cues = segments.map((segment) => {
+        const { start, end } = getSegmentAudioOffset(segment, recordingStart);
+        const speaker = escapeVttText(segment.speaker || 'Unknown').replace(/\s+/g, ' ');
+        return [
+            `${formatCueTimestamp(start, '.')} --> ${formatCueTimestamp(end, '.')}`,
+            `<v ${speaker}>${escapeVttText(segment.text)}`,
+        ].join('\n');
+    });
+
+    return ['WEBVTT', ...cues].join('\n\n').concat('\n');
+}
@@ -0,0 +1,216 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import logger from '../utils/logger.js';
+import actionItemService from '../services/actionItemService.js';
+import ActionItem from '../models/ActionItem.js';
+import { createActionItemListEmbed, createErrorEmbed } from '../utils/embedBuilder.js';
+
+/**
+ * Items shown by /action-items list
+ */
+const LIST_LIMIT = 25;
+
+/**
+ * Action Items Command
+ * Lists, adds and closes the action items tracked for this server
+ */
+export const data = new SlashCommandBuilder()
+  .setName('action-items')
+  .setDescription('Track action items from meetings')
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('list')
+      .setDescription('List action items')
+      .addStringOption((option) =>
+        option
+          .setName('status')
+          .setDescription('Which items to show (default: open)')
+          .setRequired(false)
+          .addChoices(
+            { name: 'Open', value: 'open' },
+            { name: 'Done', value: 'done' },
+            { name: 'Cancelled', value: 'cancelled' },
+            { name: 'All', value: 'all' }
+          )
+      )
+      .addUserOption((option) =>
+        option.setName('user').setDescription('Only items assigned to this user').setRequired(false)
+      )
+      .addStringOption((option) =>
+        option.setName('meeting').setDescription('Only items from this meeting (e.g. mtg_1a2b3c4d)').setRequired(false)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('add')
+      .setDescription('Add an action item')
+      .addStringOption((option) =>
+        option.setName('task').setDescription('What needs to be done').setRequired(true).setMaxLength(1000)
+      )
+      .addUserOption((option) =>
+        option.setName('assignee').setDescription('Who is responsible').setRequired(false)
+      )
+      .addStringOption((option) =>
+        option.setName('due').setDescription('Due date (YYYY-MM-DD)').setRequired(false)
+      )
+      .addStringOption((option) =>
+        option.setName('meeting').setDescription('Meeting it came from (e.g. mtg_1a2b3c4d)').setRequired(false)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('complete')
+      .setDescription('Mark an action item as done')
+      .addStringOption((option) =>
+        option.setName('item').setDescription('Action item').setRequired(true).setAutocomplete(true)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('cancel')
+      .setDescription('Cancel an action item')
+      .addStringOption((option) =>
+        option.setName('item').setDescription('Action item').setRequired(true).setAutocomplete(true)
+      )
+  );
+
+/**
+ * Execute action-items command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.None });
+
+  try {
+    switch (interaction.options.getSubcommand()) {
+      case 'list':
+        return await listItems(interaction);
+      case 'add':
+        return await addItem(interaction);
+      case 'complete':
+        return await closeItem(interaction, 'done');
+      case 'cancel':
+        return await closeItem(interaction, 'cancelled');
+    }
+  } catch (error) {
+    logger.error('Error executing action-items command', {
+      error: error.message,
+      stack: error.stack,
+      userId: interaction.user.id,
+      guildId: interaction.guildId,
+    });
+
+    const embed = createErrorEmbed('Action Items Error', 'Something went wrong. Please try again.');
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+/**
+ * Suggest open items for the item option, matching ID or task text
+ * @param {AutocompleteInteraction} interaction - Discord interaction object
+ */
+export async function autocomplete(interaction) {
+  const typed = interaction.options.getFocused().trim().toLowerCase();
+
+  const { items } = await actionItemService.list(
+    { guildId: interaction.guildId, status: 'open' },
+    { limit: 100 }
+  );
+
+  const choices = items
+    .filter((item) => !typed || item.itemId.includes(typed) || item.task.toLowerCase().includes(typed))
+    .slice(0, 25)
+    .map((item) => {
+      const owner = item.assigneeName ? ` (${item.assigneeName})` : '';
+      return { name: `${item.task}${owner}`.substring(0, 100), value: item.itemId };
+    });
+
+  await interaction.respond(choices);
+}
+
+/**
+ * List items for the server
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function listItems(interaction) {
+  const status = interaction.options.getString('status') || 'open';
+  const user = interaction.options.getUser('user');
+  const meetingId = interaction.options.getString('meeting')?.trim();
+
+  const { items, total } = await actionItemService.list(
+    { guildId: interaction.guildId, status, assigneeId: user?.id, meetingId },
+    { limit: LIST_LIMIT }
+  );
+
+  const statusLabel = status === 'all' ? '' : `${status.charAt(0).toUpperCase()}${status.slice(1)} `;
+  const title = `✅ ${statusLabel}Action Items${user ? ` for ${user.username}` : ''}`;
+
+  await interaction.editReply({ embeds: [createActionItemListEmbed(items, { title, total })] });
+}
+
+/**
+ * Add an item by hand
+ * @param {Interaction} interaction - Discord interaction object
+ */
+async function addItem(interaction) {
+  const task = interaction.options.getString('task').trim();
+  const assignee = interaction.options.getUser('assignee');
+  const due = interaction.options.getString('due')?.trim();
+  const meetingId = interaction.options.getString('meeting')?.trim();
+
+  let dueDate;
+  if (due) {
+    dueDate = new Date(due);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(due) || Number.isNaN(dueDate.getTime())) {
+      const embed = createErrorEmbed('Invalid Due Date', 'Use the format YYYY-MM-DD, e.g. 2025-01-31.');
+      return interaction.editReply({ embeds: [embed] });
+    }
+  }
+
+  let item;
+  try {
+    item = await actionItemService.create({
+      guildId: interaction.guildId,
+      meetingId,
+      task,
+      assigneeName: assignee?.username,
+      assigneeId: assignee?.id,
+      dueDate,
+      createdBy: interaction.user.id,
+    });
+  } catch (error) {
+    const embed = createErrorEmbed('Cannot Add Action Item', error.message);
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  await interaction.editReply({
+    embeds: [createActionItemListEmbed([item], { title: '✅ Action Item Added' })],
+  });
+}
+
+/**
+ * Mark an item done or cancelled
+ * @param {Interaction} interaction - Discord interaction object
+ * @param {string} status - 'done' or 'cancelled'
+ */
+async function closeItem(interaction, status) {
+  const itemId = interaction.options.getString('item').trim();
+  const existing = await ActionItem.findByItemId(itemId);
+
+  if (!existing || existing.guildId !== interaction.guildId) {
+    const embed = createErrorEmbed('Action Item Not Found', `No action item \`${itemId}\` was found in this server.`);
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  const item = await actionItemService.update(itemId, { status }, interaction.user.id);
+
+  await interaction.editReply({
+    embeds: [
+      createActionItemListEmbed([item], {
+        title: status === 'done' ? '✅ Action Item Done' : '❌ Action Item Cancelled',
+      }),
+    ],
+  });
+}
+
+export const category = 'meetings';
+export const permissions = [];
@@ -0,0 +1,65 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import logger from '../utils/logger.js';
+import embeddingService from '../services/embeddingService.js';
+import { createAnswerEmbed, createErrorEmbed } from '../utils/embedBuilder.js';
+
+/**
+ * Ask Command
+ * Answers a question about this server's past meetings, citing
+ * the meetings and timestamps the answer comes from
+ */
+export const data = new SlashCommandBuilder()
+  .setName('ask')
+  .setDescription('Ask a question about past meetings')
+  .addStringOption((option) =>
+    option
+      .setName('question')
+      .setDescription('e.g. When did we decide to drop Postgres?')
+      .setRequired(true)
+      .setMaxLength(500)
+  )
+  .addBooleanOption((option) =>
+    option
+      .setName('private')
+      .setDescription('Only show the answer to you (default: false)')
+      .setRequired(false)
+  );
+
+/**
+ * Execute ask command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+export async function execute(interaction) {
+  const isPrivate = interaction.options.getBoolean('private') ?? false;
+  await interaction.deferReply({ flags: isPrivate ? MessageFlags.Ephemeral : MessageFlags.None });
+
+  try {
+    const question = interaction.options.getString('question').trim();
+
+    const result = await embeddingService.ask(question, { guildId: interaction.guildId });
+
+    await interaction.editReply({ embeds: [createAnswerEmbed(question, result)] });
+
+    logger.info('Answered /ask question', {
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      citations: result.citations.length,
+    });
+  } catch (error) {
+    logger.error('Error executing ask command', {
+      error: error.message,
+      stack: error.stack,
+      userId: interaction.user.id,
+      guildId: interaction.guildId,
+    });
+
+    const embed = createErrorEmbed(
+      'Question Failed',
+      'Could not search past meetings. Please try again.'
+    );
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+export const category = 'meetings';
+export const permissions = [];
@@ -0,0 +1,126 @@
+import { SlashCommandBuilder, MessageFlags, ChannelType, PermissionFlagsBits } from 'discord.js';
+import logger from '../utils/logger.js';
+import guildConfigService from '../services/guildConfigService.js';
+import { createAutoRecordConfigEmbed, createErrorEmbed } from '../utils/embedBuilder.js';
+
+/**
+ * Auto-Record Command
+ * Configures which voice channels the bot records on its own, and where
+ * it announces automatic recordings. Settings are stored per guild
+ */
+export const data = new SlashCommandBuilder()
+  .setName('auto-record')
+  .setDescription('Configure automatic recording of voice channels')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand((subcommand) =>
+    subcommand.setName('status').setDescription('Show the auto-record settings')
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('enable')
+      .setDescription('Start recording watched channels automatically')
+      .addIntegerOption((option) =>
+        option
+          .setName('threshold')
+          .setDescription('People needed in the channel to start')
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(99)
+      )
+      .addChannelOption((option) =>
+        option
+          .setName('announce')
+          .setDescription('Text channel for announcements and results')
+          .setRequired(false)
+          .addChannelTypes(ChannelType.GuildText)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand.setName('disable').setDescription('Stop recording channels automatically')
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('watch')
+      .setDescription('Record a voice channel automatically')
+      .addChannelOption((option) =>
+        option
+          .setName('channel')
+          .setDescription('Voice channel to watch')
+          .setRequired(true)
+          .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('unwatch')
+      .setDescription('Stop watching a voice channel')
+      .addChannelOption((option) =>
+        option
+          .setName('channel')
+          .setDescription('Voice channel to stop watching')
+          .setRequired(true)
+          .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+      )
+  );
+
+/**
+ * Execute auto-record command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  try {
+    const { guildId } = interaction;
+    const current = await guildConfigService.getConfig(guildId);
+    const watched = current.autoRecord.voiceChannelIds;
+
+    let updates = null;
+
+    switch (interaction.options.getSubcommand()) {
+      case 'enable': {
+        const threshold = interaction.options.getInteger('threshold');
+        const announce = interaction.options.getChannel('announce');
+
+        updates = { autoRecord: { enabled: true } };
+        if (threshold) updates.autoRecord.startThreshold = threshold;
+        if (announce) updates.recording = { outputChannelId: announce.id };
+        break;
+      }
+      case 'disable':
+        updates = { autoRecord: { enabled: false } };
+        break;
+      case 'watch': {
+        const channel = interaction.options.getChannel('channel');
+        updates = { autoRecord: { voiceChannelIds: [...new Set([...watched, channel.id])] } };
+        break;
+      }
+      case 'unwatch': {
+        const channel = interaction.options.getChannel('channel');
+        updates = { autoRecord: { voiceChannelIds: watched.filter((id) => id !== channel.id) } };
+        break;
+      }
+    }
+
+    const config = updates ? await guildConfigService.updateConfig(guildId, updates) : current;
+
+    if (updates) {
+      logger.info('Auto-record settings updated', { guildId, updates, userId: interaction.user.id });
+    }
+
+    await interaction.editReply({ embeds: [createAutoRecordConfigEmbed(config)] });
+  } catch (error) {
+    logger.error('Error executing auto-record command', {
+      error: error.message,
+      stack: error.stack,
+      userId: interaction.user.id,
+      guildId: interaction.guildId,
+    });
+
+    const embed = createErrorEmbed('Auto-Record Error', 'Could not update the settings. Please try again.');
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+export const category = 'recording';
+export const permissions = ['ManageGuild'];
@@ -0,0 +1,81 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import logger from '../utils/logger.js';
+import recordingService from '../services/recordingService.js';
+import { createErrorEmbed } from '../utils/embedBuilder.js';
+
+/**
+ * Pause Recording Command
+ * Goes off the record without ending the meeting: the bot stays in the
+ * voice channel but nothing is captured until /resume-recording
+ */
+export const data = new SlashCommandBuilder()
+  .setName('pause-recording')
+  .setDescription('Pause the current recording (go off the record)')
+  .addStringOption((option) =>
+    option
+      .setName('meeting')
+      .setDescription('Recording to pause (default: the one in your voice channel)')
+      .setRequired(false)
+      .setAutocomplete(true)
+  );
+
+/**
+ * Execute pause-recording command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.None });
+
+  try {
+    let recording;
+    try {
+      recording = recordingService.findRecording(interaction.guild, {
+        meetingId: interaction.options.getString('meeting')?.trim(),
+        voiceChannelId: interaction.member.voice.channelId,
+      });
+    } catch (error) {
+      const embed = createErrorEmbed('Recording Not Found', error.message);
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    const { meetingId } = recording;
+
+    try {
+      await recordingService.pauseRecording(meetingId, interaction.user.id);
+    } catch (error) {
+      const embed = createErrorEmbed('Cannot Pause Recording', error.message);
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    logger.info('Recording paused', { meetingId, userId: interaction.user.id });
+
+    await interaction.editReply({
+      content:
+        `⏸️ **Recording Paused**\n` +
+        `Meeting \`${meetingId}\` is off the record. Use \`/resume-recording\` to continue.`,
+    });
+  } catch (error) {
+    logger.error('Error executing pause-recording command', {
+      error: error.message,
+      stack: error.stack,
+      userId: interaction.user.id,
+      guildId: interaction.guildId,
+    });
+
+    const embed = createErrorEmbed('Recording Error', 'Failed to pause recording. Please try again.');
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+/**
+ * Suggest the server's active recordings for the meeting option
+ * @param {AutocompleteInteraction} interaction - Discord interaction object
+ */
+export async function autocomplete(interaction) {
+  await interaction.respond(
+    recordingService.getRecordingChoices(interaction.guild, interaction.options.getFocused())
+  );
+}
+
+export const category = 'recording';
+export const permissions = [];
@@ -0,0 +1,40 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import logger from '../utils/logger.js';
+import recordingService from '../services/recordingService.js';
+import { createActiveRecordingsEmbed, createErrorEmbed } from '../utils/embedBuilder.js';
+
+/**
+ * Recordings Command
+ * Lists the voice channels being recorded in this server, with how long
+ * each has run and how many people have spoken
+ */
+export const data = new SlashCommandBuilder()
+  .setName('recordings')
+  .setDescription('List the active recordings in this server');
+
+/**
+ * Execute recordings command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.None });
+
+  try {
+    const recordings = recordingService.listRecordings(interaction.guild);
+
+    await interaction.editReply({ embeds: [createActiveRecordingsEmbed(recordings)] });
+  } catch (error) {
+    logger.error('Error executing recordings command', {
+      error: error.message,
+      stack: error.stack,
+      userId: interaction.user.id,
+      guildId: interaction.guildId,
+    });
+
+    const embed = createErrorEmbed('Recordings Error', 'Failed to list recordings. Please try again.');
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+export const category = 'recording';
+export const permissions = [];
@@ -0,0 +1,111 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import logger from '../utils/logger.js';
+import mongoService from '../services/mongoService.js';
+import processingQueue from '../services/processingQueue.js';
+import { createErrorEmbed } from '../utils/embedBuilder.js';
+
+/**
+ * Stage selections offered by the command
+ */
+const STAGE_CHOICES = {
+  all: ['transcription', 'summary', 'upload'],
+  transcription: ['transcription'],
+  summary: ['summary'],
+  upload: ['upload'],
+};
+
+/**
+ * Reprocess Meeting Command
+ * Re-runs processing stages for a failed or outdated meeting
+ * against the per-user recordings kept on disk
+ */
+export const data = new SlashCommandBuilder()
+  .setName('reprocess-meeting')
+  .setDescription('Re-run transcription, summary or upload for a recorded meeting')
+  .addStringOption((option) =>
+    option
+      .setName('meeting')
+      .setDescription('Meeting ID (e.g. mtg_1a2b3c4d)')
+      .setRequired(true)
+  )
+  .addStringOption((option) =>
+    option
+      .setName('stages')
+      .setDescription('Which stages to re-run (default: everything)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Everything', value: 'all' },
+        { name: 'Transcription only', value: 'transcription' },
+        { name: 'Summary only', value: 'summary' },
+        { name: 'Upload only', value: 'upload' }
+      )
+  );
+
+/**
+ * Execute reprocess-meeting command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.None });
+
+  try {
+    const meetingId = interaction.options.getString('meeting').trim();
+    const stages = STAGE_CHOICES[interaction.options.getString('stages') || 'all'];
+
+    const meeting = await mongoService.findMeeting(meetingId);
+
+    if (!meeting || meeting.guildId !== interaction.guildId) {
+      const embed = createErrorEmbed(
+        'Meeting Not Found',
+        `No meeting \`${meetingId}\` was found in this server.`
+      );
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    const processingEmbed = createErrorEmbed(
+      'Reprocessing Recording',
+      `Meeting ${meetingId}\n⏳ Queued: ${stages.join(', ')}`,
+      'processing'
+    );
+    processingEmbed.setColor('#FFA500');
+
+    const processingMessage = await interaction.editReply({
+      embeds: [processingEmbed],
+    });
+
+    try {
+      await processingQueue.reprocess(meetingId, {
+        stages,
+        channelId: interaction.channelId,
+        processingMessageId: processingMessage.id,
+        trigger: 'command',
+        requestedBy: interaction.user.id,
+      });
+    } catch (error) {
+      const embed = createErrorEmbed('Cannot Reprocess Meeting', error.message);
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    logger.info('Reprocessing queued', {
+      meetingId,
+      stages,
+      userId: interaction.user.id,
+    });
+  } catch (error) {
+    logger.error('Error executing reprocess-meeting command', {
+      error: error.message,
+      stack: error.stack,
+      userId: interaction.user.id,
+      guildId: interaction.guildId,
+    });
+
+    const embed = createErrorEmbed(
+      'Reprocessing Error',
+      'Failed to queue reprocessing. Please try again.'
+    );
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+export const category = 'recording';
+export const permissions = [];
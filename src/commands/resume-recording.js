@@ -0,0 +1,84 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import logger from '../utils/logger.js';
+import recordingService from '../services/recordingService.js';
+import { createErrorEmbed } from '../utils/embedBuilder.js';
+
+/**
+ * Resume Recording Command
+ * Goes back on the record after /pause-recording
+ */
+export const data = new SlashCommandBuilder()
+  .setName('resume-recording')
+  .setDescription('Resume a paused recording')
+  .addStringOption((option) =>
+    option
+      .setName('meeting')
+      .setDescription('Recording to resume (default: the one in your voice channel)')
+      .setRequired(false)
+      .setAutocomplete(true)
+  );
+
+/**
+ * Execute resume-recording command
+ * @param {Interaction} interaction - Discord interaction object
+ */
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.None });
+
+  try {
+    let recording;
+    try {
+      recording = recordingService.findRecording(interaction.guild, {
+        meetingId: interaction.options.getString('meeting')?.trim(),
+        voiceChannelId: interaction.member.voice.channelId,
+      });
+    } catch (error) {
+      const embed = createErrorEmbed('Recording Not Found', error.message);
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    const { meetingId } = recording;
+
+    let pause;
+    try {
+      pause = await recordingService.resumeRecording(meetingId, interaction.client, interaction.user.id);
+    } catch (error) {
+      const embed = createErrorEmbed('Cannot Resume Recording', error.message);
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    const pausedSeconds = Math.floor((pause.endedAt - pause.startedAt) / 1000);
+
+    logger.info('Recording resumed', { meetingId, pausedSeconds, userId: interaction.user.id });
+
+    await interaction.editReply({
+      content:
+        `▶️ **Recording Resumed**\n` +
+        `Meeting \`${meetingId}\` is back on the record after ` +
+        `${Math.floor(pausedSeconds / 60)}m ${pausedSeconds % 60}s off.`,
+    });
+  } catch (error) {
+    logger.error('Error executing resume-recording command', {
+      error: error.message,
+      stack: error.stack,
+      userId: interaction.user.id,
+      guildId: interaction.guildId,
+    });
+
+    const embed = createErrorEmbed('Recording Error', 'Failed to resume recording. Please try again.');
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+/**
+ * Suggest the server's active recordings for the meeting option
+ * @param {AutocompleteInteraction} interaction - Discord interaction object
+ */
+export async function autocomplete(interaction) {
+  await interaction.respond(
+    recordingService.getRecordingChoices(interaction.guild, interaction.options.getFocused())
+  );
+}
+
+export const category = 'recording';
+export const permissions = [];
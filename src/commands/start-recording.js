@@ -1,8 +1,6 @@
 import { SlashCommandBuilder, MessageFlags } from 'discord.js';
-import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
-import audioRecorder from '../services/audioRecorder.js';
-import mongoService from '../services/mongoService.js';
+import recordingService from '../services/recordingService.js';
 import {
   createRecordingStartEmbed,
   createErrorEmbed,
@@ -21,6 +19,12 @@ export const data = new SlashCommandBuilder()
       .setName('title')
       .setDescription('Optional: Title for this meeting')
       .setRequired(false)
+  )
+  .addBooleanOption((option) =>
+    option
+      .setName('live')
+      .setDescription('Post a live transcript in a thread (default: server setting)')
+      .setRequired(false)
   );
 
 /**
@@ -42,38 +46,20 @@ export async function execute(interaction) {
     }
 
     const voiceChannel = interaction.member.voice.channel;
-    const participants = Array.from(voiceChannel.members.values());
-    const participantNames = participants.map((m) => m.displayName);
-
-    // Generate unique meeting ID
-    const meetingId = `mtg_${uuidv4().substring(0, 8)}`;
-
-    // Create meeting record in MongoDB
-    const meetingData = {
-      meetingId,
-      channelId: voiceChannel.id,
-      channelName: voiceChannel.name,
-      guildId: interaction.guildId,
-      guildName: interaction.guild.name,
-      startTimestamp: new Date(),
-      recordingStatus: 'recording',
-      participants: participants.map((m) => ({
-        userId: m.id,
-        username: m.displayName,
-        joinedAt: new Date(),
-        duration: 0,
-        wasDeafened: m.voice.deaf,
-        speakingTime: 0,
-      })),
-    };
 
-    await mongoService.createMeeting(meetingData);
+    // Only one recording per server: the bot can be in one voice channel
+    if (recordingService.isGuildRecording(voiceChannel.guild.id)) {
+      const embed = createErrorEmbed(
+        'Already Recording',
+        'A meeting is already being recorded in this server. Stop it before starting another.'
+      );
+      return await interaction.editReply({ embeds: [embed] });
+    }
 
-    // Start audio recording
-    const recordingSession = await audioRecorder.startRecording(
+    // Create the meeting record and start audio recording
+    const { meetingId, session, participantNames } = await recordingService.startRecording(
       voiceChannel,
-      meetingId,
-      interaction.client
+      { client: interaction.client, textChannelId: interaction.channelId }
     );
 
     // Create and send start notification
@@ -82,18 +68,18 @@ export async function execute(interaction) {
       participantNames
     );
 
-    logger.info('Recording started', {
-      meetingId,
-      channelName: voiceChannel.name,
-      participants: participantNames.length,
-      guildId: interaction.guildId,
-    });
-
-    await interaction.editReply({
+    const startMessage = await interaction.editReply({
       embeds: [startEmbed],
       content: `🎙️ **Recording Started**\nMeeting ID: \`${meetingId}\``,
     });
 
+    // Optional live transcript thread on the start message
+    await recordingService.startLiveTranscript(meetingId, startMessage, {
+      guildId: interaction.guildId,
+      startTime: session.startTime,
+      override: interaction.options.getBoolean('live'),
+    });
+
     // Send notification to guild (optional: to a configured channel)
     try {
       if (voiceChannel.guild.systemChannel) {
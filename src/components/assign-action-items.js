@@ -0,0 +1,34 @@
+import { MessageFlags } from 'discord.js';
+import actionItemService from '../services/actionItemService.js';
+import { createErrorEmbed } from '../utils/embedBuilder.js';
+import { COMPONENT_IDS, createActionItemPickerComponents } from '../utils/componentBuilder.js';
+
+/**
+ * Assign Action Items Button
+ * Starts a private two-step flow: pick an item, then pick its assignee
+ * (handled by pick-action-item.js and pick-assignee.js)
+ */
+export const customId = COMPONENT_IDS.assignActionItems;
+
+/**
+ * Handle a click on "Assign action items"
+ * @param {ButtonInteraction} interaction - Discord interaction object
+ * @param {string} meetingId - Meeting ID from the custom ID
+ */
+export async function execute(interaction, meetingId) {
+  const { items } = await actionItemService.list(
+    { guildId: interaction.guildId, meetingId, status: 'open' },
+    { limit: 25 }
+  );
+
+  if (items.length === 0) {
+    const embed = createErrorEmbed('No Open Action Items', 'Every action item from this meeting is closed.');
+    return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+  }
+
+  await interaction.reply({
+    content: '👤 Which action item do you want to assign?',
+    components: createActionItemPickerComponents(meetingId, items),
+    flags: MessageFlags.Ephemeral,
+  });
+}
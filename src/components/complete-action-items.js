@@ -0,0 +1,54 @@
+import { MessageFlags } from 'discord.js';
+import logger from '../utils/logger.js';
+import mongoService from '../services/mongoService.js';
+import actionItemService from '../services/actionItemService.js';
+import ActionItem from '../models/ActionItem.js';
+import { createActionItemListEmbed } from '../utils/embedBuilder.js';
+import { COMPONENT_IDS, createMeetingSummaryComponents } from '../utils/componentBuilder.js';
+
+/**
+ * Complete Action Items Menu
+ * Marks the chosen items done from the meeting summary message, then
+ * refreshes the message's components so only open items remain
+ */
+export const customId = COMPONENT_IDS.completeActionItems;
+
+/**
+ * Handle a choice in the "Mark action items done" menu
+ * @param {StringSelectMenuInteraction} interaction - Discord interaction object
+ * @param {string} meetingId - Meeting ID from the custom ID
+ */
+export async function execute(interaction, meetingId) {
+  const meeting = await mongoService.findMeeting(meetingId);
+  if (!meeting || meeting.guildId !== interaction.guildId) {
+    return interaction.reply({ content: '⚠️ This meeting no longer exists.', flags: MessageFlags.Ephemeral });
+  }
+
+  const items = await ActionItem.find({
+    itemId: { $in: interaction.values },
+    meetingId,
+    status: 'open',
+  });
+
+  const completed = [];
+  for (const item of items) {
+    completed.push(await actionItemService.update(item.itemId, { status: 'done' }, interaction.user.id));
+  }
+
+  logger.info('Action items completed from summary message', {
+    meetingId,
+    itemIds: completed.map((item) => item.itemId),
+    userId: interaction.user.id,
+  });
+
+  const { items: openItems } = await actionItemService.list(
+    { guildId: interaction.guildId, meetingId, status: 'open' },
+    { limit: 25 }
+  );
+
+  await interaction.update({ components: createMeetingSummaryComponents(meeting, openItems) });
+  await interaction.followUp({
+    embeds: [createActionItemListEmbed(completed, { title: '✅ Marked Done' })],
+    flags: MessageFlags.Ephemeral,
+  });
+}
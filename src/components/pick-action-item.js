@@ -0,0 +1,25 @@
+import ActionItem from '../models/ActionItem.js';
+import { COMPONENT_IDS, createAssigneePickerComponents } from '../utils/componentBuilder.js';
+
+/**
+ * Action Item Picker
+ * Second step of assigning: asks for the assignee of the chosen item
+ */
+export const customId = COMPONENT_IDS.pickActionItem;
+
+/**
+ * Handle a choice in the action item menu
+ * @param {StringSelectMenuInteraction} interaction - Discord interaction object
+ */
+export async function execute(interaction) {
+  const item = await ActionItem.findByItemId(interaction.values[0]);
+
+  if (!item || item.guildId !== interaction.guildId) {
+    return interaction.update({ content: '⚠️ That action item no longer exists.', components: [] });
+  }
+
+  await interaction.update({
+    content: `👤 Who is responsible for **${item.task}**?`,
+    components: createAssigneePickerComponents(item),
+  });
+}
@@ -0,0 +1,40 @@
+import logger from '../utils/logger.js';
+import actionItemService from '../services/actionItemService.js';
+import ActionItem from '../models/ActionItem.js';
+import { createActionItemListEmbed } from '../utils/embedBuilder.js';
+import { COMPONENT_IDS } from '../utils/componentBuilder.js';
+
+/**
+ * Assignee Picker
+ * Last step of assigning: saves the chosen user as the item's assignee
+ */
+export const customId = COMPONENT_IDS.pickAssignee;
+
+/**
+ * Handle a choice in the assignee menu
+ * @param {UserSelectMenuInteraction} interaction - Discord interaction object
+ * @param {string} itemId - Action item ID from the custom ID
+ */
+export async function execute(interaction, itemId) {
+  const existing = await ActionItem.findByItemId(itemId);
+  if (!existing || existing.guildId !== interaction.guildId) {
+    return interaction.update({ content: '⚠️ That action item no longer exists.', components: [] });
+  }
+
+  const user = interaction.users.first();
+  const member = interaction.members?.get(user.id);
+
+  const item = await actionItemService.update(
+    itemId,
+    { assigneeName: member?.displayName || user.globalName || user.username, assigneeId: user.id },
+    interaction.user.id
+  );
+
+  logger.info('Action item assigned', { itemId, assigneeId: user.id, userId: interaction.user.id });
+
+  await interaction.update({
+    content: '',
+    embeds: [createActionItemListEmbed([item], { title: '👤 Action Item Assigned' })],
+    components: [],
+  });
+}
@@ -0,0 +1,60 @@
+import { MessageFlags, PermissionFlagsBits } from 'discord.js';
+import logger from '../utils/logger.js';
+import mongoService from '../services/mongoService.js';
+import processingQueue from '../services/processingQueue.js';
+import { createErrorEmbed } from '../utils/embedBuilder.js';
+import { COMPONENT_IDS } from '../utils/componentBuilder.js';
+
+/**
+ * Regenerate Summary Button
+ * Re-runs the summary and upload stages of a meeting. Limited to the
+ * meeting's participants and server managers, since it calls the
+ * summary provider again
+ */
+export const customId = COMPONENT_IDS.regenerateSummary;
+
+/**
+ * Handle a click on "Regenerate summary"
+ * @param {ButtonInteraction} interaction - Discord interaction object
+ * @param {string} meetingId - Meeting ID from the custom ID
+ */
+export async function execute(interaction, meetingId) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const meeting = await mongoService.findMeeting(meetingId);
+  if (!meeting || meeting.guildId !== interaction.guildId) {
+    const embed = createErrorEmbed('Meeting Not Found', `No meeting \`${meetingId}\` was found in this server.`);
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  const isParticipant = meeting.participants.some((p) => p.userId === interaction.user.id);
+  if (!isParticipant && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    const embed = createErrorEmbed(
+      'Not Allowed',
+      'Only meeting participants and server managers can regenerate the summary.'
+    );
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  try {
+    await processingQueue.reprocess(meetingId, {
+      stages: ['summary', 'upload'],
+      channelId: interaction.channelId,
+      trigger: 'button',
+      requestedBy: interaction.user.id,
+    });
+  } catch (error) {
+    const embed = createErrorEmbed('Cannot Regenerate Summary', error.message);
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  logger.info('Summary regeneration queued', { meetingId, userId: interaction.user.id });
+
+  const embed = createErrorEmbed(
+    'Regenerating Summary',
+    `Meeting ${meetingId}\n⏳ A new summary will be posted in this channel.`,
+    'processing'
+  );
+  embed.setColor('#FFA500');
+  await interaction.editReply({ embeds: [embed] });
+}
@@ -0,0 +1,39 @@
+import { AttachmentBuilder, MessageFlags } from 'discord.js';
+import mongoService from '../services/mongoService.js';
+import { createErrorEmbed } from '../utils/embedBuilder.js';
+import { COMPONENT_IDS } from '../utils/componentBuilder.js';
+
+/**
+ * Transcripts up to this length are shown inline; longer ones are attached
+ */
+const INLINE_TRANSCRIPT_LENGTH = 1900;
+
+/**
+ * Show Transcript Button
+ * Sends the meeting transcript privately to whoever clicked
+ */
+export const customId = COMPONENT_IDS.showTranscript;
+
+/**
+ * Handle a click on "Show full transcript"
+ * @param {ButtonInteraction} interaction - Discord interaction object
+ * @param {string} meetingId - Meeting ID from the custom ID
+ */
+export async function execute(interaction, meetingId) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const meeting = await mongoService.findMeeting(meetingId);
+  if (!meeting || meeting.guildId !== interaction.guildId || !meeting.transcript) {
+    const embed = createErrorEmbed('Transcript Not Available', `No transcript was found for \`${meetingId}\`.`);
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  if (meeting.transcript.length <= INLINE_TRANSCRIPT_LENGTH) {
+    return interaction.editReply({ content: `📝 **Transcript** - ${meetingId}\n\`\`\`\n${meeting.transcript}\n\`\`\`` });
+  }
+
+  const file = new AttachmentBuilder(Buffer.from(meeting.transcript, 'utf-8'), {
+    name: `${meetingId}-transcript.txt`,
+  });
+  await interaction.editReply({ content: `📝 **Transcript** - ${meetingId}`, files: [file] });
+}
@@ -1,12 +1,14 @@
 import logger from '../utils/logger.js';
 import audioRecorder from '../services/audioRecorder.js';
 import mongoService from '../services/mongoService.js';
+import recordingService from '../services/recordingService.js';
 
 /**
  * Voice State Update Event Handler
  * Monitors voice channel state changes to:
+ * - Auto-start recordings in watched channels
  * - Track when users join/leave during recordings
- * - Auto-stop recordings when channel becomes empty
+ * - Auto-stop and process recordings when the channel stays empty
  * - Update participant metadata
  */
 export default {
@@ -32,13 +34,13 @@ export default {
 
       // User joined a voice channel
       if (!oldChannel && newChannel) {
-        await handleUserJoinedChannel(newChannel, member);
+        await handleUserJoinedChannel(newChannel, member, client);
       }
 
       // User switched channels
       if (oldChannel && newChannel && oldChannel.id !== newChannel.id) {
         await handleUserLeftChannel(oldChannel, member);
-        await handleUserJoinedChannel(newChannel, member);
+        await handleUserJoinedChannel(newChannel, member, client);
       }
     } catch (error) {
       logger.error('Error in voiceStateUpdate handler', {
@@ -78,9 +80,10 @@ async function handleUserLeftChannel(channel, member) {
     
     // Update participant data
     try {
-      // Calculate duration properly - use session startTime, not channelRecording
-      const participantDuration = session && session.startTime 
-        ? Math.floor((Date.now() - session.startTime) / 1000) // Convert to seconds
+      // Calculate duration properly - use session startTime, not channelRecording,
+      // and leave out time spent paused
+      const participantDuration = session && session.startTime
+        ? Math.floor((Date.now() - session.startTime - audioRecorder.getPausedTime(session)) / 1000) // Convert to seconds
         : 0;
 
       await mongoService.updateParticipant(
@@ -103,46 +106,20 @@ async function handleUserLeftChannel(channel, member) {
     const remainingMembers = channel.members.filter((m) => !m.user.bot);
 
     if (remainingMembers.size === 0) {
+      // Stop after the grace period unless someone rejoins; processing
+      // results go to the guild's output channel
+      const delaySeconds = await recordingService.scheduleAutoStop(
+        channelRecording.meetingId,
+        channel.guild,
+        'auto_empty_channel'
+      );
+
       logger.info('Voice channel empty, auto-stopping recording', {
         meetingId: channelRecording.meetingId,
         channelId: channel.id,
         channelName: channel.name,
+        delaySeconds,
       });
-
-      // Auto-stop the recording
-      try {
-        const recordingInfo = await audioRecorder.stopRecording(
-          channelRecording.meetingId
-        );
-
-        // Update meeting status
-        await mongoService.updateMeeting(channelRecording.meetingId, {
-          recordingStatus: 'completed',
-          endTimestamp: new Date(),
-          duration: recordingInfo.duration,
-          endReason: 'auto_empty_channel',
-        });
-
-        logger.info('Recording auto-stopped successfully', {
-          meetingId: channelRecording.meetingId,
-          duration: recordingInfo.duration,
-        });
-
-        // Optionally notify in text channel
-        if (channel.guild.systemChannel) {
-          await channel.guild.systemChannel.send(
-            `🔴 **Recording Auto-Stopped**\n` +
-              `Meeting \`${channelRecording.meetingId}\` ended because everyone left the voice channel.\n` +
-              `Duration: ${recordingInfo.duration}s | Participants: ${recordingInfo.participantCount}\n` +
-              `Use \`/stop-recording\` if you want to process and view the results.`
-          );
-        }
-      } catch (error) {
-        logger.error('Error auto-stopping recording', {
-          error: error.message,
-          meetingId: channelRecording.meetingId,
-        });
-      }
     }
   } catch (error) {
     logger.error('Error handling user left channel', {
@@ -156,8 +133,9 @@ async function handleUserLeftChannel(channel, member) {
  * Handle user joining a voice channel
  * @param {VoiceChannel} channel - Voice channel user joined
  * @param {GuildMember} member - Member who joined
+ * @param {Client} client - Discord client
  */
-async function handleUserJoinedChannel(channel, member) {
+async function handleUserJoinedChannel(channel, member, client) {
   try {
     // Check if there's an active recording in this channel
     const activeRecordings = audioRecorder.getActiveRecordings();
@@ -166,7 +144,18 @@ async function handleUserJoinedChannel(channel, member) {
     );
 
     if (!channelRecording) {
-      return; // No active recording
+      // Watched channels start recording once enough people are in them
+      if (!member.user.bot) {
+        await recordingService.maybeAutoStart(channel, client);
+      }
+      return;
+    }
+
+    if (!member.user.bot && recordingService.cancelAutoStop(channelRecording.meetingId)) {
+      logger.info('Auto-stop cancelled, channel no longer empty', {
+        meetingId: channelRecording.meetingId,
+        userId: member.id,
+      });
     }
 
     logger.debug(`User joined voice channel during recording`, {
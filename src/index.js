@@ -6,6 +6,10 @@ import { Client, GatewayIntentBits, Collection, REST, Routes } from 'discord.js'
 import logger from './utils/logger.js';
 import mongoService from './services/mongoService.js';
 import audioRecorder from './services/audioRecorder.js';
+import processingQueue from './services/processingQueue.js';
+import actionItemService from './services/actionItemService.js';
+import searchService from './services/searchService.js';
+import transcriptionService from './services/transcriptionService.js';
 import apiRouter from './api/routes/index.js';
 import { notFoundHandler, errorHandler } from './api/utils/errorHandler.js';
 import mcpRouter from './api/routes/mcp.js';
@@ -28,6 +32,9 @@ const client = new Client({
 // Store commands in collection
 client.commands = new Collection();
 
+// Store message component handlers (buttons, select menus) by custom ID prefix
+client.components = new Collection();
+
 // ============================================
 // EXPRESS API SERVER SETUP
 // ============================================
@@ -46,10 +53,20 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Query parameters that may carry credentials and must not be logged
+const REDACTED_QUERY_PARAMS = ['token', 'auth'];
+
 // Request logging middleware
 app.use((req, res, next) => {
+  const query = { ...req.query };
+  for (const param of REDACTED_QUERY_PARAMS) {
+    if (query[param] !== undefined) {
+      query[param] = '[redacted]';
+    }
+  }
+
   logger.debug(`${req.method} ${req.path}`, {
-    query: req.query,
+    query,
     ip: req.ip,
   });
   next();
@@ -58,8 +75,30 @@ app.use((req, res, next) => {
 // Import API routes (will create these in Part 7)
 // Import will be added later when routes are created
 
+// How long /health reuses a transcription backend check
+const TRANSCRIPTION_HEALTH_TTL_MS = 30 * 1000;
+let transcriptionHealth = null; // { checkedAt, result: Promise }
+
+/**
+ * Check the default transcription backend at most once per TTL
+ * /health is unauthenticated, so each hit must not reach the backend
+ * @returns {Promise<Object>} Result of transcriptionService.checkWhisperHealth()
+ */
+function getTranscriptionHealth() {
+  if (!transcriptionHealth || Date.now() - transcriptionHealth.checkedAt > TRANSCRIPTION_HEALTH_TTL_MS) {
+    transcriptionHealth = {
+      checkedAt: Date.now(),
+      result: transcriptionService.checkWhisperHealth(),
+    };
+  }
+
+  return transcriptionHealth.result;
+}
+
 // Health check endpoint (no auth required)
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  const transcription = await getTranscriptionHealth();
+
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
@@ -67,6 +106,10 @@ app.get('/health', (req, res) => {
     services: {
       discord: client.isReady() ? 'connected' : 'disconnected',
       mongodb: mongoService.isConnected ? mongoService.isConnected() ? 'connected' : 'disconnected' : 'unknown',
+      transcription: {
+        backend: transcription.backend,
+        status: transcription.healthy ? 'healthy' : 'unavailable',
+      },
     },
   });
 });
@@ -191,6 +234,33 @@ async function startBot() {
 
     console.log(`✅ Loaded ${commands.length} commands`);
 
+    // Load message component handlers
+    const componentsPath = path.join(__dirname, 'components');
+
+    if (fs.existsSync(componentsPath)) {
+      const componentFiles = fs
+        .readdirSync(componentsPath)
+        .filter((file) => file.endsWith('.js'));
+
+      for (const file of componentFiles) {
+        try {
+          const filePath = path.join(componentsPath, file);
+          const fileUrl = new URL(`file://${filePath}`);
+          const component = await import(fileUrl.href);
+
+          if (component.customId && component.execute) {
+            client.components.set(component.customId, component);
+          } else {
+            console.warn(`  ⚠️  Skipping ${file}: missing customId or execute`);
+          }
+        } catch (error) {
+          console.error(`  ❌ Error loading ${file}:`, error.message);
+        }
+      }
+
+      console.log(`✅ Loaded ${client.components.size} component handlers`);
+    }
+
     // Load events
     console.log('📦 Loading events...');
     const eventsPath = path.join(__dirname, 'events');
@@ -237,6 +307,49 @@ async function startBot() {
      * Handle interaction events (slash commands, buttons, etc.)
      */
     client.on('interactionCreate', async (interaction) => {
+      // Option suggestions for commands that export autocomplete()
+      if (interaction.isAutocomplete()) {
+        const command = client.commands.get(interaction.commandName);
+        try {
+          await command?.autocomplete?.(interaction);
+        } catch (error) {
+          logger.warn('Error handling autocomplete', {
+            error: error.message,
+            command: interaction.commandName,
+          });
+        }
+        return;
+      }
+
+      // Buttons and select menus: custom IDs are `<prefix>:<argument>`
+      if (interaction.isMessageComponent()) {
+        const [prefix, argument] = interaction.customId.split(':');
+        const component = client.components.get(prefix);
+        if (!component) return;
+
+        try {
+          await component.execute(interaction, argument);
+        } catch (error) {
+          logger.error('Error handling component interaction', {
+            error: error.message,
+            customId: interaction.customId,
+            userId: interaction.user.id,
+          });
+
+          const reply = {
+            content: '⚠️ An error occurred while handling this action.',
+            ephemeral: true,
+          };
+
+          if (interaction.replied || interaction.deferred) {
+            await interaction.followUp(reply);
+          } else {
+            await interaction.reply(reply);
+          }
+        }
+        return;
+      }
+
       if (!interaction.isChatInputCommand()) return;
 
       const command = client.commands.get(interaction.commandName);
@@ -284,6 +397,23 @@ async function startBot() {
         console.log('ℹ️  No MONGODB_URI configured, skipping database connection');
       }
 
+      // Resume and process queued recordings
+      if (mongoService.isConnected()) {
+        try {
+          await processingQueue.start(readyClient);
+          console.log('✅ Processing queue started');
+        } catch (error) {
+          console.error('⚠️  Failed to start processing queue:', error.message);
+          logger.error('Failed to start processing queue', { error: error.message });
+        }
+
+        actionItemService.start(readyClient);
+        console.log('✅ Action item reminders started');
+
+        // Older meetings have no transcript segments to search; runs in the background
+        searchService.backfillSegments();
+      }
+
       // Start Express API server
       try {
         console.log('🌐 Starting Express API server...');
@@ -360,6 +490,10 @@ async function shutdown() {
   logger.info('Shutting down bot...');
 
   try {
+    // Stop picking up new processing jobs
+    processingQueue.stop();
+    actionItemService.stop();
+
     // Stop all active recordings
     await audioRecorder.shutdownAll();
     console.log('✅ Audio recorder shutdown complete');
@@ -0,0 +1,461 @@
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import Meeting from '../models/Meeting.js';
+import logger from '../utils/logger.js';
+import mongoService from '../services/mongoService.js';
+import meetingEvents from '../services/meetingEvents.js';
+import actionItemService from '../services/actionItemService.js';
+import { ACTION_ITEM_STATUSES } from '../models/ActionItem.js';
+import searchService from '../services/searchService.js';
+import embeddingService from '../services/embeddingService.js';
+import { formatMeetingAsMarkdown } from '../api/utils/meetingMarkdown.js';
+import { formatTranscriptSegment } from '../api/utils/responseFormatter.js';
+import { formatChunkTimestamp } from '../utils/transcriptChunker.js';
+
+/**
+ * Meetings listed by meetings://list and the meeting resource template
+ */
+const RESOURCE_LIST_LIMIT = 50;
+
+const INSTRUCTIONS = `TeamTape records Discord voice meetings, transcribes them and summarizes them.
+Read meetings://list for recent meetings and meetings://meeting/{id} for a full transcript.
+Use search_meetings to find where something was discussed, get_transcript_range to read
+around a timestamp, get_action_items for follow-ups, and ask_meetings for open questions.
+Timestamps are positions in the meeting recording (HH:MM:SS).
+Subscribe to meetings://list to be notified when a new meeting has been processed.`;
+
+/**
+ * Meetings included in a weekly recap
+ */
+const RECAP_MEETING_LIMIT = 30;
+
+/**
+ * Build a human-readable meeting title
+ * @param {Object} meeting - Meeting document
+ * @returns {string}
+ */
+function meetingTitle(meeting) {
+  const date = new Date(meeting.startTimestamp).toISOString().slice(0, 16).replace('T', ' ');
+  return `${meeting.channelName || 'Meeting'} - ${date} UTC`;
+}
+
+/**
+ * Wrap text as a tool result
+ * @param {string} text - Result text
+ * @param {boolean} isError - Whether the tool failed
+ * @returns {Object} MCP CallToolResult
+ */
+function textResult(text, isError = false) {
+  return { content: [{ type: 'text', text }], ...(isError && { isError: true }) };
+}
+
+/**
+ * Register meeting resources
+ * @param {McpServer} server - MCP server
+ */
+function registerResources(server) {
+  server.registerResource(
+    'meeting-list',
+    'meetings://list',
+    {
+      title: 'Meeting List',
+      description: 'Recent recorded meetings with summaries, key points, action items and participants',
+      mimeType: 'application/json',
+    },
+    async (uri) => {
+      const meetings = await Meeting.find()
+        .select('-transcript -summary.chunks')
+        .sort({ startTimestamp: -1 })
+        .limit(RESOURCE_LIST_LIMIT);
+
+      const list = meetings.map((meeting) => ({
+        uri: `meetings://meeting/${meeting.meetingId}`,
+        id: meeting.meetingId,
+        title: meetingTitle(meeting),
+        guildId: meeting.guildId,
+        startTime: meeting.startTimestamp,
+        duration: meeting.duration,
+        status: meeting.recordingStatus,
+        participants: meeting.participants.map((p) => p.username),
+        executiveSummary: meeting.summary?.executiveSummary || null,
+        keyPoints: meeting.summary?.keyPoints || [],
+        actionItems: meeting.summary?.actionItems || [],
+      }));
+
+      return {
+        contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(list, null, 2) }],
+      };
+    }
+  );
+
+  server.registerResource(
+    'meeting',
+    new ResourceTemplate('meetings://meeting/{id}', {
+      list: async () => {
+        const meetings = await Meeting.find()
+          .select('meetingId channelName startTimestamp summary.executiveSummary')
+          .sort({ startTimestamp: -1 })
+          .limit(RESOURCE_LIST_LIMIT);
+
+        return {
+          resources: meetings.map((meeting) => ({
+            uri: `meetings://meeting/${meeting.meetingId}`,
+            name: meetingTitle(meeting),
+            description: meeting.summary?.executiveSummary || undefined,
+            mimeType: 'text/markdown',
+          })),
+        };
+      },
+    }),
+    {
+      title: 'Meeting Detail',
+      description: 'Full transcript, summary and participants of a meeting, as Markdown',
+      mimeType: 'text/markdown',
+    },
+    async (uri, { id }) => {
+      const meeting = await Meeting.findByMeetingId(id);
+      if (!meeting) {
+        throw new Error(`Meeting not found: ${id}`);
+      }
+
+      return {
+        contents: [{ uri: uri.href, mimeType: 'text/markdown', text: formatMeetingAsMarkdown(meeting) }],
+      };
+    }
+  );
+}
+
+/**
+ * Register meeting tools
+ * @param {McpServer} server - MCP server
+ */
+function registerTools(server) {
+  server.registerTool(
+    'search_meetings',
+    {
+      title: 'Search meetings',
+      description:
+        'Full-text search over transcripts, summaries, key points and action items. ' +
+        'Supports "quoted phrases" and -excluded words. Returns matching meetings with timestamped snippets.',
+      inputSchema: {
+        query: z.string().min(1).describe('Search text'),
+        guildId: z.string().optional().describe('Only search this Discord server'),
+        limit: z.number().int().min(1).max(50).optional().describe('Maximum meetings (default 10)'),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    async ({ query, guildId, limit = 10 }) => {
+      const { total, results } = await searchService.search(query, { guildId, limit });
+
+      if (results.length === 0) {
+        return textResult(`No meetings matched "${query}".`);
+      }
+
+      const lines = [`${total} meeting(s) matched "${query}".`];
+      for (const result of results) {
+        lines.push('', `## ${meetingTitle(result.meeting)} (${result.meeting.meetingId})`);
+        for (const hit of result.hits) {
+          if (hit.type === 'transcript') {
+            const formatted = formatTranscriptSegment(
+              hit.segment,
+              result.meeting.audioStartTimestamp || result.meeting.startTimestamp
+            );
+            lines.push(
+              `- [${formatChunkTimestamp(formatted.audioStart ?? formatted.start)}] ${formatted.speaker}: ${hit.snippet}`
+            );
+          } else {
+            lines.push(`- (${hit.type}) ${hit.snippet}`);
+          }
+        }
+      }
+
+      return textResult(lines.join('\n'));
+    }
+  );
+
+  server.registerTool(
+    'get_action_items',
+    {
+      title: 'Get action items',
+      description:
+        'List tracked action items with their status, owner and due date. ' +
+        'Open items come first, soonest due first.',
+      inputSchema: {
+        guildId: z.string().optional().describe('Only this Discord server'),
+        meetingId: z.string().optional().describe('Only items from this meeting'),
+        status: z.enum([...ACTION_ITEM_STATUSES, 'all']).optional().describe('Status filter (default open)'),
+        assignee: z.string().optional().describe('Only items whose assignee name contains this (case-insensitive)'),
+        assigneeId: z.string().optional().describe('Only items assigned to this Discord user ID'),
+        since: z.string().optional().describe('Only items from meetings (or added) on or after this ISO date'),
+        limit: z.number().int().min(1).max(100).optional().describe('Maximum items (default 50)'),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    async ({ guildId, meetingId, status = 'open', assignee, assigneeId, since, limit = 50 }) => {
+      let sinceDate;
+      if (since) {
+        sinceDate = new Date(since);
+        if (Number.isNaN(sinceDate.getTime())) {
+          return textResult(`Invalid date: ${since}`, true);
+        }
+      }
+
+      const { items } = await actionItemService.list(
+        { guildId, meetingId, status, assigneeId, since: sinceDate },
+        { limit: assignee ? 1000 : limit }
+      );
+
+      const lines = items
+        .filter((item) => !assignee || item.assigneeName?.toLowerCase().includes(assignee.toLowerCase()))
+        .slice(0, limit)
+        .map((item) => {
+          const owner = item.assigneeName ? ` (${item.assigneeName})` : '';
+          const due = item.dueDate ? ` - due ${new Date(item.dueDate).toISOString().slice(0, 10)}` : '';
+          const meeting = item.meetingId ? ` [${item.meetingId}]` : '';
+          return `- ${item.itemId} [${item.status}] ${item.task}${owner}${due}${meeting}`;
+        });
+
+      return textResult(lines.length > 0 ? lines.join('\n') : 'No action items found.');
+    }
+  );
+
+  server.registerTool(
+    'get_transcript_range',
+    {
+      title: 'Get transcript range',
+      description:
+        'Read part of a meeting transcript between two positions in the recording, in seconds. ' +
+        'Use it to read around a timestamp returned by search_meetings.',
+      inputSchema: {
+        meetingId: z.string().describe('Meeting ID'),
+        start: z.number().min(0).optional().describe('Start position in seconds (default 0)'),
+        end: z.number().min(0).optional().describe('End position in seconds (default end of meeting)'),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    async ({ meetingId, start = 0, end = Infinity }) => {
+      const meeting = await mongoService.findMeeting(meetingId);
+      if (!meeting) {
+        return textResult(`Meeting not found: ${meetingId}`, true);
+      }
+
+      const segments = await mongoService.getTranscriptSegments(meetingId);
+      if (segments.length === 0) {
+        return textResult('Transcript segments are not available for this meeting.', true);
+      }
+
+      const anchor = meeting.audioStartTimestamp || meeting.startTimestamp;
+      const lines = segments
+        .map((segment) => formatTranscriptSegment(segment, anchor))
+        .filter((segment) => {
+          const position = segment.audioStart ?? segment.start;
+          return position >= start && position <= end;
+        })
+        .map((segment) => `[${formatChunkTimestamp(segment.audioStart ?? segment.start)}] ${segment.speaker}: ${segment.text}`);
+
+      return textResult(
+        lines.length > 0
+          ? `# ${meetingTitle(meeting)}\n\n${lines.join('\n')}`
+          : 'Nothing was said in that part of the meeting.'
+      );
+    }
+  );
+
+  server.registerTool(
+    'ask_meetings',
+    {
+      title: 'Ask about past meetings',
+      description:
+        'Answer a question from the most relevant transcript excerpts of a server\'s meetings, ' +
+        'with citations to meeting IDs and timestamps',
+      inputSchema: {
+        question: z.string().min(1).describe('Question in natural language'),
+        guildId: z.string().describe('Discord server whose meetings are searched'),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    async ({ question, guildId }) => {
+      const { answer, citations } = await embeddingService.ask(question, { guildId });
+
+      const sources = citations.map(
+        (citation) =>
+          `[${citation.ref}] ${citation.meetingId} (#${citation.channelName || 'unknown'}) at ${formatChunkTimestamp(
+            citation.audioStart ?? citation.startTime
+          )}`
+      );
+
+      return textResult(sources.length > 0 ? `${answer}\n\nSources:\n${sources.join('\n')}` : answer);
+    }
+  );
+}
+
+/**
+ * Register prompt templates
+ * @param {McpServer} server - MCP server
+ */
+function registerPrompts(server) {
+  server.registerPrompt(
+    'weekly_recap',
+    {
+      title: 'Weekly recap',
+      description: 'Recap the decisions, progress and open action items of recent meetings',
+      argsSchema: {
+        guildId: z.string().optional().describe('Only this Discord server'),
+        days: z.string().optional().describe('How many days back to include (default 7)'),
+      },
+    },
+    async ({ guildId, days }) => {
+      const period = Math.max(1, parseInt(days) || 7);
+      const filter = {
+        recordingStatus: 'completed',
+        startTimestamp: { $gte: new Date(Date.now() - period * 24 * 60 * 60 * 1000) },
+      };
+      if (guildId) filter.guildId = guildId;
+
+      const meetings = await Meeting.find(filter)
+        .select('-transcript -summary.chunks')
+        .sort({ startTimestamp: 1 })
+        .limit(RECAP_MEETING_LIMIT);
+
+      const notes =
+        meetings.length > 0
+          ? meetings.map((meeting) => formatMeetingAsMarkdown(meeting, { includeTranscript: false })).join('\n\n---\n\n')
+          : '_No meetings were recorded in this period._';
+
+      return {
+        description: `Recap of ${meetings.length} meeting(s) from the last ${period} day(s)`,
+        messages: [
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: `Write a recap of our meetings from the last ${period} day(s) for people who missed them.
+Group it by topic rather than by meeting, and cover:
+- Decisions made
+- Progress and notable updates
+- Open action items, with their owners
+- Risks or questions that are still unresolved
+Keep it under 400 words and mention which meeting each point comes from.
+
+Meeting notes:
+
+${notes}`,
+            },
+          },
+        ],
+      };
+    }
+  );
+
+  server.registerPrompt(
+    'follow_up_email',
+    {
+      title: 'Follow-up email',
+      description: 'Draft a follow-up email to the participants of a meeting',
+      argsSchema: {
+        meetingId: completable(z.string().describe('Meeting ID'), async (value) => {
+          const meetings = await Meeting.find({ meetingId: { $regex: `^${value.replace(/[^\w-]/g, '')}` } })
+            .select('meetingId')
+            .sort({ startTimestamp: -1 })
+            .limit(20);
+          return meetings.map((meeting) => meeting.meetingId);
+        }),
+      },
+    },
+    async ({ meetingId }) => {
+      const meeting = await Meeting.findByMeetingId(meetingId);
+      if (!meeting) {
+        throw new Error(`Meeting not found: ${meetingId}`);
+      }
+
+      return {
+        description: `Follow-up email for ${meetingTitle(meeting)}`,
+        messages: [
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: `Draft a follow-up email to the participants of this meeting.
+Thank them briefly, summarize what was decided, list every action item with its owner
+and due date (if any), and note open questions. Use a clear subject line and a
+friendly, professional tone. Only include facts from the notes below.
+
+${formatMeetingAsMarkdown(meeting)}`,
+            },
+          },
+        ],
+      };
+    }
+  );
+}
+
+/**
+ * Support resources/subscribe and notify the client when meetings complete
+ * Clients subscribed to meetings://list, or to a meeting's own URI, receive
+ * notifications/resources/updated; all clients receive list_changed
+ * @param {McpServer} server - MCP server
+ */
+function registerSubscriptions(server) {
+  const subscriptions = new Set();
+
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  const onCompleted = async ({ meetingId }) => {
+    if (!server.isConnected()) {
+      return;
+    }
+
+    try {
+      server.sendResourceListChanged();
+      for (const uri of ['meetings://list', `meetings://meeting/${meetingId}`]) {
+        if (subscriptions.has(uri)) {
+          await server.server.sendResourceUpdated({ uri });
+        }
+      }
+    } catch (error) {
+      logger.warn('Could not send MCP resource notification', { error: error.message, meetingId });
+    }
+  };
+
+  meetingEvents.on('completed', onCompleted);
+
+  const previousOnClose = server.server.onclose;
+  server.server.onclose = () => {
+    meetingEvents.off('completed', onCompleted);
+    previousOnClose?.();
+  };
+}
+
+/**
+ * Create an MCP server exposing the meeting archive
+ * A new server is created per connection: one for the stdio process,
+ * or one per Streamable HTTP session (see mcpController)
+ * @returns {McpServer}
+ */
+export function createMcpServer() {
+  const server = new McpServer(
+    { name: 'team-tape', version: process.env.npm_package_version || '1.0.0' },
+    { instructions: INSTRUCTIONS }
+  );
+
+  registerResources(server);
+  registerTools(server);
+  registerPrompts(server);
+  registerSubscriptions(server);
+
+  return server;
+}
+
+export default createMcpServer;
@@ -0,0 +1,48 @@
+import 'dotenv/config';
+
+/**
+ * Standalone MCP server over stdio
+ * For clients that launch the server themselves, such as Claude Desktop:
+ *   { "command": "node", "args": ["/path/to/team-tape/src/mcp/stdio.js"] }
+ * Reads the same .env as the bot and connects to its MongoDB; it does not
+ * need the bot to be running
+ */
+
+// stdout carries the protocol, so logs must go to stderr.
+// Set before the logger is first imported
+process.env.LOG_STDERR = 'true';
+
+const { default: logger } = await import('../utils/logger.js');
+const { default: mongoService } = await import('../services/mongoService.js');
+const { default: meetingEvents } = await import('../services/meetingEvents.js');
+const { StdioServerTransport } = await import('@modelcontextprotocol/sdk/server/stdio.js');
+const { createMcpServer } = await import('./server.js');
+
+if (!process.env.MONGODB_URI) {
+  logger.error('MONGODB_URI is not set; the MCP server needs the meeting database');
+  process.exit(1);
+}
+
+await mongoService.connect(process.env.MONGODB_URI);
+
+const server = createMcpServer();
+await server.connect(new StdioServerTransport());
+
+// Meetings are processed by the bot process, so watch the database for them
+meetingEvents.watchCompleted();
+
+logger.info('MCP server running on stdio');
+
+/**
+ * Close the transport and database connection, then exit
+ */
+async function shutdown() {
+  meetingEvents.stopWatching();
+  await server.close();
+  await mongoService.disconnect();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+process.stdin.on('close', shutdown);
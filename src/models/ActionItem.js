@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+
+/**
+ * Action item statuses
+ */
+export const ACTION_ITEM_STATUSES = ['open', 'done', 'cancelled'];
+
+/**
+ * Action item schema
+ * A follow-up task from a meeting, tracked until it is done or cancelled.
+ * Items are created from the meeting summary or added by hand, and the
+ * assignee is resolved to a Discord user so reminders can be sent
+ */
+const actionItemSchema = new mongoose.Schema(
+  {
+    itemId: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'Short public identifier (e.g. act_1a2b3c4d)',
+    },
+    meetingId: {
+      type: String,
+      description: 'Meeting the item was agreed in (optional for manual items)',
+    },
+    guildId: {
+      type: String,
+      required: true,
+      description: 'Discord guild ID',
+    },
+    task: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+      description: 'What needs to be done',
+    },
+    assigneeName: {
+      type: String,
+      description: 'Assignee as named in the summary or by the creator',
+    },
+    assigneeId: {
+      type: String,
+      description: 'Discord user ID of the assignee, when it could be resolved',
+    },
+    dueDate: {
+      type: Date,
+      description: 'When the item is due',
+    },
+    status: {
+      type: String,
+      enum: ACTION_ITEM_STATUSES,
+      default: 'open',
+      description: 'Current state of the item',
+    },
+    source: {
+      type: String,
+      enum: ['summary', 'manual'],
+      default: 'manual',
+      description: 'Whether the item was extracted from a summary or added by hand',
+    },
+    createdBy: {
+      type: String,
+      description: 'Discord user ID (or "api") that added a manual item',
+    },
+    completedAt: {
+      type: Date,
+      description: 'When the item was marked done or cancelled',
+    },
+    completedBy: {
+      type: String,
+      description: 'Discord user ID (or "api") that closed the item',
+    },
+    reminderSentAt: {
+      type: Date,
+      description: 'When the due-date reminder was sent to the assignee',
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'action_items',
+    strict: true,
+  }
+);
+
+actionItemSchema.index({ guildId: 1, status: 1, dueDate: 1 });
+actionItemSchema.index({ meetingId: 1 });
+actionItemSchema.index({ assigneeId: 1, status: 1 });
+actionItemSchema.index({ status: 1, reminderSentAt: 1, dueDate: 1 });
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Close the item as done or cancelled, or reopen it
+ * @param {string} status - New status
+ * @param {string} userId - Who changed it
+ * @returns {ActionItem} this
+ */
+actionItemSchema.methods.setStatus = function (status, userId) {
+  this.status = status;
+
+  if (status === 'open') {
+    this.completedAt = undefined;
+    this.completedBy = undefined;
+  } else {
+    this.completedAt = new Date();
+    this.completedBy = userId;
+  }
+
+  return this;
+};
+
+/**
+ * Static methods
+ */
+
+/**
+ * Find an item by its public ID
+ * @param {string} itemId - Action item ID
+ * @returns {Promise<ActionItem|null>}
+ */
+actionItemSchema.statics.findByItemId = async function (itemId) {
+  return this.findOne({ itemId });
+};
+
+/**
+ * Find open items that are due within a window and have not been reminded
+ * @param {Date} dueAfter - Earliest due date to include
+ * @param {Date} dueBefore - Latest due date to include
+ * @returns {Promise<ActionItem[]>}
+ */
+actionItemSchema.statics.findDueForReminder = async function (dueAfter, dueBefore) {
+  return this.find({
+    status: 'open',
+    assigneeId: { $exists: true, $ne: null },
+    dueDate: { $gte: dueAfter, $lte: dueBefore },
+    reminderSentAt: { $exists: false },
+  }).sort({ dueDate: 1 });
+};
+
+const ActionItem = mongoose.models.ActionItem || mongoose.model('ActionItem', actionItemSchema);
+
+export default ActionItem;
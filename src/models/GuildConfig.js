@@ -0,0 +1,220 @@
+import mongoose from 'mongoose';
+
+/**
+ * Summarization settings subdocument schema
+ * Selects which summary provider a guild uses
+ */
+const summarizationSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ['perplexity', 'openai', 'extractive'],
+      description: 'Summary provider (defaults to SUMMARY_PROVIDER)',
+    },
+    model: {
+      type: String,
+      description: 'Model name override for the provider',
+    },
+    baseUrl: {
+      type: String,
+      description: 'API base URL override (e.g. a local llama.cpp server); must be in ALLOWED_BASE_URLS',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Transcription settings subdocument schema
+ * Selects which transcription backend a guild uses
+ */
+const transcriptionSchema = new mongoose.Schema(
+  {
+    backend: {
+      type: String,
+      enum: ['http', 'openai', 'cli'],
+      description: 'Transcription backend (defaults to TRANSCRIPTION_BACKEND)',
+    },
+    model: {
+      type: String,
+      description: 'Model name (or ggml model path for the cli backend); ignored by the http backend',
+    },
+    baseUrl: {
+      type: String,
+      description: 'Service URL override for the http and openai backends; must be in ALLOWED_BASE_URLS',
+    },
+    language: {
+      type: String,
+      description: 'Spoken language code (defaults to WHISPER_LANGUAGE)',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Embedding settings subdocument schema
+ * Selects the embedding provider used for semantic search and /ask
+ */
+const embeddingsSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ['openai', 'local'],
+      description: 'Embedding provider (defaults to EMBEDDING_PROVIDER)',
+    },
+    model: {
+      type: String,
+      description: 'Embedding model name override',
+    },
+    baseUrl: {
+      type: String,
+      description: 'API base URL override for the openai provider; must be in ALLOWED_BASE_URLS',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Live transcription settings subdocument schema
+ */
+const liveTranscriptionSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      description: 'Post live transcripts by default (defaults to LIVE_TRANSCRIPTION_ENABLED)',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Recording settings subdocument schema
+ * Where results of automatic starts and stops go, how long an empty channel
+ * is kept recording, and how long a recording may run
+ */
+const recordingSchema = new mongoose.Schema(
+  {
+    outputChannelId: {
+      type: String,
+      description: 'Text channel for results of recordings stopped automatically',
+    },
+    stopDelaySeconds: {
+      type: Number,
+      min: 0,
+      max: 3600,
+      description: 'Grace period before an empty channel stops recording (defaults to STOP_DELAY_SECONDS)',
+    },
+    maxDurationMinutes: {
+      type: Number,
+      min: 0,
+      max: 1440,
+      description: 'Longest a recording may run, 0 for no limit (defaults to MAX_RECORDING_MINUTES)',
+    },
+    warnMinutesBefore: {
+      type: Number,
+      min: 0,
+      max: 60,
+      description: 'Warning posted this long before the limit, 0 for none (defaults to RECORDING_WARN_MINUTES)',
+    },
+    rollover: {
+      type: Boolean,
+      description: 'Continue as a linked new meeting at the limit instead of stopping (defaults to RECORDING_ROLLOVER)',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Auto-record settings subdocument schema
+ * Voice channels the bot joins and records on its own once enough people
+ * are present
+ */
+const autoRecordSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      description: 'Record watched channels automatically (defaults to ENABLE_AUTO_JOIN)',
+    },
+    voiceChannelIds: {
+      type: [String],
+      // Left unset rather than [] so the environment default applies
+      default: undefined,
+      description: 'Voice channels to watch (defaults to AUTO_RECORD_CHANNEL_IDS)',
+    },
+    startThreshold: {
+      type: Number,
+      min: 1,
+      max: 99,
+      description: 'People needed in a watched channel to start (defaults to AUTO_START_THRESHOLD)',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Guild configuration schema
+ * Per-guild overrides for bot behaviour; unset fields fall back to
+ * environment defaults in guildConfigService
+ */
+const guildConfigSchema = new mongoose.Schema(
+  {
+    guildId: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'Discord guild (server) ID',
+    },
+    summarization: {
+      type: summarizationSchema,
+      default: () => ({}),
+      description: 'Meeting summary provider settings',
+    },
+    transcription: {
+      type: transcriptionSchema,
+      default: () => ({}),
+      description: 'Transcription backend settings',
+    },
+    embeddings: {
+      type: embeddingsSchema,
+      default: () => ({}),
+      description: 'Embedding provider settings for semantic search',
+    },
+    liveTranscription: {
+      type: liveTranscriptionSchema,
+      default: () => ({}),
+      description: 'Live rolling transcription settings',
+    },
+    recording: {
+      type: recordingSchema,
+      default: () => ({}),
+      description: 'Recording lifecycle settings',
+    },
+    autoRecord: {
+      type: autoRecordSchema,
+      default: () => ({}),
+      description: 'Automatic recording of watched voice channels',
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'guild_configs',
+    strict: true,
+  }
+);
+
+/**
+ * Static methods
+ */
+
+/**
+ * Find configuration for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<GuildConfig|null>}
+ */
+guildConfigSchema.statics.findByGuildId = async function (guildId) {
+  return this.findOne({ guildId });
+};
+
+const GuildConfig =
+  mongoose.models.GuildConfig || mongoose.model('GuildConfig', guildConfigSchema);
+
+export default GuildConfig;
@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 
+/**
+ * Why a recording ended
+ */
+export const MEETING_END_REASONS = ['manual', 'auto_empty_channel', 'max_duration', 'rollover'];
+
 /**
  * Participant subdocument schema for meeting recordings
  * Tracks individual user metrics during the meeting
@@ -44,9 +49,102 @@ const participantSchema = new mongoose.Schema(
   { _id: true }
 );
 
+/**
+ * Pause subdocument schema
+ * A stretch of the meeting that was off the record
+ */
+const pauseSchema = new mongoose.Schema(
+  {
+    startedAt: {
+      type: Date,
+      required: true,
+      description: 'When recording was paused',
+    },
+    endedAt: {
+      type: Date,
+      description: 'When recording resumed (or stopped); unset while paused',
+    },
+    pausedBy: {
+      type: String,
+      description: 'Discord user ID that paused',
+    },
+    resumedBy: {
+      type: String,
+      description: 'Discord user ID that resumed',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Audio track subdocument schema
+ * One participant's recording, aligned to the meeting timeline
+ */
+const audioTrackSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      description: 'Discord user ID',
+    },
+    username: {
+      type: String,
+      description: 'Discord username at recording time',
+    },
+    filePath: {
+      type: String,
+      required: true,
+      description: 'Local filesystem path to the aligned MP3 track',
+    },
+    duration: {
+      type: Number,
+      description: 'Track length in seconds (matches the meeting recording; pauses are silent)',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Chunk summary subdocument schema
+ * Summary of one section of a long meeting, kept for drill-down
+ */
+const summaryChunkSchema = new mongoose.Schema(
+  {
+    index: {
+      type: Number,
+      description: 'Position of the chunk in the meeting (0-based)',
+    },
+    startTime: {
+      type: Number,
+      description: 'Chunk start offset relative to the first utterance (seconds)',
+    },
+    endTime: {
+      type: Number,
+      description: 'Chunk end offset relative to the first utterance (seconds)',
+    },
+    speakers: [String],
+    segmentCount: {
+      type: Number,
+      description: 'Number of transcript segments in the chunk',
+    },
+    executiveSummary: String,
+    keyPoints: [String],
+    actionItems: [
+      {
+        task: String,
+        assignee: String,
+        dueDate: Date,
+      },
+    ],
+    innovations: [String],
+    sentiment: String,
+  },
+  { _id: false }
+);
+
 /**
  * Summary subdocument schema for AI-generated meeting summaries
- * Stores Perplexity API response data
+ * Stores the summary provider's response data
  */
 const summarySchema = new mongoose.Schema(
   {
@@ -84,7 +182,16 @@ const summarySchema = new mongoose.Schema(
     },
     model: {
       type: String,
-      description: 'Perplexity model used for summary generation',
+      description: 'Model used for summary generation',
+    },
+    provider: {
+      type: String,
+      description: 'Summary provider that generated the summary',
+    },
+    chunks: {
+      type: [summaryChunkSchema],
+      default: undefined,
+      description: 'Per-chunk summaries for meetings summarized in sections',
     },
   },
   { _id: false }
@@ -114,7 +221,35 @@ const meetingSchema = new mongoose.Schema(
     },
     duration: {
       type: Number,
-      description: 'Total recording duration (seconds)',
+      description: 'Total recording duration, excluding pauses (seconds)',
+    },
+    pauses: {
+      type: [pauseSchema],
+      default: [],
+      description: 'Periods the recording was paused',
+    },
+    pausedDuration: {
+      type: Number,
+      default: 0,
+      description: 'Total time paused (seconds)',
+    },
+    endReason: {
+      type: String,
+      enum: MEETING_END_REASONS,
+      description: 'Why the recording ended',
+    },
+    partNumber: {
+      type: Number,
+      default: 1,
+      description: 'Part of a long session split at the maximum duration (1 for the first)',
+    },
+    previousMeetingId: {
+      type: String,
+      description: 'Meeting this one continues after a rollover',
+    },
+    nextMeetingId: {
+      type: String,
+      description: 'Meeting that continued this one after a rollover',
     },
     channelId: {
       type: String,
@@ -134,6 +269,10 @@ const meetingSchema = new mongoose.Schema(
       type: String,
       description: 'Name of the Discord server',
     },
+    textChannelId: {
+      type: String,
+      description: 'Text channel the recording was started from',
+    },
     participants: {
       type: [participantSchema],
       default: [],
@@ -147,10 +286,23 @@ const meetingSchema = new mongoose.Schema(
       type: String,
       description: 'Message ID where recording summary was posted',
     },
+    liveThreadId: {
+      type: String,
+      description: 'Thread where live transcription was posted (if enabled)',
+    },
     audioFilePath: {
       type: String,
       description: 'Local filesystem path to MP3 recording',
     },
+    audioStartTimestamp: {
+      type: Date,
+      description: 'Wall-clock time at position 0 of the recording and its tracks',
+    },
+    audioTracks: {
+      type: [audioTrackSchema],
+      default: [],
+      description: 'Per-participant tracks aligned to the mixed recording',
+    },
     transcriptFilePath: {
       type: String,
       description: 'Local filesystem path to transcript file',
@@ -163,6 +315,11 @@ const meetingSchema = new mongoose.Schema(
       type: String,
       description: 'Full transcription with speaker labels',
     },
+    transcriptSegmentCount: {
+      type: Number,
+      default: 0,
+      description: 'Number of utterances stored in the transcript_segments collection',
+    },
     summary: {
       type: summarySchema,
       description: 'AI-generated meeting summary',
@@ -173,6 +330,26 @@ const meetingSchema = new mongoose.Schema(
       default: 'recording',
       description: 'Current state of recording and processing pipeline',
     },
+    processedAt: {
+      type: Date,
+      description: 'When processing last completed',
+    },
+    actionItemsSyncedAt: {
+      type: Date,
+      description: 'When tracked action items were last created from the summary',
+    },
+    failedTracks: {
+      type: [
+        {
+          _id: false,
+          userId: String,
+          username: String,
+          error: String,
+        },
+      ],
+      default: [],
+      description: 'Speaker tracks left out of the transcript by the latest transcription run',
+    },
     processingErrors: [
       {
         stage: String, // 'transcription', 'summary', 'upload'
@@ -180,6 +357,27 @@ const meetingSchema = new mongoose.Schema(
         timestamp: Date,
       },
     ],
+    processingAttempts: [
+      {
+        _id: false,
+        jobId: String,
+        trigger: {
+          type: String,
+          enum: ['recording', 'api', 'command', 'button'],
+          description: 'What started this processing run',
+        },
+        stages: [String], // Stages requested for this run
+        status: {
+          type: String,
+          enum: ['pending', 'completed', 'failed'],
+          default: 'pending',
+        },
+        requestedBy: String,
+        requestedAt: Date,
+        finishedAt: Date,
+        error: String,
+      },
+    ],
     metadata: {
       quality: {
         type: String,
@@ -203,6 +401,27 @@ const meetingSchema = new mongoose.Schema(
 meetingSchema.index({ startTimestamp: -1 });
 meetingSchema.index({ guildId: 1, startTimestamp: -1 });
 meetingSchema.index({ channelId: 1, startTimestamp: -1 });
+meetingSchema.index({ processedAt: 1 });
+
+// Full-text search over summaries (see searchService); transcript text is
+// indexed per utterance on TranscriptSegment
+meetingSchema.index(
+  {
+    'summary.executiveSummary': 'text',
+    'summary.keyPoints': 'text',
+    'summary.actionItems.task': 'text',
+    channelName: 'text',
+  },
+  {
+    name: 'meeting_text_search',
+    weights: {
+      'summary.keyPoints': 3,
+      'summary.actionItems.task': 3,
+      'summary.executiveSummary': 2,
+      channelName: 1,
+    },
+  }
+);
 
 /**
  * Instance methods
@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+
+/**
+ * Ordered stages of the post-recording pipeline
+ */
+export const PROCESSING_STAGES = ['transcription', 'summary', 'upload'];
+
+/**
+ * Stage checkpoint subdocument schema
+ * Tracks progress of a single pipeline stage so a job can resume after a restart
+ */
+const stageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      enum: PROCESSING_STAGES,
+      required: true,
+      description: 'Pipeline stage name',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed', 'skipped'],
+      default: 'pending',
+      description: 'Current state of this stage',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      description: 'Number of times this stage has been started',
+    },
+    startedAt: Date,
+    completedAt: Date,
+    lastError: {
+      type: String,
+      description: 'Error message from the most recent failed attempt',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Per-user audio track subdocument schema
+ * Mirrors the recorder's userAudioFiles so transcription survives a restart
+ */
+const userAudioFileSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      description: 'Discord user ID',
+    },
+    filePath: {
+      type: String,
+      required: true,
+      description: 'Local filesystem path to the user MP3 track',
+    },
+    segments: [
+      {
+        _id: false,
+        startTime: Number, // Wall-clock start of the speaking burst (ms)
+        duration: Number, // Burst length in the user track (seconds)
+        offset: Number, // Burst start within the user track (seconds)
+        filePath: String,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+/**
+ * Processing job schema
+ * Durable, resumable unit of work for the transcription → summary → upload pipeline
+ */
+const processingJobSchema = new mongoose.Schema(
+  {
+    meetingId: {
+      type: String,
+      required: true,
+      description: 'Meeting being processed',
+    },
+    guildId: {
+      type: String,
+      description: 'Discord guild (server) ID',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed'],
+      default: 'pending',
+      description: 'Overall job state',
+    },
+    stages: {
+      type: [stageSchema],
+      default: () => PROCESSING_STAGES.map((name) => ({ name })),
+      description: 'Per-stage checkpoints in execution order',
+    },
+    currentStage: {
+      type: String,
+      enum: PROCESSING_STAGES,
+      default: null,
+      description: 'Stage currently running or waiting for retry',
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      description: 'Attempts allowed per stage before the job fails',
+    },
+    nextRunAt: {
+      type: Date,
+      default: Date.now,
+      description: 'Earliest time the job may be picked up (retry backoff)',
+    },
+    lockedAt: {
+      type: Date,
+      description: 'When a worker claimed the job',
+    },
+    channelId: {
+      type: String,
+      description: 'Discord text channel for results',
+    },
+    processingMessageId: {
+      type: String,
+      description: 'Status message to update while processing',
+    },
+    resultMessageId: {
+      type: String,
+      description: 'Results message posted by the upload stage; set as soon as it is sent so a retry does not post it twice',
+    },
+    userAudioFiles: {
+      type: [userAudioFileSchema],
+      default: [],
+      description: 'Per-user audio tracks produced by the recorder',
+    },
+    lastError: {
+      type: String,
+      description: 'Most recent error message',
+    },
+    completedAt: Date,
+    failedAt: Date,
+  },
+  {
+    timestamps: true,
+    collection: 'processing_jobs',
+    strict: true,
+  }
+);
+
+processingJobSchema.index({ status: 1, nextRunAt: 1 });
+processingJobSchema.index({ meetingId: 1, createdAt: -1 });
+
+/**
+ * Instance methods
+ */
+
+/**
+ * Get the checkpoint for a stage
+ * @param {string} name - Stage name
+ * @returns {Object|undefined} Stage subdocument
+ */
+processingJobSchema.methods.getStage = function (name) {
+  return this.stages.find((stage) => stage.name === name);
+};
+
+/**
+ * Static methods
+ */
+
+/**
+ * Atomically claim the next job that is due to run
+ * @returns {Promise<ProcessingJob|null>}
+ */
+processingJobSchema.statics.claimNext = async function () {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'pending', nextRunAt: { $lte: now } },
+    { $set: { status: 'running', lockedAt: now } },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Find the most recent job for a meeting
+ * @param {string} meetingId - Meeting UUID
+ * @returns {Promise<ProcessingJob|null>}
+ */
+processingJobSchema.statics.findLatestForMeeting = async function (meetingId) {
+  return this.findOne({ meetingId }).sort({ createdAt: -1 });
+};
+
+const ProcessingJob =
+  mongoose.models.ProcessingJob ||
+  mongoose.model('ProcessingJob', processingJobSchema);
+
+export default ProcessingJob;
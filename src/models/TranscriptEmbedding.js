@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+/**
+ * Transcript embedding schema
+ * Stores the embedding vector of one transcript chunk for semantic search.
+ * Vectors are only comparable within the same provider and model
+ */
+const transcriptEmbeddingSchema = new mongoose.Schema(
+  {
+    meetingId: {
+      type: String,
+      required: true,
+      description: 'Meeting this chunk belongs to',
+    },
+    guildId: {
+      type: String,
+      required: true,
+      description: 'Discord guild ID of the meeting',
+    },
+    chunkIndex: {
+      type: Number,
+      required: true,
+      description: 'Position of the chunk in the meeting (0-based)',
+    },
+    startTime: {
+      type: Number,
+      required: true,
+      description: 'Chunk start relative to the first utterance (seconds)',
+    },
+    endTime: {
+      type: Number,
+      required: true,
+      description: 'Chunk end relative to the first utterance (seconds)',
+    },
+    absoluteStartTime: {
+      type: Date,
+      description: 'Wall-clock time the chunk starts',
+    },
+    speakers: {
+      type: [String],
+      default: [],
+      description: 'Speakers in the chunk',
+    },
+    text: {
+      type: String,
+      required: true,
+      description: 'Chunk text with timestamps and speaker labels',
+    },
+    provider: {
+      type: String,
+      required: true,
+      description: 'Embedding provider that produced the vector',
+    },
+    model: {
+      type: String,
+      required: true,
+      description: 'Embedding model that produced the vector',
+    },
+    vector: {
+      type: [Number],
+      required: true,
+      description: 'Unit-length embedding vector',
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'transcript_embeddings',
+    strict: true,
+  }
+);
+
+transcriptEmbeddingSchema.index({ meetingId: 1, chunkIndex: 1 }, { unique: true });
+transcriptEmbeddingSchema.index({ guildId: 1, provider: 1, model: 1 });
+
+/**
+ * Static methods
+ */
+
+/**
+ * Replace all embeddings of a meeting
+ * @param {string} meetingId - Meeting UUID
+ * @param {Array} documents - Embedding documents
+ * @returns {Promise<TranscriptEmbedding[]>}
+ */
+transcriptEmbeddingSchema.statics.replaceForMeeting = async function (meetingId, documents) {
+  await this.deleteMany({ meetingId });
+
+  if (!documents || documents.length === 0) {
+    return [];
+  }
+
+  return this.insertMany(documents.map((document) => ({ ...document, meetingId })));
+};
+
+const TranscriptEmbedding =
+  mongoose.models.TranscriptEmbedding ||
+  mongoose.model('TranscriptEmbedding', transcriptEmbeddingSchema);
+
+export default TranscriptEmbedding;
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+/**
+ * Transcript segment schema
+ * Stores one utterance of a meeting transcript with speaker and timing data,
+ * so consumers can work per-utterance instead of parsing the flat transcript
+ */
+const transcriptSegmentSchema = new mongoose.Schema(
+  {
+    meetingId: {
+      type: String,
+      required: true,
+      description: 'Meeting this segment belongs to',
+    },
+    index: {
+      type: Number,
+      required: true,
+      description: 'Position of the segment in the merged transcript (0-based)',
+    },
+    speaker: {
+      type: String,
+      required: true,
+      description: 'Display name of the speaker',
+    },
+    speakerId: {
+      type: String,
+      description: 'Discord user ID of the speaker',
+    },
+    start: {
+      type: Number,
+      required: true,
+      description: 'Start offset relative to the first utterance (seconds)',
+    },
+    end: {
+      type: Number,
+      required: true,
+      description: 'End offset relative to the first utterance (seconds)',
+    },
+    absoluteStartTime: {
+      type: Date,
+      description: 'Wall-clock time the utterance started',
+    },
+    absoluteEndTime: {
+      type: Date,
+      description: 'Wall-clock time the utterance ended',
+    },
+    text: {
+      type: String,
+      required: true,
+      description: 'Transcribed text of the utterance',
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'transcript_segments',
+    strict: true,
+  }
+);
+
+transcriptSegmentSchema.index({ meetingId: 1, index: 1 }, { unique: true });
+transcriptSegmentSchema.index({ speakerId: 1 });
+transcriptSegmentSchema.index(
+  { text: 'text', speaker: 'text' },
+  { name: 'segment_text_search', weights: { text: 5, speaker: 1 } }
+);
+
+/**
+ * Static methods
+ */
+
+/**
+ * Get all segments of a meeting in transcript order
+ * @param {string} meetingId - Meeting UUID
+ * @returns {Promise<TranscriptSegment[]>}
+ */
+transcriptSegmentSchema.statics.findByMeetingId = async function (meetingId) {
+  return this.find({ meetingId }).sort({ index: 1 });
+};
+
+/**
+ * Replace all segments of a meeting
+ * Used when a meeting is (re)transcribed
+ * @param {string} meetingId - Meeting UUID
+ * @param {Array} segments - Segments from the transcription service
+ * @returns {Promise<TranscriptSegment[]>}
+ */
+transcriptSegmentSchema.statics.replaceForMeeting = async function (meetingId, segments) {
+  await this.deleteMany({ meetingId });
+
+  if (!segments || segments.length === 0) {
+    return [];
+  }
+
+  const documents = segments
+    .filter((segment) => segment.text && segment.text.trim().length > 0)
+    .map((segment, index) => ({
+      meetingId,
+      index,
+      speaker: segment.speaker || 'Unknown',
+      speakerId: segment.speakerId,
+      start: segment.start || 0,
+      end: segment.end || segment.start || 0,
+      absoluteStartTime: segment.absoluteStartTime
+        ? new Date(segment.absoluteStartTime)
+        : undefined,
+      absoluteEndTime: segment.absoluteEndTime
+        ? new Date(segment.absoluteEndTime)
+        : undefined,
+      text: segment.text.trim(),
+    }));
+
+  return this.insertMany(documents);
+};
+
+const TranscriptSegment =
+  mongoose.models.TranscriptSegment ||
+  mongoose.model('TranscriptSegment', transcriptSegmentSchema);
+
+export default TranscriptSegment;
@@ -0,0 +1,381 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import mongoService from './mongoService.js';
+import transcriptionService from './transcriptionService.js';
+import ActionItem from '../models/ActionItem.js';
+import Meeting from '../models/Meeting.js';
+import { createActionItemReminderEmbed } from '../utils/embedBuilder.js';
+
+/**
+ * Fields that can be changed after an item is created
+ */
+const UPDATABLE_FIELDS = ['task', 'assigneeName', 'assigneeId', 'dueDate'];
+
+/**
+ * Normalize a name for matching: lowercase, no @ or surrounding punctuation
+ * @param {string} name - Name or mention text
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/^@/, '')
+    .replace(/[^\p{L}\p{N}\s._-]/gu, '')
+    .trim();
+}
+
+/**
+ * Action Item Service
+ * Tracks action items as documents of their own: creates them from meeting
+ * summaries, resolves assignees to Discord users, and DMs assignees as due
+ * dates approach
+ */
+class ActionItemService {
+  constructor() {
+    this.client = null;
+    this.reminderTimer = null;
+    this.reminderInterval =
+      parseInt(process.env.ACTION_ITEM_REMINDER_INTERVAL_MINUTES || '15') * 60 * 1000;
+    this.reminderLeadTime = parseInt(process.env.ACTION_ITEM_REMINDER_HOURS || '24') * 60 * 60 * 1000;
+  }
+
+  /**
+   * Start sending due-date reminders
+   * @param {Client} client - Discord client used to DM assignees
+   */
+  start(client) {
+    this.client = client;
+
+    if (!this.reminderTimer) {
+      this.reminderTimer = setInterval(() => this.sendDueReminders(), this.reminderInterval);
+    }
+
+    this.backfillFromSummaries();
+
+    logger.info('Action item reminders started', {
+      interval: this.reminderInterval,
+      leadTime: this.reminderLeadTime,
+    });
+  }
+
+  /**
+   * Stop sending reminders
+   */
+  stop() {
+    clearInterval(this.reminderTimer);
+    this.reminderTimer = null;
+  }
+
+  /**
+   * Resolve an assignee name to a Discord user ID
+   * Matches meeting participants and configured user mappings by full name,
+   * then by first name when that is unambiguous
+   * @param {string} name - Assignee as written in the summary
+   * @param {Object} meeting - Meeting document (optional)
+   * @returns {string|null} Discord user ID
+   */
+  resolveAssignee(name, meeting = null) {
+    const wanted = normalizeName(name);
+    if (!wanted) {
+      return null;
+    }
+
+    // Discord IDs or mentions pass straight through
+    const mention = String(name).match(/^<@!?(\d{17,20})>$|^(\d{17,20})$/);
+    if (mention) {
+      return mention[1] || mention[2];
+    }
+
+    const candidates = [
+      ...(meeting?.participants || []).map((p) => ({ userId: p.userId, name: p.username })),
+      ...Object.entries(transcriptionService.userMappings).map(([userId, mapped]) => ({
+        userId,
+        name: mapped,
+      })),
+    ].filter((candidate) => candidate.userId && candidate.name);
+
+    const exact = candidates.find((candidate) => normalizeName(candidate.name) === wanted);
+    if (exact) {
+      return exact.userId;
+    }
+
+    const firstName = wanted.split(/\s+/)[0];
+    const byFirstName = new Set(
+      candidates
+        .filter((candidate) => normalizeName(candidate.name).split(/\s+/)[0] === firstName)
+        .map((candidate) => candidate.userId)
+    );
+
+    return byFirstName.size === 1 ? [...byFirstName][0] : null;
+  }
+
+  /**
+   * Create tracked items from a meeting's summary
+   * Replaces open items from an earlier summary of the same meeting, but
+   * keeps closed ones and does not recreate tasks that were already closed
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<ActionItem[]>} Created items
+   */
+  async syncFromSummary(meetingId) {
+    const meeting = await mongoService.findMeeting(meetingId);
+    if (!meeting) {
+      throw new Error(`Meeting not found: ${meetingId}`);
+    }
+
+    await ActionItem.deleteMany({ meetingId, source: 'summary', status: 'open' });
+
+    const closed = await ActionItem.find({ meetingId, source: 'summary' }).select('task');
+    const closedTasks = new Set(closed.map((item) => item.task.toLowerCase()));
+
+    const documents = (meeting.summary?.actionItems || [])
+      .filter((item) => item.task && !closedTasks.has(item.task.trim().toLowerCase()))
+      .map((item) => ({
+        itemId: this.generateItemId(),
+        meetingId,
+        guildId: meeting.guildId,
+        task: item.task.trim(),
+        assigneeName: item.assignee || undefined,
+        assigneeId: this.resolveAssignee(item.assignee, meeting) || undefined,
+        dueDate: item.dueDate || undefined,
+        source: 'summary',
+        // Dated by the meeting, so reprocessed and backfilled items keep their place in time
+        createdAt: meeting.startTimestamp,
+      }));
+
+    const items = documents.length > 0 ? await ActionItem.insertMany(documents) : [];
+    await mongoService.updateMeeting(meetingId, { actionItemsSyncedAt: new Date() });
+
+    logger.info('Synced action items from summary', {
+      meetingId,
+      created: items.length,
+      assigned: items.filter((item) => item.assigneeId).length,
+    });
+
+    return items;
+  }
+
+  /**
+   * Create tracked items for meetings summarized before action items were
+   * tracked, so they show up in lists and the get_action_items MCP tool
+   * Meetings that already have summary items are only marked as synced, so
+   * edits to their open items are kept
+   * @returns {Promise<number>} Meetings backfilled
+   */
+  async backfillFromSummaries() {
+    let backfilled = 0;
+
+    try {
+      const meetings = await Meeting.find({
+        'summary.actionItems.0': { $exists: true },
+        actionItemsSyncedAt: { $exists: false },
+      }).select('meetingId');
+
+      for (const { meetingId } of meetings) {
+        if (await ActionItem.exists({ meetingId, source: 'summary' })) {
+          await mongoService.updateMeeting(meetingId, { actionItemsSyncedAt: new Date() });
+          continue;
+        }
+
+        await this.syncFromSummary(meetingId);
+        backfilled++;
+      }
+
+      if (backfilled > 0) {
+        logger.info('Backfilled action items from earlier summaries', { meetings: backfilled });
+      }
+    } catch (error) {
+      logger.error('Error backfilling action items', { error: error.message });
+    }
+
+    return backfilled;
+  }
+
+  /**
+   * List action items
+   * @param {Object} filter - Filter options
+   * @param {string} filter.guildId - Guild ID (optional)
+   * @param {string} filter.status - Status, or 'all' (default: all)
+   * @param {string} filter.assigneeId - Discord user ID (optional)
+   * @param {string} filter.meetingId - Meeting ID (optional)
+   * @param {Date} filter.since - Only items raised on or after this date (optional)
+   * @param {Object} options - Paging options
+   * @param {number} options.skip - Items to skip (default: 0)
+   * @param {number} options.limit - Maximum items (default: 20)
+   * @returns {Promise<{items: ActionItem[], total: number}>} Open items first, soonest due first
+   */
+  async list({ guildId, status, assigneeId, meetingId, since } = {}, { skip = 0, limit = 20 } = {}) {
+    const filter = {};
+    if (guildId) filter.guildId = guildId;
+    if (status && status !== 'all') filter.status = status;
+    if (assigneeId) filter.assigneeId = assigneeId;
+    if (meetingId) filter.meetingId = meetingId;
+    if (since) filter.createdAt = { $gte: since };
+
+    const [items, total] = await Promise.all([
+      ActionItem.aggregate([
+        { $match: filter },
+        {
+          $addFields: {
+            statusOrder: { $indexOfArray: [['open', 'done', 'cancelled'], '$status'] },
+            // Items without a due date sort after dated ones
+            dueOrder: { $ifNull: ['$dueDate', new Date(8640000000000000)] },
+          },
+        },
+        { $sort: { statusOrder: 1, dueOrder: 1, createdAt: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { statusOrder: 0, dueOrder: 0 } },
+      ]).then((docs) => docs.map((doc) => ActionItem.hydrate(doc))),
+      ActionItem.countDocuments(filter),
+    ]);
+
+    return { items, total };
+  }
+
+  /**
+   * Add an action item by hand
+   * @param {Object} data - Item fields
+   * @param {string} data.guildId - Guild ID
+   * @param {string} data.task - Task description
+   * @param {string} data.meetingId - Meeting ID (optional)
+   * @param {string} data.assigneeName - Assignee name (optional)
+   * @param {string} data.assigneeId - Assignee Discord user ID (optional; resolved from the name if missing)
+   * @param {Date} data.dueDate - Due date (optional)
+   * @param {string} data.createdBy - Creator
+   * @returns {Promise<ActionItem>}
+   * @throws {Error} If the meeting does not exist or belongs to another guild
+   */
+  async create({ guildId, meetingId, task, assigneeName, assigneeId, dueDate, createdBy }) {
+    let meeting = null;
+    if (meetingId) {
+      meeting = await mongoService.findMeeting(meetingId);
+      if (!meeting || meeting.guildId !== guildId) {
+        throw new Error(`Meeting not found in this guild: ${meetingId}`);
+      }
+    }
+
+    const item = await ActionItem.create({
+      itemId: this.generateItemId(),
+      meetingId,
+      guildId,
+      task,
+      assigneeName,
+      assigneeId: assigneeId || this.resolveAssignee(assigneeName, meeting) || undefined,
+      dueDate,
+      source: 'manual',
+      createdBy,
+    });
+
+    logger.info('Action item created', { itemId: item.itemId, guildId, meetingId });
+    return item;
+  }
+
+  /**
+   * Update an action item
+   * Changing the due date or assignee re-arms the reminder
+   * @param {string} itemId - Action item ID
+   * @param {Object} updates - Fields from UPDATABLE_FIELDS, plus status
+   * @param {string} userId - Who made the change
+   * @returns {Promise<ActionItem|null>} Updated item, or null if not found
+   */
+  async update(itemId, updates, userId) {
+    const item = await ActionItem.findByItemId(itemId);
+    if (!item) {
+      return null;
+    }
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        item[field] = updates[field] === null ? undefined : updates[field];
+      }
+    }
+
+    if (updates.assigneeName !== undefined && updates.assigneeId === undefined) {
+      const meeting = item.meetingId ? await mongoService.findMeeting(item.meetingId) : null;
+      item.assigneeId = this.resolveAssignee(updates.assigneeName, meeting) || undefined;
+    }
+
+    if (item.isModified('dueDate') || item.isModified('assigneeId')) {
+      item.reminderSentAt = undefined;
+    }
+
+    if (updates.status && updates.status !== item.status) {
+      item.setStatus(updates.status, userId);
+    }
+
+    await item.save();
+    logger.info('Action item updated', { itemId, fields: Object.keys(updates), userId });
+    return item;
+  }
+
+  /**
+   * Delete an action item
+   * @param {string} itemId - Action item ID
+   * @returns {Promise<boolean>} Whether an item was deleted
+   */
+  async remove(itemId) {
+    const { deletedCount } = await ActionItem.deleteOne({ itemId });
+    return deletedCount > 0;
+  }
+
+  /**
+   * DM assignees whose open items are due within the reminder lead time
+   * Each item is reminded once; items whose assignee cannot be messaged are
+   * marked as reminded too, so they are not retried every interval. Items
+   * overdue by more than the lead time (e.g. backfilled from old meetings)
+   * are not reminded
+   * @returns {Promise<number>} Reminders delivered
+   */
+  async sendDueReminders() {
+    if (!this.client || !mongoService.isConnected()) {
+      return 0;
+    }
+
+    let delivered = 0;
+
+    try {
+      const now = Date.now();
+      const items = await ActionItem.findDueForReminder(
+        new Date(now - this.reminderLeadTime),
+        new Date(now + this.reminderLeadTime)
+      );
+
+      for (const item of items) {
+        try {
+          const user = await this.client.users.fetch(item.assigneeId);
+          await user.send({ embeds: [createActionItemReminderEmbed(item)] });
+          delivered++;
+        } catch (error) {
+          logger.warn('Could not send action item reminder', {
+            error: error.message,
+            itemId: item.itemId,
+            assigneeId: item.assigneeId,
+          });
+        }
+
+        item.reminderSentAt = new Date();
+        await item.save();
+      }
+
+      if (items.length > 0) {
+        logger.info('Action item reminders sent', { due: items.length, delivered });
+      }
+    } catch (error) {
+      logger.error('Error sending action item reminders', { error: error.message });
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Generate a public item ID
+   * @private
+   * @returns {string}
+   */
+  generateItemId() {
+    return `act_${uuidv4().substring(0, 8)}`;
+  }
+}
+
+const actionItemService = new ActionItemService();
+export default actionItemService;
@@ -13,14 +13,18 @@ import {
 } from '@discordjs/voice';
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
 import { pipeline } from 'stream';
 import { promisify } from 'util';
-import { exec } from 'child_process';
+import { exec, spawn } from 'child_process';
 import prism from 'prism-media';
 import logger from '../utils/logger.js';
 
 const execPromise = promisify(exec);
 
+// Decoded PCM format: 48kHz, stereo, 16-bit samples
+export const PCM_BYTES_PER_SECOND = 48000 * 2 * 2;
+
 // Ensure libsodium is ready before any voice operations
 await sodium.ready;
 
@@ -28,9 +32,15 @@ await sodium.ready;
  * Audio Recorder Service
  * Manages voice channel connections and audio recording
  * Handles multi-user audio capture and MP3 encoding
+ *
+ * Events:
+ * - 'utteranceComplete' ({ meetingId, guildId, userId, username, filePath, startTime, endTime })
+ *   when a speaking burst's PCM file has been fully written during a recording
+ * - 'recordingStopped' ({ meetingId }) when a recording begins shutting down
  */
-class AudioRecorder {
+class AudioRecorder extends EventEmitter {
   constructor() {
+    super();
     this.activeRecordings = new Map(); // meetingId -> recording session
     this.recordingsPath = process.env.RECORDINGS_PATH || './recordings';
     this.ensureDirectoryExists();
@@ -74,32 +84,12 @@ class AudioRecorder {
       // Wait for connection to be ready
       await entersState(connection, VoiceConnectionStatus.Ready, 30e3);
 
-      // Prepare audio file path
-      const filename = `${meetingId}-${Date.now()}.mp3`;
-      const filePath = path.join(this.recordingsPath, filename);
-
-      // Create recording session
-      const recordingSession = {
+      const recordingSession = this.createSession(
+        { channelId: channel.id, guildId: channel.guildId },
         meetingId,
-        channelId: channel.id,
-        guildId: channel.guildId,
         connection,
-        startTime: Date.now(),
-        filePath,
-        fileName: filename,
-        userAudioStreams: new Map(), // Map<userId, StreamInfo[]>
-        userAudioFiles: [],          // For transcription service
-        activeSubscriptions: new Map(), // Map<userId, {subscription, decoder, writeStream, filePath}> - SINGLE active sub per user
-        isRecording: true,
-      };
-
-      this.activeRecordings.set(meetingId, recordingSession);
-
-      // Listen for speaking events to capture audio from users
-      connection.receiver.speaking.on('start', (userId) => {
-        logger.debug(`User ${userId} started speaking in ${meetingId}`);
-        this.handleUserSpeaking(meetingId, userId, connection, client);
-      });
+        client
+      );
 
       connection.receiver.speaking.on('end', (userId) => {
         logger.debug(`User ${userId} stopped speaking in ${meetingId}`);
@@ -140,7 +130,7 @@ class AudioRecorder {
   async handleUserSpeaking(meetingId, userId, connection, client) {
     try {
       const session = this.activeRecordings.get(meetingId);
-      if (!session || !session.isRecording) {
+      if (!session || !session.isRecording || session.isPaused) {
         return;
       }
 
@@ -208,6 +198,7 @@ class AudioRecorder {
       // Handle stream end - clean up and allow new subscription
       audioStream.on('end', () => {
         logger.debug(`Audio stream ended for user ${user.username} in ${meetingId}`);
+        userStreamInfo.endTime = Date.now();
 
         // Clean up decoder
         if (opusDecoder && !opusDecoder.destroyed) {
@@ -225,6 +216,21 @@ class AudioRecorder {
         writeStream.end();
       });
 
+      // Announce the finished utterance for live transcription
+      writeStream.on('finish', () => {
+        if (session.isRecording) {
+          this.emit('utteranceComplete', {
+            meetingId,
+            guildId: session.guildId,
+            userId,
+            username: user.username,
+            filePath: userFilePath,
+            startTime: now,
+            endTime: userStreamInfo.endTime || Date.now(),
+          });
+        }
+      });
+
       opusDecoder.on('error', (error) => {
         logger.warn(`Decoder error for user ${userId}`, { error: error.message });
         writeStream.end();
@@ -306,6 +312,53 @@ class AudioRecorder {
     }
   }
 
+  /**
+   * Create a recording session on a voice connection and start listening
+   * for speakers
+   * @private
+   * @param {Object} channel - Channel of the connection
+   * @param {string} channel.channelId - Voice channel ID
+   * @param {string} channel.guildId - Guild ID
+   * @param {string} meetingId - Meeting identifier
+   * @param {VoiceConnection} connection - Ready voice connection
+   * @param {Client} client - Discord client instance
+   * @returns {Object} Recording session
+   */
+  createSession({ channelId, guildId }, meetingId, connection, client) {
+    // Prepare audio file path
+    const filename = `${meetingId}-${Date.now()}.mp3`;
+    const filePath = path.join(this.recordingsPath, filename);
+
+    // Create recording session
+    const recordingSession = {
+      meetingId,
+      channelId,
+      guildId,
+      connection,
+      startTime: Date.now(),
+      filePath,
+      fileName: filename,
+      userAudioStreams: new Map(), // Map<userId, StreamInfo[]>
+      userAudioFiles: [],          // For transcription service
+      activeSubscriptions: new Map(), // Map<userId, {subscription, decoder, writeStream, filePath}> - SINGLE active sub per user
+      isRecording: true,
+      isPaused: false,
+      pauses: [], // [{ startedAt, endedAt, pausedBy, resumedBy }]
+      // Kept so the listener can be removed when the connection outlives the session
+      onSpeakingStart: (userId) => {
+        logger.debug(`User ${userId} started speaking in ${meetingId}`);
+        this.handleUserSpeaking(meetingId, userId, connection, client);
+      },
+    };
+
+    this.activeRecordings.set(meetingId, recordingSession);
+
+    // Listen for speaking events to capture audio from users
+    connection.receiver.speaking.on('start', recordingSession.onSpeakingStart);
+
+    return recordingSession;
+  }
+
   /**
    * Stop recording and finalize audio file
    * Disconnects from voice channel and closes audio streams
@@ -319,83 +372,272 @@ class AudioRecorder {
         throw new Error(`Recording session not found: ${meetingId}`);
       }
 
-      // Close all user audio streams and wait for them to finish
-      const closePromises = [];
-      for (const [userId, streamInfoArray] of session.userAudioStreams) {
-        for (const streamInfo of streamInfoArray) {
-          try {
-            if (streamInfo.stream) {
-              streamInfo.stream.destroy();
-            }
-            if (streamInfo.decoder) {
-              streamInfo.decoder.destroy();
-            }
-            if (streamInfo.writeStream) {
-              // Wait for write stream to finish
-              closePromises.push(
-                new Promise((resolve) => {
-                  streamInfo.writeStream.end(() => resolve());
-                })
-              );
-            }
-          } catch (error) {
-            logger.warn(`Error closing stream for user ${userId}`, {
-              error: error.message,
-            });
-          }
-        }
-      }
-
-      // Clear active subscriptions
-      session.activeSubscriptions.clear();
-
-      // Wait for all streams to close
-      await Promise.all(closePromises);
+      this.emit('recordingStopped', { meetingId });
 
-      // Wait additional 500ms to ensure all file writes are flushed to disk
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await this.closeCapture(session);
 
       // Disconnect from voice channel
       session.connection.destroy();
 
-      const duration = Date.now() - session.startTime;
+      return await this.finalizeSession(session);
+    } catch (error) {
+      logger.error('Error stopping recording', {
+        error: error.message,
+        meetingId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * End a recording and continue it as a new meeting on the same voice
+   * connection, so the bot does not leave and rejoin the channel. Speech is
+   * only missed while the previous part's files are flushed; anyone still
+   * speaking is picked up again by the new session
+   * @param {string} meetingId - Meeting identifier of the current part
+   * @param {string} nextMeetingId - Meeting identifier of the continuation
+   * @param {Client} client - Discord client instance
+   * @returns {Promise<{recordingInfo: Object, session: Object}>} Final info of the
+   *   previous part and the new session
+   */
+  async rolloverRecording(meetingId, nextMeetingId, client) {
+    try {
+      const session = this.activeRecordings.get(meetingId);
+      if (!session) {
+        throw new Error(`Recording session not found: ${meetingId}`);
+      }
+
+      this.emit('recordingStopped', { meetingId });
 
-      session.isRecording = false;
+      await this.closeCapture(session);
 
-      // Merge PCM files and convert to MP3
-      await this.mergeAndConvertAudio(session);
+      // Let the receiver drop the closed subscriptions before resubscribing
+      await new Promise((resolve) => setImmediate(resolve));
 
-      const recordingInfo = {
-        meetingId,
-        filePath: session.filePath,
-        fileName: session.fileName,
-        duration: Math.floor(duration / 1000), // Convert to seconds
-        participantCount: session.userAudioStreams.size,
-        channelId: session.channelId,
-        guildId: session.guildId,
-      };
+      const { connection } = session;
+      const nextSession = this.createSession(session, nextMeetingId, connection, client);
 
-      logger.info(`Stopped recording: ${meetingId}`, recordingInfo);
+      // A paused recording stays paused in its continuation
+      if (session.isPaused) {
+        const { pausedBy } = session.pauses[session.pauses.length - 1];
+        nextSession.isPaused = true;
+        nextSession.pauses.push({ startedAt: new Date(nextSession.startTime), endedAt: null, pausedBy });
+      } else {
+        this.resubscribeSpeakers(nextSession, client);
+      }
 
-      // Keep session for a bit longer for fallback, then remove
-      setTimeout(
-        () => this.activeRecordings.delete(meetingId),
-        300000 // 5 minutes
-      );
+      logger.info(`Recording rolled over: ${meetingId} -> ${nextMeetingId}`);
+
+      const recordingInfo = await this.finalizeSession(session);
 
-      return recordingInfo;
+      return { recordingInfo, session: nextSession };
     } catch (error) {
-      logger.error('Error stopping recording', {
+      logger.error('Error rolling over recording', {
         error: error.message,
         meetingId,
+        nextMeetingId,
       });
       throw error;
     }
   }
 
+  /**
+   * Stop listening for speakers and close all audio streams of a session
+   * @private
+   * @param {Object} session - Recording session object
+   * @returns {Promise<void>}
+   */
+  async closeCapture(session) {
+    session.connection.receiver.speaking.off('start', session.onSpeakingStart);
+
+    // Close all user audio streams and wait for them to finish
+    const closePromises = [];
+    for (const [userId, streamInfoArray] of session.userAudioStreams) {
+      for (const streamInfo of streamInfoArray) {
+        try {
+          if (streamInfo.stream) {
+            streamInfo.stream.destroy();
+          }
+          if (streamInfo.decoder) {
+            streamInfo.decoder.destroy();
+          }
+          if (streamInfo.writeStream) {
+            // Wait for write stream to finish
+            closePromises.push(
+              new Promise((resolve) => {
+                streamInfo.writeStream.end(() => resolve());
+              })
+            );
+          }
+        } catch (error) {
+          logger.warn(`Error closing stream for user ${userId}`, {
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    // Clear active subscriptions
+    session.activeSubscriptions.clear();
+
+    // Wait for all streams to close
+    await Promise.all(closePromises);
+
+    // Wait additional 500ms to ensure all file writes are flushed to disk
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  /**
+   * Produce the audio files of a closed session and describe the recording
+   * @private
+   * @param {Object} session - Recording session object
+   * @returns {Promise<Object>} Final recording information
+   */
+  async finalizeSession(session) {
+    const { meetingId } = session;
+
+    session.endTime = Date.now();
+    const duration = session.endTime - session.startTime;
+
+    // A recording stopped while paused ends its pause at the same time
+    if (session.isPaused) {
+      session.pauses[session.pauses.length - 1].endedAt = new Date(session.endTime);
+      session.isPaused = false;
+    }
+    const pausedTime = this.getPausedTime(session, session.endTime);
+
+    session.isRecording = false;
+
+    // Merge PCM files and convert to MP3
+    await this.mergeAndConvertAudio(session);
+
+    const recordingInfo = {
+      meetingId,
+      filePath: session.filePath,
+      fileName: session.fileName,
+      duration: Math.floor((duration - pausedTime) / 1000), // Seconds on the record
+      pausedDuration: Math.floor(pausedTime / 1000),
+      pauses: session.pauses,
+      audioStartTimestamp: new Date(session.startTime),
+      participantCount: session.userAudioStreams.size,
+      channelId: session.channelId,
+      guildId: session.guildId,
+      audioTracks: session.userAudioFiles.map((userFile) => ({
+        userId: userFile.userId,
+        username: userFile.username,
+        filePath: userFile.alignedFilePath,
+        duration: duration / 1000,
+      })),
+    };
+
+    logger.info(`Stopped recording: ${meetingId}`, {
+      ...recordingInfo,
+      audioTracks: recordingInfo.audioTracks.length,
+    });
+
+    // Keep session for a bit longer for fallback, then remove
+    setTimeout(
+      () => this.activeRecordings.delete(meetingId),
+      300000 // 5 minutes
+    );
+
+    return recordingInfo;
+  }
+
+  /**
+   * Pause a recording: keep the voice connection, but stop writing audio
+   * Utterances in progress are ended; nothing is captured until resumed
+   * @param {string} meetingId - Meeting identifier
+   * @param {string} userId - Who paused (optional)
+   * @returns {Object} The new pause ({ startedAt, endedAt, pausedBy, resumedBy })
+   * @throws {Error} If the recording is not running or already paused
+   */
+  pauseRecording(meetingId, userId = null) {
+    const session = this.activeRecordings.get(meetingId);
+    if (!session || !session.isRecording) {
+      throw new Error(`Recording session not found: ${meetingId}`);
+    }
+    if (session.isPaused) {
+      throw new Error('Recording is already paused');
+    }
+
+    session.isPaused = true;
+
+    const pause = { startedAt: new Date(), endedAt: null, pausedBy: userId, resumedBy: null };
+    session.pauses.push(pause);
+
+    // End open utterances; their 'end' handlers close the files as usual
+    for (const streamInfo of session.activeSubscriptions.values()) {
+      streamInfo.stream.push(null);
+    }
+
+    logger.info(`Paused recording: ${meetingId}`, { userId });
+    return pause;
+  }
+
+  /**
+   * Resume a paused recording
+   * @param {string} meetingId - Meeting identifier
+   * @param {Client} client - Discord client instance
+   * @param {string} userId - Who resumed (optional)
+   * @returns {Object} The finished pause
+   * @throws {Error} If the recording is not running or not paused
+   */
+  resumeRecording(meetingId, client, userId = null) {
+    const session = this.activeRecordings.get(meetingId);
+    if (!session || !session.isRecording) {
+      throw new Error(`Recording session not found: ${meetingId}`);
+    }
+    if (!session.isPaused) {
+      throw new Error('Recording is not paused');
+    }
+
+    const pause = session.pauses[session.pauses.length - 1];
+    pause.endedAt = new Date();
+    pause.resumedBy = userId;
+
+    session.isPaused = false;
+
+    // People already talking don't trigger a new speaking event
+    this.resubscribeSpeakers(session, client);
+
+    logger.info(`Resumed recording: ${meetingId}`, {
+      userId,
+      pausedSeconds: Math.floor((pause.endedAt - pause.startedAt) / 1000),
+    });
+    return pause;
+  }
+
+  /**
+   * Time a session has spent paused
+   * @param {Object} session - Recording session object
+   * @param {number} until - Count an open pause up to this time (ms, default: now)
+   * @returns {number} Paused milliseconds
+   */
+  getPausedTime(session, until = Date.now()) {
+    return session.pauses.reduce(
+      (total, pause) => total + ((pause.endedAt?.getTime() ?? until) - pause.startedAt.getTime()),
+      0
+    );
+  }
+
+  /**
+   * Start capturing everyone the connection currently hears speaking
+   * @private
+   * @param {Object} session - Recording session object
+   * @param {Client} client - Discord client instance
+   */
+  resubscribeSpeakers(session, client) {
+    const { connection } = session;
+    for (const userId of connection.receiver.speaking.users.keys()) {
+      this.handleUserSpeaking(session.meetingId, userId, connection, client);
+    }
+  }
+
   /**
    * Merge PCM audio files and convert to MP3
-   * Creates SEPARATE MP3 files per user for accurate speaker identification
+   * Creates SEPARATE MP3 files per user for accurate speaker identification,
+   * plus a timeline-aligned mixdown of everyone in the meeting MP3
    * @param {Object} session - Recording session object
    * @returns {Promise<void>}
    * @private
@@ -415,9 +657,10 @@ class AudioRecorder {
         // Sort this user's segments by start time
         streamInfoArray.sort((a, b) => a.startTime - b.startTime);
 
-        const pcmFiles = streamInfoArray
-          .map((streamInfo) => streamInfo.filePath)
-          .filter((fp) => fp && fs.existsSync(fp));
+        const recordedStreams = streamInfoArray.filter(
+          (streamInfo) => streamInfo.filePath && fs.existsSync(streamInfo.filePath)
+        );
+        const pcmFiles = recordedStreams.map((streamInfo) => streamInfo.filePath);
 
         if (pcmFiles.length === 0) {
           logger.warn(`No audio files found for user ${userId}`);
@@ -476,14 +719,20 @@ class AudioRecorder {
           logger.info(`Converted concatenated PCM to MP3 for user ${userId}`);
         }
 
-        // Store user audio file info with timestamps from their segments
+        // Timeline-aligned copy of the track (bursts at their real offsets,
+        // silence in between) used for the meeting mixdown
+        const alignedMp3Path = filePath.replace('.mp3', `-${userId}-aligned.mp3`);
+        await this.writeAlignedTrack(session, recordedStreams, alignedMp3Path);
+
+        // Store user audio file info with each burst's wall-clock start and
+        // its position in the concatenated track, so transcript offsets can
+        // be mapped back to real time despite the silences removed between bursts
         userAudioFiles.push({
           userId,
+          username: streamInfoArray[0].username,
           filePath: userMp3Path,
-          segments: streamInfoArray.map((s) => ({
-            startTime: s.startTime,
-            filePath: s.filePath,
-          })),
+          alignedFilePath: alignedMp3Path,
+          segments: this.buildBurstTimeline(recordedStreams),
         });
 
         // Clean up this user's PCM files
@@ -502,24 +751,14 @@ class AudioRecorder {
       // Store user audio files info in session for transcription
       session.userAudioFiles = userAudioFiles;
 
-      // Also create a merged MP3 for backward compatibility (optional)
       if (userAudioFiles.length > 0) {
-        // Get all segments from all users, sort chronologically
-        const allSegments = [];
-        for (const userFile of userAudioFiles) {
-          for (const segment of userFile.segments) {
-            allSegments.push({
-              userId: userFile.userId,
-              filePath: userFile.filePath,
-              startTime: segment.startTime,
-            });
-          }
-        }
-        allSegments.sort((a, b) => a.startTime - b.startTime);
-
-        logger.info(
-          `Created ${userAudioFiles.length} per-user MP3 files with ${allSegments.length} total segments`
+        // Mix everyone's aligned tracks into the meeting MP3
+        await this.mixdownTracks(
+          userAudioFiles.map((userFile) => userFile.alignedFilePath),
+          filePath
         );
+
+        logger.info(`Mixed ${userAudioFiles.length} per-user tracks into ${filePath}`);
       } else {
         logger.warn(
           `No audio files found for ${meetingId}, creating empty MP3`
@@ -541,6 +780,132 @@ class AudioRecorder {
     }
   }
 
+  /**
+   * Write a user's bursts at their real offsets from the recording start
+   * PCM is streamed into FFmpeg with silence in the gaps, and padded to the
+   * end of the recording so every aligned track has the same length
+   * @param {Object} session - Recording session object
+   * @param {Array} recordedStreams - User's stream infos in chronological order
+   * @param {string} outputPath - Destination MP3 path
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeAlignedTrack(session, recordedStreams, outputPath) {
+    const ffmpeg = spawn('ffmpeg', [
+      '-f', 's16le',
+      '-ar', '48000',
+      '-ac', '2',
+      '-i', 'pipe:0',
+      '-q:a', '2',
+      '-y', outputPath,
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', (data) => {
+      stderr = (stderr + data).slice(-2000);
+    });
+
+    const finished = new Promise((resolve, reject) => {
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+    });
+    // Surface write errors through `finished` rather than as uncaught events
+    ffmpeg.stdin.on('error', () => {});
+
+    const write = async (chunk) => {
+      if (!ffmpeg.stdin.write(chunk)) {
+        await new Promise((resolve) => ffmpeg.stdin.once('drain', resolve));
+      }
+    };
+
+    // Frame-aligned byte offset (4 bytes per stereo 16-bit sample)
+    const toBytes = (ms) =>
+      Math.max(0, Math.round((ms / 1000) * PCM_BYTES_PER_SECOND / 4) * 4);
+    const silence = Buffer.alloc(PCM_BYTES_PER_SECOND); // 1 second
+    const writeSilence = async (bytes) => {
+      while (bytes > 0) {
+        const size = Math.min(bytes, silence.length);
+        await write(silence.subarray(0, size));
+        bytes -= size;
+      }
+    };
+
+    try {
+      let written = 0;
+
+      for (const streamInfo of recordedStreams) {
+        // Bursts that overlap the previous one (decoder jitter) are appended as-is
+        const offset = toBytes(streamInfo.startTime - session.startTime);
+        if (offset > written) {
+          await writeSilence(offset - written);
+          written = offset;
+        }
+
+        for await (const chunk of fs.createReadStream(streamInfo.filePath)) {
+          await write(chunk);
+          written += chunk.length;
+        }
+      }
+
+      await writeSilence(toBytes((session.endTime || Date.now()) - session.startTime) - written);
+    } finally {
+      ffmpeg.stdin.end();
+    }
+
+    await finished;
+  }
+
+  /**
+   * Mix aligned per-user tracks into a single normalized MP3
+   * amix scales each input by 1/N, so the volume is restored before
+   * dynamic normalization evens out quiet and loud speakers and a limiter prevents clipping
+   * @param {Array<string>} trackPaths - Aligned MP3 tracks (all starting at recording start)
+   * @param {string} outputPath - Destination MP3 path
+   * @returns {Promise<void>}
+   * @private
+   */
+  async mixdownTracks(trackPaths, outputPath) {
+    const inputs = trackPaths.map((trackPath) => `-i "${trackPath}"`).join(' ');
+    const mix =
+      trackPaths.length > 1
+        ? `amix=inputs=${trackPaths.length}:duration=longest:dropout_transition=0,volume=${trackPaths.length},`
+        : '';
+
+    await execPromise(
+      `ffmpeg ${inputs} -filter_complex "${mix}dynaudnorm=f=250:g=15,alimiter=limit=0.95" -ac 2 -ar 48000 -q:a 2 -y "${outputPath}"`,
+      { maxBuffer: 16 * 1024 * 1024 }
+    );
+  }
+
+  /**
+   * Describe where each speaking burst sits in a user's concatenated track
+   * Durations come from the decoded PCM size, which excludes dropped silence
+   * @param {Array} recordedStreams - User's stream infos in chronological order
+   * @returns {Array<{startTime: number, duration: number, offset: number, filePath: string}>}
+   * @private
+   */
+  buildBurstTimeline(recordedStreams) {
+    let offset = 0;
+
+    return recordedStreams.map((streamInfo) => {
+      const duration = fs.statSync(streamInfo.filePath).size / PCM_BYTES_PER_SECOND;
+      const burst = {
+        startTime: streamInfo.startTime,
+        duration,
+        offset,
+        filePath: streamInfo.filePath,
+      };
+      offset += duration;
+      return burst;
+    });
+  }
+
   /**
    * Get active recording session
    * @param {string} meetingId - Meeting identifier
@@ -570,7 +935,8 @@ class AudioRecorder {
       if (session.isRecording) {
         recordings.push({
           meetingId,
-          duration: Date.now() - session.startTime,
+          duration: Date.now() - session.startTime - this.getPausedTime(session),
+          isPaused: session.isPaused,
           participants: session.userAudioStreams.size,
           channelId: session.channelId,
           guildId: session.guildId,
@@ -586,7 +952,10 @@ class AudioRecorder {
    * @returns {Promise<void>}
    */
   async shutdownAll() {
-    const recordings = Array.from(this.activeRecordings.keys());
+    // Stopped sessions are kept around briefly; only stop the live ones
+    const recordings = Array.from(this.activeRecordings.values())
+      .filter((session) => session.isRecording)
+      .map((session) => session.meetingId);
     logger.info(`Shutting down ${recordings.length} active recordings`);
 
     for (const meetingId of recordings) {
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { execFile } from 'child_process';
+import logger from '../utils/logger.js';
+
+const execFilePromise = promisify(execFile);
+
+/**
+ * Output formats offered for streaming
+ */
+export const AUDIO_FORMATS = {
+  mp3: { extension: 'mp3', contentType: 'audio/mpeg', codecArgs: ['-c:a', 'libmp3lame', '-f', 'mp3'] },
+  opus: { extension: 'ogg', contentType: 'audio/ogg', codecArgs: ['-c:a', 'libopus', '-f', 'ogg'] },
+};
+
+const MIN_BITRATE = 16; // kbps
+const MAX_BITRATE = 320; // kbps
+
+/**
+ * Audio Transcoder Service
+ * Produces alternative encodings of recordings (Opus, lower-bitrate MP3)
+ * and keeps them in a disk cache, so they can be served like any static
+ * file with range requests
+ */
+class AudioTranscoder {
+  constructor() {
+    this.cachePath =
+      process.env.AUDIO_CACHE_PATH ||
+      path.join(process.env.RECORDINGS_PATH || './recordings', 'cache');
+    this.maxCacheAge = parseInt(process.env.AUDIO_CACHE_MAX_AGE_HOURS || '24') * 60 * 60 * 1000;
+    this.pending = new Map(); // cache path -> in-flight transcode promise
+  }
+
+  /**
+   * Parse a bitrate such as "64", "64k" or "64kbps"
+   * @param {string} value - Requested bitrate
+   * @returns {number|null} Bitrate in kbps, or null if not given
+   * @throws {Error} If the bitrate is malformed or out of range
+   */
+  parseBitrate(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const match = String(value).trim().toLowerCase().match(/^(\d+)\s*(k|kbps)?$/);
+    const kbps = match ? parseInt(match[1]) : NaN;
+
+    if (!(kbps >= MIN_BITRATE && kbps <= MAX_BITRATE)) {
+      throw new Error(`Bitrate must be between ${MIN_BITRATE}k and ${MAX_BITRATE}k`);
+    }
+
+    return kbps;
+  }
+
+  /**
+   * Get a recording in the requested encoding
+   * The original file is returned untouched when it already matches. A
+   * variant that is not cached yet is transcoded in the background and
+   * reported as not ready; repeated requests share the same transcode
+   * @param {string} sourcePath - Original MP3 path
+   * @param {Object} options - Encoding options
+   * @param {string} options.format - Key of AUDIO_FORMATS (default: mp3)
+   * @param {number} options.bitrate - Target bitrate in kbps (optional)
+   * @returns {Promise<{filePath: string, contentType: string, extension: string, ready: boolean}>}
+   */
+  async getVariant(sourcePath, { format = 'mp3', bitrate = null } = {}) {
+    const spec = AUDIO_FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unsupported audio format: ${format}`);
+    }
+
+    if (format === 'mp3' && !bitrate) {
+      return { filePath: sourcePath, contentType: spec.contentType, extension: spec.extension, ready: true };
+    }
+
+    // Keyed on the source's identity and mtime, so re-encoded recordings
+    // (e.g. after reprocessing) never serve a stale variant
+    const stat = await fs.promises.stat(sourcePath);
+    const key = crypto
+      .createHash('sha1')
+      .update(`${path.resolve(sourcePath)}:${stat.size}:${stat.mtimeMs}`)
+      .digest('hex')
+      .slice(0, 16);
+    const cachedPath = path.join(
+      this.cachePath,
+      `${path.basename(sourcePath, path.extname(sourcePath))}-${key}-${format}-${bitrate || 'default'}.${spec.extension}`
+    );
+
+    const ready = fs.existsSync(cachedPath);
+
+    if (!ready && !this.pending.has(cachedPath)) {
+      // Nobody awaits the transcode, so a failure is only logged (by transcode)
+      // and the next request starts over
+      const transcode = this.transcode(sourcePath, cachedPath, spec, bitrate)
+        .catch(() => {})
+        .finally(() => this.pending.delete(cachedPath));
+      this.pending.set(cachedPath, transcode);
+    }
+
+    return { filePath: cachedPath, contentType: spec.contentType, extension: spec.extension, ready };
+  }
+
+  /**
+   * Encode a file into the cache
+   * Writes to a temporary name first so a half-written file is never served
+   * @private
+   * @param {string} sourcePath - Original file
+   * @param {string} outputPath - Cache file to create
+   * @param {Object} spec - Entry of AUDIO_FORMATS
+   * @param {number} bitrate - Target bitrate in kbps (optional)
+   * @returns {Promise<void>}
+   */
+  async transcode(sourcePath, outputPath, spec, bitrate) {
+    await fs.promises.mkdir(this.cachePath, { recursive: true });
+    await this.pruneCache();
+
+    const tempPath = `${outputPath}.${process.pid}.tmp`;
+    const args = ['-i', sourcePath, '-vn', ...spec.codecArgs];
+    if (bitrate) {
+      args.push('-b:a', `${bitrate}k`);
+    }
+    args.push('-y', tempPath);
+
+    const startedAt = Date.now();
+
+    try {
+      await execFilePromise('ffmpeg', args, { maxBuffer: 10 * 1024 * 1024 });
+      await fs.promises.rename(tempPath, outputPath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      logger.error('Audio transcode failed', {
+        error: error.message,
+        sourcePath,
+        outputPath,
+      });
+      throw new Error(`Failed to transcode audio: ${error.message}`);
+    }
+
+    logger.info('Transcoded audio variant', {
+      sourcePath,
+      outputPath,
+      bitrate,
+      duration: Date.now() - startedAt,
+    });
+  }
+
+  /**
+   * Delete cached variants that have not been used recently
+   * @private
+   * @returns {Promise<void>}
+   */
+  async pruneCache() {
+    try {
+      const cutoff = Date.now() - this.maxCacheAge;
+
+      for (const file of await fs.promises.readdir(this.cachePath)) {
+        const filePath = path.join(this.cachePath, file);
+        const stat = await fs.promises.stat(filePath);
+
+        if (stat.atimeMs < cutoff && stat.mtimeMs < cutoff && !this.pending.has(filePath)) {
+          await fs.promises.rm(filePath, { force: true });
+          logger.debug('Removed expired audio cache file', { filePath });
+        }
+      }
+    } catch (error) {
+      logger.warn('Could not prune audio cache', { error: error.message });
+    }
+  }
+}
+
+const audioTranscoder = new AudioTranscoder();
+export default audioTranscoder;
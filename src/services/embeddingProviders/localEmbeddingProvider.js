@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+
+/**
+ * Words left out of local embeddings
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'because', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from',
+  'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i',
+  'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no', 'not', 'of', 'oh',
+  'ok', 'okay', 'on', 'or', 'our', 'so', 'some', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'to', 'um', 'uh', 'us', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would',
+  'yeah', 'yes', 'you', 'your',
+]);
+
+/**
+ * Local Embedding Provider
+ * Offline stand-in for a real embedding model: hashes word stems and
+ * word pairs into a fixed-size vector (the "hashing trick"). It captures
+ * lexical overlap rather than meaning, but needs no model or API, so the
+ * ask feature works out of the box and in development
+ */
+export default class LocalEmbeddingProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.model - Ignored; the local provider has one model
+   */
+  constructor() {
+    this.name = 'local';
+    this.model = 'hashed-bow-v1';
+    this.dimensions = 512;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One unit-length vector per text, in input order
+   */
+  async embed(texts) {
+    return texts.map((text) => this.embedText(text));
+  }
+
+  /**
+   * Embed one text
+   * @private
+   * @param {string} text - Text to embed
+   * @returns {Array<number>} Unit-length vector
+   */
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = (text || '')
+      .toLowerCase()
+      .replace(/\[[\d:]+\]/g, ' ') // transcript timestamps
+      .replace(/[^a-z0-9'\s-]/g, ' ')
+      .split(/\s+/)
+      .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+      .map((word) => this.stem(word));
+
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+    for (const feature of features) {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const bucket = hash.readUInt32LE(0) % this.dimensions;
+      // A second hash bit picks the sign so collisions tend to cancel out
+      vector[bucket] += hash[4] & 1 ? 1 : -1;
+    }
+
+    // Dampen repeated words, then normalize
+    const damped = vector.map((value) => Math.sign(value) * Math.log1p(Math.abs(value)));
+    const norm = Math.sqrt(damped.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? damped.map((value) => value / norm) : damped;
+  }
+
+  /**
+   * Strip common English suffixes so "decide", "decided" and "deciding" match
+   * @private
+   * @param {string} word - Lowercase word
+   * @returns {string} Stem
+   */
+  stem(word) {
+    const stem = word.replace(/(ing|ed|es|e|s|ly)$/, '').replace(/(.)\1$/, '$1');
+    return stem.length > 2 ? stem : word;
+  }
+}
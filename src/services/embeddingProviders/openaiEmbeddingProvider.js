@@ -0,0 +1,82 @@
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+
+/**
+ * OpenAI-Compatible Embedding Provider
+ * Uses the /v1/embeddings endpoint of OpenAI or any compatible server
+ * (e.g. llama.cpp started with --embeddings, Ollama, LocalAI)
+ */
+export default class OpenAIEmbeddingProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.model - Model override (default: EMBEDDING_MODEL)
+   * @param {string} options.baseURL - Base URL override (default: EMBEDDING_BASE_URL)
+   */
+  constructor({ model, baseURL } = {}) {
+    this.name = 'openai';
+    this.baseURL = (
+      baseURL || process.env.EMBEDDING_BASE_URL || 'https://api.openai.com/v1'
+    ).replace(/\/+$/, '');
+    this.apiKey = process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY;
+    this.model = model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.maxRetries = 3;
+    this.retryDelay = 1000; // ms
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One unit-length vector per text, in input order
+   */
+  async embed(texts) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        const response = await axios.post(
+          `${this.baseURL}/embeddings`,
+          { model: this.model, input: texts },
+          {
+            headers: {
+              'Content-Type': 'application/json',
+              ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+            },
+            timeout: 60000,
+          }
+        );
+
+        const data = response.data?.data;
+        if (!Array.isArray(data) || data.length !== texts.length) {
+          throw new Error('Invalid response format from embeddings API');
+        }
+
+        return data
+          .sort((a, b) => a.index - b.index)
+          .map((item) => normalize(item.embedding));
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < this.maxRetries) {
+          const delay = this.retryDelay * Math.pow(2, attempt - 1);
+          logger.warn(
+            `Embeddings API call failed (attempt ${attempt}/${this.maxRetries}). Retrying in ${delay}ms...`,
+            { error: error.message, statusCode: error.response?.status }
+          );
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    throw new Error(`Embeddings API failed after ${this.maxRetries} attempts: ${lastError.message}`);
+  }
+}
+
+/**
+ * Scale a vector to unit length so similarity is a plain dot product
+ * @param {Array<number>} vector - Raw embedding
+ * @returns {Array<number>} Normalized embedding
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+}
@@ -0,0 +1,284 @@
+import logger from '../utils/logger.js';
+import mongoService from './mongoService.js';
+import guildConfigService from './guildConfigService.js';
+import summaryService from './summaryService.js';
+import Meeting from '../models/Meeting.js';
+import TranscriptEmbedding from '../models/TranscriptEmbedding.js';
+import OpenAIEmbeddingProvider from './embeddingProviders/openaiEmbeddingProvider.js';
+import LocalEmbeddingProvider from './embeddingProviders/localEmbeddingProvider.js';
+import { chunkSegments, chunkTranscriptText, formatChunkTimestamp } from '../utils/transcriptChunker.js';
+
+/**
+ * Registered embedding providers by name
+ * Every provider implements embed(texts) returning unit-length vectors
+ */
+const PROVIDERS = {
+  openai: OpenAIEmbeddingProvider,
+  local: LocalEmbeddingProvider,
+};
+
+export const EMBEDDING_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Embedding Service
+ * Maintains an embeddings index over transcript chunks and answers
+ * questions about past meetings by retrieving the most similar chunks
+ * and asking the guild's summary provider to answer from them with citations.
+ * Similarity is computed in-process over the guild's vectors, which is
+ * fast enough for a team's meeting archive (thousands of chunks)
+ */
+class EmbeddingService {
+  constructor() {
+    this.providers = new Map(); // cache key -> provider instance
+    this.chunkOptions = {
+      maxChars: parseInt(process.env.EMBEDDING_CHUNK_MAX_CHARS || '1500'),
+      maxDuration: parseInt(process.env.EMBEDDING_CHUNK_MAX_MINUTES || '3') * 60,
+    };
+    this.batchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE || '32');
+    this.topK = parseInt(process.env.ASK_TOP_K || '6');
+    this.minScore = parseFloat(process.env.ASK_MIN_SCORE || '0.1');
+  }
+
+  /**
+   * Get a provider instance by name
+   * @param {string} name - Provider name
+   * @param {Object} options - Provider options
+   * @param {string} options.model - Model override
+   * @param {string} options.baseUrl - Base URL override
+   * @returns {Object} Provider instance
+   * @throws {Error} If the provider is unknown
+   */
+  getProvider(name, { model, baseUrl } = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(
+        `Unknown embedding provider: ${name}. Available: ${EMBEDDING_PROVIDERS.join(', ')}`
+      );
+    }
+
+    const key = `${name}|${model || ''}|${baseUrl || ''}`;
+    if (!this.providers.has(key)) {
+      this.providers.set(key, new Provider({ model, baseURL: baseUrl }));
+    }
+
+    return this.providers.get(key);
+  }
+
+  /**
+   * Get the provider configured for a guild
+   * @param {string} guildId - Discord guild ID (optional)
+   * @returns {Promise<Object>} Provider instance
+   */
+  async getProviderForGuild(guildId) {
+    const { embeddings } = await guildConfigService.getConfig(guildId);
+    return this.getProvider(embeddings.provider, embeddings);
+  }
+
+  /**
+   * Build (or rebuild) the embeddings of one meeting's transcript
+   * @param {string} meetingId - Meeting UUID
+   * @returns {Promise<number>} Number of chunks indexed
+   */
+  async indexMeeting(meetingId) {
+    const meeting = await mongoService.findMeeting(meetingId);
+    if (!meeting) {
+      throw new Error(`Meeting not found: ${meetingId}`);
+    }
+
+    const segments = await mongoService.getTranscriptSegments(meetingId);
+    const chunks =
+      segments.length > 0
+        ? chunkSegments(segments, this.chunkOptions)
+        : chunkTranscriptText(meeting.transcript, this.chunkOptions);
+
+    const provider = await this.getProviderForGuild(meeting.guildId);
+
+    const vectors = [];
+    for (let i = 0; i < chunks.length; i += this.batchSize) {
+      const batch = chunks.slice(i, i + this.batchSize);
+      vectors.push(...(await provider.embed(batch.map((chunk) => chunk.text))));
+    }
+
+    await TranscriptEmbedding.replaceForMeeting(
+      meetingId,
+      chunks.map((chunk, i) => ({
+        guildId: meeting.guildId,
+        chunkIndex: chunk.index,
+        startTime: chunk.startTime,
+        endTime: chunk.endTime,
+        absoluteStartTime: chunk.absoluteStartTime,
+        speakers: chunk.speakers,
+        text: chunk.text,
+        provider: provider.name,
+        model: provider.model,
+        vector: vectors[i],
+      }))
+    );
+
+    logger.info('Indexed meeting transcript for semantic search', {
+      meetingId,
+      chunks: chunks.length,
+      provider: provider.name,
+      model: provider.model,
+    });
+
+    return chunks.length;
+  }
+
+  /**
+   * Index completed meetings of a guild that have no embeddings yet,
+   * or whose embeddings came from a different provider or model
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>} Number of meetings indexed
+   */
+  async indexMissing(guildId) {
+    const provider = await this.getProviderForGuild(guildId);
+    const current = await TranscriptEmbedding.distinct('meetingId', {
+      guildId,
+      provider: provider.name,
+      model: provider.model,
+    });
+
+    const meetings = await Meeting.find({
+      guildId,
+      transcript: { $exists: true, $ne: null },
+      meetingId: { $nin: current },
+    }).select('meetingId');
+
+    let indexed = 0;
+    for (const { meetingId } of meetings) {
+      try {
+        await this.indexMeeting(meetingId);
+        indexed++;
+      } catch (error) {
+        logger.warn('Could not index meeting for semantic search', {
+          error: error.message,
+          meetingId,
+        });
+      }
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Find the transcript chunks most similar to a query
+   * @param {string} query - Search text or question
+   * @param {Object} options - Search options
+   * @param {string} options.guildId - Guild whose meetings are searched
+   * @param {number} options.limit - Maximum chunks to return (default: ASK_TOP_K)
+   * @returns {Promise<Array<Object>>} Chunks with score, best match first
+   */
+  async searchChunks(query, { guildId, limit = this.topK } = {}) {
+    const provider = await this.getProviderForGuild(guildId);
+    const [queryVector] = await provider.embed([query]);
+
+    const candidates = await TranscriptEmbedding.find({
+      guildId,
+      provider: provider.name,
+      model: provider.model,
+    }).lean();
+
+    return candidates
+      .map(({ vector, ...chunk }) => ({ ...chunk, score: this.dot(queryVector, vector) }))
+      .filter((chunk) => chunk.score >= this.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Answer a question about a guild's past meetings
+   * @param {string} question - Question in natural language
+   * @param {Object} options - Options
+   * @param {string} options.guildId - Guild whose meetings are searched
+   * @param {number} options.limit - Maximum excerpts to retrieve (default: ASK_TOP_K)
+   * @returns {Promise<Object>} { answer, citations, provider, model }; citations are
+   *   { ref, meetingId, channelName, meetingStart, startTime, audioStart, speakers, text, score }
+   */
+  async ask(question, { guildId, limit } = {}) {
+    const chunks = await this.searchChunks(question, { guildId, limit });
+
+    if (chunks.length === 0) {
+      return {
+        answer: 'I could not find anything about that in the recorded meetings.',
+        citations: [],
+        provider: null,
+        model: null,
+      };
+    }
+
+    const meetings = await Meeting.find({
+      meetingId: { $in: [...new Set(chunks.map((chunk) => chunk.meetingId))] },
+    }).select('meetingId channelName startTimestamp audioStartTimestamp');
+    const byId = new Map(meetings.map((meeting) => [meeting.meetingId, meeting]));
+
+    const citations = chunks.map((chunk, i) => {
+      const meeting = byId.get(chunk.meetingId);
+      const anchor = meeting?.audioStartTimestamp || meeting?.startTimestamp;
+
+      return {
+        ref: i + 1,
+        meetingId: chunk.meetingId,
+        channelName: meeting?.channelName,
+        meetingStart: meeting?.startTimestamp,
+        startTime: chunk.startTime,
+        // Position in the recording, for linking to the audio
+        audioStart:
+          anchor && chunk.absoluteStartTime
+            ? Math.max(0, (chunk.absoluteStartTime - anchor) / 1000)
+            : null,
+        speakers: chunk.speakers,
+        text: chunk.text,
+        score: Math.round(chunk.score * 1000) / 1000,
+      };
+    });
+
+    const sources = citations.map((citation) => ({
+      ref: citation.ref,
+      label: `Meeting ${citation.meetingId} in #${citation.channelName || 'unknown'}, ${
+        citation.meetingStart ? new Date(citation.meetingStart).toISOString().slice(0, 10) : 'unknown date'
+      }, at ${formatChunkTimestamp(citation.audioStart ?? citation.startTime)}`,
+      text: citation.text,
+    }));
+
+    const { answer, provider, model } = await summaryService.answerQuestion(question, sources, {
+      guildId,
+    });
+
+    // Only return the excerpts the answer actually cites, if it cites any
+    const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map((match) => Number(match[1])));
+
+    logger.info('Answered question about past meetings', {
+      guildId,
+      excerpts: chunks.length,
+      cited: cited.size,
+      provider,
+    });
+
+    return {
+      answer,
+      citations: cited.size > 0 ? citations.filter((citation) => cited.has(citation.ref)) : citations,
+      provider,
+      model,
+    };
+  }
+
+  /**
+   * Dot product of two unit vectors (their cosine similarity)
+   * @private
+   * @param {Array<number>} a - Vector
+   * @param {Array<number>} b - Vector
+   * @returns {number}
+   */
+  dot(a, b) {
+    let sum = 0;
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      sum += a[i] * b[i];
+    }
+    return sum;
+  }
+}
+
+const embeddingService = new EmbeddingService();
+export default embeddingService;
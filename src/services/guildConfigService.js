@@ -0,0 +1,248 @@
+import logger from '../utils/logger.js';
+import mongoService from './mongoService.js';
+import GuildConfig from '../models/GuildConfig.js';
+
+/**
+ * Sections whose baseUrl override points the server at another host
+ */
+const BASE_URL_SECTIONS = ['summarization', 'transcription', 'embeddings'];
+
+/**
+ * Normalize a URL for allowlist comparison: origin plus path, no trailing slash
+ * @param {string} url - URL
+ * @returns {string|null} Normalized URL, or null if it is not a valid http(s) URL
+ */
+function normalizeBaseUrl(url) {
+  try {
+    const parsed = new URL(String(url).trim());
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return null;
+    }
+    return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Guild Configuration Service
+ * Resolves per-guild settings stored in MongoDB on top of environment defaults
+ * Results are cached briefly since they are read on every pipeline run
+ */
+class GuildConfigService {
+  constructor() {
+    this.cache = new Map(); // guildId -> { config, expiresAt }
+    this.cacheTtl = 60000; // ms
+    // Providers attach the server's API keys and the server makes the
+    // requests, so guilds may only point them at operator-approved hosts
+    this.allowedBaseUrls = (process.env.ALLOWED_BASE_URLS || '')
+      .split(',')
+      .map(normalizeBaseUrl)
+      .filter(Boolean);
+  }
+
+  /**
+   * Default settings used when a guild has no override
+   * @returns {Object} Default configuration
+   */
+  getDefaults() {
+    return {
+      summarization: {
+        provider: process.env.SUMMARY_PROVIDER || 'perplexity',
+        model: null,
+        baseUrl: null,
+      },
+      transcription: {
+        backend: process.env.TRANSCRIPTION_BACKEND || 'http',
+        model: null,
+        baseUrl: null,
+        language: process.env.WHISPER_LANGUAGE || 'en',
+      },
+      embeddings: {
+        provider: process.env.EMBEDDING_PROVIDER || 'local',
+        model: null,
+        baseUrl: null,
+      },
+      liveTranscription: {
+        enabled: process.env.LIVE_TRANSCRIPTION_ENABLED === 'true',
+      },
+      recording: {
+        outputChannelId: null,
+        stopDelaySeconds: parseInt(process.env.STOP_DELAY_SECONDS || '60'),
+        maxDurationMinutes: parseInt(process.env.MAX_RECORDING_MINUTES || '480'),
+        warnMinutesBefore: parseInt(process.env.RECORDING_WARN_MINUTES || '5'),
+        rollover: process.env.RECORDING_ROLLOVER === 'true',
+      },
+      autoRecord: {
+        enabled: process.env.ENABLE_AUTO_JOIN === 'true',
+        voiceChannelIds: (process.env.AUTO_RECORD_CHANNEL_IDS || '')
+          .split(',')
+          .map((id) => id.trim())
+          .filter(Boolean),
+        startThreshold: parseInt(process.env.AUTO_START_THRESHOLD || '2'),
+      },
+    };
+  }
+
+  /**
+   * Get effective configuration for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object>} Defaults merged with stored overrides
+   */
+  async getConfig(guildId) {
+    const defaults = this.getDefaults();
+
+    if (!guildId || !mongoService.isConnected()) {
+      return defaults;
+    }
+
+    const cached = this.cache.get(guildId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.config;
+    }
+
+    try {
+      const stored = await GuildConfig.findByGuildId(guildId);
+      const config = this.dropDisallowedBaseUrls(this.mergeConfig(defaults, stored?.toObject() || {}));
+
+      this.cache.set(guildId, { config, expiresAt: Date.now() + this.cacheTtl });
+      return config;
+    } catch (error) {
+      logger.warn('Could not load guild config, using defaults', {
+        error: error.message,
+        guildId,
+      });
+      return defaults;
+    }
+  }
+
+  /**
+   * Update stored overrides for a guild
+   * Only the provided fields are changed; null clears an override
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} updates - Partial configuration
+   * @returns {Promise<Object>} Effective configuration after the update
+   */
+  async updateConfig(guildId, updates) {
+    try {
+      await GuildConfig.findOneAndUpdate(
+        { guildId },
+        { $set: this.toDotPaths(updates) },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+
+      this.cache.delete(guildId);
+      logger.info('Updated guild config', { guildId });
+
+      return await this.getConfig(guildId);
+    } catch (error) {
+      logger.error('Error updating guild config', {
+        error: error.message,
+        guildId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a guild may point a provider at a base URL
+   * Allowed URLs are ALLOWED_BASE_URLS entries and paths below them
+   * @param {string} url - Base URL override
+   * @returns {boolean}
+   */
+  isBaseUrlAllowed(url) {
+    const normalized = normalizeBaseUrl(url);
+    if (!normalized) {
+      return false;
+    }
+
+    return this.allowedBaseUrls.some(
+      (allowed) => normalized === allowed || normalized.startsWith(`${allowed}/`)
+    );
+  }
+
+  /**
+   * Find baseUrl overrides in an update that are not allowed
+   * @param {Object} updates - Partial configuration
+   * @returns {Array<string>} Offending fields, e.g. 'summarization.baseUrl'
+   */
+  findDisallowedBaseUrls(updates) {
+    return BASE_URL_SECTIONS.filter((section) => {
+      const baseUrl = updates?.[section]?.baseUrl;
+      return baseUrl != null && !this.isBaseUrlAllowed(baseUrl);
+    }).map((section) => `${section}.baseUrl`);
+  }
+
+  /**
+   * Ignore stored baseUrl overrides that are no longer allowed,
+   * e.g. after ALLOWED_BASE_URLS was narrowed
+   * @private
+   * @param {Object} config - Effective configuration
+   * @returns {Object} The configuration
+   */
+  dropDisallowedBaseUrls(config) {
+    for (const field of this.findDisallowedBaseUrls(config)) {
+      const section = field.split('.')[0];
+      logger.warn('Ignoring base URL override that is not in ALLOWED_BASE_URLS', {
+        guildId: config.guildId,
+        section,
+      });
+      config[section].baseUrl = null;
+    }
+
+    return config;
+  }
+
+  /**
+   * Merge stored section values over defaults, ignoring unset fields
+   * @private
+   * @param {Object} defaults - Default configuration
+   * @param {Object} stored - Stored configuration document
+   * @returns {Object} Effective configuration
+   */
+  mergeConfig(defaults, stored) {
+    const config = { guildId: stored.guildId };
+
+    for (const [section, values] of Object.entries(defaults)) {
+      const overrides = Object.fromEntries(
+        Object.entries(stored[section] || {}).filter(
+          ([, value]) => value !== null && value !== undefined
+        )
+      );
+      config[section] =
+        values && typeof values === 'object' && !Array.isArray(values)
+          ? { ...values, ...overrides }
+          : stored[section] ?? values;
+    }
+
+    return config;
+  }
+
+  /**
+   * Flatten a nested update into MongoDB dot paths
+   * so partial section updates don't overwrite sibling fields
+   * @private
+   * @param {Object} updates - Nested updates
+   * @param {string} prefix - Path prefix
+   * @returns {Object} Flattened updates
+   */
+  toDotPaths(updates, prefix = '') {
+    const paths = {};
+
+    for (const [key, value] of Object.entries(updates || {})) {
+      if (key === 'guildId' || key.startsWith('$') || key.startsWith('_')) continue;
+
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.assign(paths, this.toDotPaths(value, path));
+      } else {
+        paths[path] = value;
+      }
+    }
+
+    return paths;
+  }
+}
+
+const guildConfigService = new GuildConfigService();
+export default guildConfigService;
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { execFile } from 'child_process';
+import logger from '../utils/logger.js';
+import audioRecorder, { PCM_BYTES_PER_SECOND } from './audioRecorder.js';
+import transcriptionService from './transcriptionService.js';
+import guildConfigService from './guildConfigService.js';
+import { formatChunkTimestamp } from '../utils/transcriptChunker.js';
+
+const execFilePromise = promisify(execFile);
+
+/**
+ * Live Transcription Service
+ * Opt-in rolling transcript: each utterance is transcribed as soon as its
+ * speaking burst ends and posted, speaker-labelled, into a thread on the
+ * recording-start message. The full transcript is still produced after
+ * the recording stops
+ */
+class LiveTranscriptionService {
+  constructor() {
+    this.sessions = new Map(); // meetingId -> live session
+    this.minUtteranceSeconds = parseFloat(process.env.LIVE_MIN_UTTERANCE_SECONDS || '0.5');
+
+    audioRecorder.on('utteranceComplete', (utterance) => this.handleUtterance(utterance));
+    audioRecorder.on('recordingStopped', ({ meetingId }) => this.stop(meetingId));
+  }
+
+  /**
+   * Check whether live transcription should run for a recording
+   * @param {string} guildId - Discord guild ID
+   * @param {boolean|null} override - Explicit choice from the command (optional)
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(guildId, override = null) {
+    if (typeof override === 'boolean') {
+      return override;
+    }
+
+    const { liveTranscription } = await guildConfigService.getConfig(guildId);
+    return liveTranscription.enabled;
+  }
+
+  /**
+   * Start posting live transcription for a recording
+   * @param {string} meetingId - Meeting identifier
+   * @param {Message} startMessage - Recording-start message to open the thread on
+   * @param {Object} options - Live options
+   * @param {string} options.guildId - Discord guild ID
+   * @param {number} options.startTime - Recording start (ms), used for relative timestamps
+   * @returns {Promise<ThreadChannel>} Created thread
+   */
+  async start(meetingId, startMessage, { guildId, startTime }) {
+    const thread = await startMessage.startThread({
+      name: `Live transcript ${meetingId}`,
+      autoArchiveDuration: 1440,
+    });
+
+    this.sessions.set(meetingId, {
+      meetingId,
+      guildId,
+      thread,
+      startTime: startTime || Date.now(),
+      queue: Promise.resolve(),
+    });
+
+    await thread.send(
+      '📝 Live transcription is on. Lines appear here shortly after each person finishes speaking.'
+    );
+
+    logger.info('Live transcription started', { meetingId, threadId: thread.id });
+    return thread;
+  }
+
+  /**
+   * Stop live transcription once queued utterances are posted
+   * @param {string} meetingId - Meeting identifier
+   * @returns {Promise<void>}
+   */
+  async stop(meetingId) {
+    const session = this.sessions.get(meetingId);
+    if (!session) {
+      return;
+    }
+
+    // Drop the session first so utterances flushed by the shutdown are ignored
+    this.sessions.delete(meetingId);
+    await session.queue;
+
+    try {
+      await session.thread.send(
+        '⏹️ Recording stopped. The full transcript and summary will be posted when processing finishes.'
+      );
+    } catch (error) {
+      logger.warn('Could not post to live transcript thread', {
+        error: error.message,
+        meetingId,
+      });
+    }
+
+    logger.info('Live transcription stopped', { meetingId });
+  }
+
+  /**
+   * Queue a finished utterance for transcription
+   * Utterances are processed one at a time per meeting so lines stay in order
+   * @private
+   * @param {Object} utterance - Event payload from the audio recorder
+   */
+  handleUtterance(utterance) {
+    const session = this.sessions.get(utterance.meetingId);
+    if (!session) {
+      return;
+    }
+
+    session.queue = session.queue.then(() => this.transcribeUtterance(session, utterance));
+  }
+
+  /**
+   * Transcribe one utterance and post it to the thread
+   * @private
+   * @param {Object} session - Live session
+   * @param {Object} utterance - Event payload from the audio recorder
+   * @returns {Promise<void>}
+   */
+  async transcribeUtterance(session, utterance) {
+    const { meetingId, userId, filePath } = utterance;
+    let wavPath = null;
+
+    try {
+      // The recorder deletes burst files after a recording stops
+      if (!fs.existsSync(filePath)) {
+        return;
+      }
+
+      if (fs.statSync(filePath).size / PCM_BYTES_PER_SECOND < this.minUtteranceSeconds) {
+        return;
+      }
+
+      wavPath = path.join(os.tmpdir(), `teamtape-live-${meetingId}-${userId}-${utterance.startTime}.wav`);
+      await execFilePromise('ffmpeg', [
+        '-f', 's16le',
+        '-ar', '48000',
+        '-ac', '2',
+        '-i', filePath,
+        '-ar', '16000',
+        '-ac', '1',
+        '-y', wavPath,
+      ]);
+
+      // Call the backend directly so outages are skipped rather than
+      // posted as placeholder text
+      const { backend, language } = await transcriptionService.getBackendForGuild(session.guildId);
+      const result = await backend.transcribe(wavPath, { language });
+
+      const text = (result.segments || [])
+        .map((segment) => segment.text.trim())
+        .filter(Boolean)
+        .join(' ') || result.text?.trim();
+
+      if (!text) {
+        return;
+      }
+
+      const speaker =
+        session.thread.guild?.members.cache.get(userId)?.displayName ||
+        transcriptionService.getUserName(userId, utterance.username);
+      const timestamp = formatChunkTimestamp((utterance.startTime - session.startTime) / 1000);
+
+      // Discord messages are limited to 2000 characters
+      await session.thread.send(`\`[${timestamp}]\` **${speaker}:** ${text}`.substring(0, 2000));
+    } catch (error) {
+      logger.warn('Live transcription failed for utterance', {
+        error: error.message,
+        meetingId,
+        userId,
+      });
+    } finally {
+      if (wavPath) {
+        fs.promises.rm(wavPath, { force: true }).catch(() => {});
+      }
+    }
+  }
+}
+
+const liveTranscriptionService = new LiveTranscriptionService();
+export default liveTranscriptionService;
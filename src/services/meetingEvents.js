@@ -0,0 +1,79 @@
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+import Meeting from '../models/Meeting.js';
+
+/**
+ * Meeting Events
+ * In-process bus for meeting lifecycle changes, so consumers such as the
+ * MCP server can react to them without the processing pipeline knowing
+ * about each one.
+ *
+ * Events:
+ * - 'completed' ({ meetingId, guildId }) - processing finished and the
+ *   meeting's transcript and summary are available
+ */
+class MeetingEvents extends EventEmitter {
+  constructor() {
+    super();
+    // Every MCP session subscribes, so the default limit of 10 is too low;
+    // sessions are capped, so more listeners than that means a leak
+    this.setMaxListeners(parseInt(process.env.MCP_MAX_SESSIONS || '100') + 10);
+    this.watchTimer = null;
+  }
+
+  /**
+   * Announce that a meeting finished processing
+   * @param {Object} meeting - Meeting document
+   */
+  emitCompleted(meeting) {
+    this.emit('completed', { meetingId: meeting.meetingId, guildId: meeting.guildId });
+  }
+
+  /**
+   * Watch MongoDB for meetings completed by another process
+   * Used by processes that do not run the processing queue themselves,
+   * such as the standalone stdio MCP server
+   * @param {number} intervalMs - Poll interval (default: MCP_WATCH_INTERVAL_SECONDS)
+   */
+  watchCompleted(intervalMs = parseInt(process.env.MCP_WATCH_INTERVAL_SECONDS || '30') * 1000) {
+    if (this.watchTimer) {
+      return;
+    }
+
+    let since = new Date();
+
+    this.watchTimer = setInterval(async () => {
+      try {
+        // processedAt only moves when processing completes; updatedAt also
+        // moves on edits such as action item or participant changes
+        const meetings = await Meeting.find({
+          recordingStatus: 'completed',
+          processedAt: { $gt: since },
+        })
+          .select('meetingId guildId processedAt')
+          .sort({ processedAt: 1 });
+
+        for (const meeting of meetings) {
+          since = meeting.processedAt;
+          this.emitCompleted(meeting);
+        }
+      } catch (error) {
+        logger.warn('Could not check for completed meetings', { error: error.message });
+      }
+    }, intervalMs);
+
+    // Watching alone should not keep the process alive
+    this.watchTimer.unref();
+  }
+
+  /**
+   * Stop watching MongoDB
+   */
+  stopWatching() {
+    clearInterval(this.watchTimer);
+    this.watchTimer = null;
+  }
+}
+
+const meetingEvents = new MeetingEvents();
+export default meetingEvents;
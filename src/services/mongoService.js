@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
 import Meeting from '../models/Meeting.js';
+import TranscriptSegment from '../models/TranscriptSegment.js';
 
 /**
  * MongoDB Service for meeting data persistence
@@ -224,7 +225,6 @@ class MongoService {
           ...summary,
           generatedAt: new Date(),
         },
-        recordingStatus: 'completed',
       });
     } catch (error) {
       logger.error('Error saving summary', {
@@ -237,16 +237,22 @@ class MongoService {
 
   /**
    * Save transcript to meeting record
+   * Per-utterance segments are stored in their own collection, replacing
+   * any segments from a previous transcription of the same meeting
    * @param {string} meetingId - Meeting UUID
    * @param {string} transcript - Transcribed text
    * @param {string} transcriptPath - File path to transcript
+   * @param {Array} segments - Structured segments from the transcription service
    * @returns {Promise<Object>}
    */
-  async saveTranscript(meetingId, transcript, transcriptPath) {
+  async saveTranscript(meetingId, transcript, transcriptPath, segments = []) {
     try {
+      const savedSegments = await TranscriptSegment.replaceForMeeting(meetingId, segments);
+
       return await this.updateMeeting(meetingId, {
         transcript,
         transcriptFilePath: transcriptPath,
+        transcriptSegmentCount: savedSegments.length,
       });
     } catch (error) {
       logger.error('Error saving transcript', {
@@ -257,6 +263,23 @@ class MongoService {
     }
   }
 
+  /**
+   * Get structured transcript segments for a meeting
+   * @param {string} meetingId - Meeting UUID
+   * @returns {Promise<Array>} Segments in transcript order
+   */
+  async getTranscriptSegments(meetingId) {
+    try {
+      return await TranscriptSegment.findByMeetingId(meetingId);
+    } catch (error) {
+      logger.error('Error fetching transcript segments', {
+        error: error.message,
+        meetingId,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Record processing error
    * @param {string} meetingId - Meeting UUID
@@ -282,6 +305,62 @@ class MongoService {
     }
   }
 
+  /**
+   * Append a processing attempt to the meeting history
+   * @param {string} meetingId - Meeting UUID
+   * @param {Object} attempt - Attempt data (jobId, trigger, stages, requestedBy)
+   * @returns {Promise<Object>}
+   */
+  async addProcessingAttempt(meetingId, attempt) {
+    try {
+      return await this.updateMeeting(meetingId, {
+        $push: {
+          processingAttempts: {
+            ...attempt,
+            status: 'pending',
+            requestedAt: new Date(),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('Error adding processing attempt', {
+        error: error.message,
+        meetingId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a processing attempt
+   * @param {string} meetingId - Meeting UUID
+   * @param {string} jobId - Processing job ID
+   * @param {string} status - Final status ('completed' or 'failed')
+   * @param {string} errorMessage - Error message for failed attempts
+   * @returns {Promise<void>}
+   */
+  async finishProcessingAttempt(meetingId, jobId, status, errorMessage = null) {
+    try {
+      await Meeting.updateOne(
+        { meetingId, 'processingAttempts.jobId': jobId },
+        {
+          $set: {
+            'processingAttempts.$.status': status,
+            'processingAttempts.$.finishedAt': new Date(),
+            'processingAttempts.$.error': errorMessage,
+          },
+        }
+      );
+    } catch (error) {
+      logger.error('Error finishing processing attempt', {
+        error: error.message,
+        meetingId,
+        jobId,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get recent meetings for a guild
    * @param {string} guildId - Discord guild ID
@@ -319,6 +398,26 @@ class MongoService {
     }
   }
 
+  /**
+   * Get meetings that ended before a date and still list speaker tracks
+   * @param {Date} endedBefore - Latest end time to include
+   * @returns {Promise<Array>} Meetings with only meetingId and audioTracks
+   */
+  async getMeetingsWithTracksEndedBefore(endedBefore) {
+    try {
+      return await Meeting.find({
+        endTimestamp: { $lt: endedBefore },
+        'audioTracks.0': { $exists: true },
+      }).select('meetingId audioTracks');
+    } catch (error) {
+      logger.error('Error fetching meetings with speaker tracks', {
+        error: error.message,
+        endedBefore,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get statistics for a guild
    * @param {string} guildId - Discord guild ID
@@ -0,0 +1,316 @@
+import { AttachmentBuilder } from 'discord.js';
+import fs from 'fs';
+import logger from '../utils/logger.js';
+import mongoService from './mongoService.js';
+import transcriptionService from './transcriptionService.js';
+import summaryService from './summaryService.js';
+import embeddingService from './embeddingService.js';
+import actionItemService from './actionItemService.js';
+import { createMeetingSummaryEmbed } from '../utils/embedBuilder.js';
+import { createMeetingSummaryComponents } from '../utils/componentBuilder.js';
+
+/**
+ * Processing Pipeline
+ * Implements the individual post-recording stages run by the processing queue:
+ * 1. Transcribe with speaker labels
+ * 2. Generate summary with the guild's configured provider
+ * 3. Upload results to Discord
+ * Each stage reads its inputs from MongoDB so it can be re-run after a restart
+ */
+class ProcessingPipeline {
+  /**
+   * Run a single pipeline stage for a job
+   * @param {string} stage - Stage name
+   * @param {ProcessingJob} job - Processing job document
+   * @param {Client} client - Discord client
+   * @param {Object} options - Stage options
+   * @param {Function} options.onProgress - Async callback receiving a progress line for the status embed
+   * @returns {Promise<void>}
+   * @throws {Error} If the stage fails
+   */
+  async runStage(stage, job, client, { onProgress } = {}) {
+    const meeting = await mongoService.findMeeting(job.meetingId);
+    if (!meeting) {
+      throw new Error(`Meeting not found: ${job.meetingId}`);
+    }
+
+    switch (stage) {
+      case 'transcription':
+        return this.transcribe(job, meeting, onProgress);
+      case 'summary':
+        return this.summarize(job, meeting);
+      case 'upload':
+        return this.upload(job, meeting, client);
+      default:
+        throw new Error(`Unknown processing stage: ${stage}`);
+    }
+  }
+
+  /**
+   * Transcription stage
+   * Uses per-user tracks for Discord-level speaker identification,
+   * falling back to the single meeting file when none were recorded
+   * @private
+   * @param {ProcessingJob} job - Processing job document
+   * @param {Meeting} meeting - Meeting document
+   * @param {Function} onProgress - Async callback receiving a progress line (optional)
+   * @returns {Promise<void>}
+   */
+  async transcribe(job, meeting, onProgress) {
+    const { meetingId } = meeting;
+    const userAudioFiles = job.userAudioFiles.map((file) => file.toObject());
+
+    let transcription;
+
+    if (userAudioFiles.length > 0) {
+      logger.info('Starting per-user transcription with Discord speaker identification', {
+        meetingId,
+        userCount: userAudioFiles.length,
+      });
+
+      // Status message edits are chained so they land in order
+      let progressUpdate = Promise.resolve();
+
+      transcription = await transcriptionService.transcribePerUser(
+        userAudioFiles,
+        meeting.participants,
+        {
+          guildId: meeting.guildId,
+          pauses: meeting.pauses,
+          onProgress: ({ completed, failed, total }) => {
+            if (!onProgress) return;
+            const line =
+              `🎙️ Transcribed ${completed}/${total} tracks` +
+              (failed > 0 ? ` (${failed} failed)` : '');
+            progressUpdate = progressUpdate.then(() => onProgress(line));
+          },
+        }
+      );
+
+      await progressUpdate;
+    } else {
+      // Fallback to merged file - verify it exists
+      if (!meeting.audioFilePath) {
+        throw new Error(`Audio file path not found in meeting record: ${meetingId}`);
+      }
+
+      if (!fs.existsSync(meeting.audioFilePath)) {
+        throw new Error(`Audio file does not exist on disk: ${meeting.audioFilePath}`);
+      }
+
+      logger.warn('No per-user audio files found, falling back to single-file transcription', {
+        meetingId,
+      });
+
+      transcription = await transcriptionService.transcribeAudio(
+        meeting.audioFilePath,
+        meeting.participants,
+        {
+          guildId: meeting.guildId,
+          pauses: meeting.pauses,
+          audioStartTimestamp: meeting.audioStartTimestamp,
+        }
+      );
+    }
+
+    const transcriptPath = await transcriptionService.saveTranscript(
+      transcription.formattedTranscript,
+      meetingId
+    );
+
+    await mongoService.saveTranscript(
+      meetingId,
+      transcription.formattedTranscript,
+      transcriptPath,
+      transcription.segments
+    );
+
+    // Keep the meeting when some tracks fail, but record what was lost;
+    // each run replaces the list, so retries don't repeat entries
+    await mongoService.updateMeeting(meetingId, { failedTracks: transcription.failedTracks || [] });
+
+    // Semantic search is a convenience; a failure here must not fail the meeting
+    try {
+      await embeddingService.indexMeeting(meetingId);
+    } catch (error) {
+      logger.warn('Could not index transcript for semantic search', {
+        error: error.message,
+        meetingId,
+      });
+    }
+
+    logger.info('Transcription stage completed', {
+      meetingId,
+      userCount: transcription.userCount,
+      totalSegments: transcription.segments.length,
+    });
+  }
+
+  /**
+   * Summary stage
+   * @private
+   * @param {ProcessingJob} job - Processing job document
+   * @param {Meeting} meeting - Meeting document
+   * @returns {Promise<void>}
+   */
+  async summarize(job, meeting) {
+    if (!meeting.transcript) {
+      throw new Error(`Transcript not available for summary: ${meeting.meetingId}`);
+    }
+
+    logger.info('Generating summary', { meetingId: meeting.meetingId });
+
+    const segments = await mongoService.getTranscriptSegments(meeting.meetingId);
+
+    const summary = await summaryService.generateMeetingSummary(
+      meeting.transcript,
+      meeting.participants,
+      { guildId: meeting.guildId, segments }
+    );
+
+    await mongoService.saveSummary(meeting.meetingId, summary);
+
+    // Tracking failures must not fail the meeting; items can be added by hand
+    try {
+      await actionItemService.syncFromSummary(meeting.meetingId);
+    } catch (error) {
+      logger.warn('Could not create tracked action items', {
+        error: error.message,
+        meetingId: meeting.meetingId,
+      });
+    }
+
+    logger.info('Summary stage completed', { meetingId: meeting.meetingId });
+  }
+
+  /**
+   * Upload stage
+   * Posts the summary embed with transcript and audio attachments, plus
+   * follow-up buttons and a menu for the meeting's open action items
+   * @private
+   * @param {ProcessingJob} job - Processing job document
+   * @param {Meeting} meeting - Meeting document
+   * @param {Client} client - Discord client
+   * @returns {Promise<void>}
+   */
+  async upload(job, meeting, client) {
+    const channel = await this.fetchChannel(job, client);
+    if (!channel) {
+      throw new Error(`Output channel not available for upload: ${job.channelId}`);
+    }
+
+    const embed = createMeetingSummaryEmbed(meeting);
+
+    const { items: openItems } = await actionItemService.list(
+      { meetingId: meeting.meetingId, status: 'open' },
+      { limit: 25 }
+    );
+    const components = createMeetingSummaryComponents(meeting, openItems);
+
+    // Prepare file attachments
+    const attachments = [];
+
+    // Attach transcript file if it exists
+    if (meeting.transcriptFilePath && fs.existsSync(meeting.transcriptFilePath)) {
+      attachments.push(new AttachmentBuilder(meeting.transcriptFilePath));
+    }
+
+    // Attach audio file if it exists
+    if (
+      meeting.audioFilePath &&
+      fs.existsSync(meeting.audioFilePath) &&
+      fs.statSync(meeting.audioFilePath).size < 25 * 1024 * 1024 // Discord 25MB limit
+    ) {
+      attachments.push(new AttachmentBuilder(meeting.audioFilePath));
+    }
+
+    // Post results to Discord, unless an earlier attempt of this job already did
+    if (!job.resultMessageId) {
+      const resultMessage = await channel.send({
+        embeds: [embed],
+        files: attachments,
+        components,
+        content: `🎉 **Meeting Complete** - ${meeting.meetingId}`,
+      });
+
+      // Checkpoint before any other write, so a retry never reposts
+      job.resultMessageId = resultMessage.id;
+      await job.save();
+    }
+
+    // Store Discord message ID for reference
+    await mongoService.updateMeeting(meeting.meetingId, {
+      discordMessageId: job.resultMessageId,
+    });
+
+    // Replace the processing status with the final summary
+    const processingMessage = await this.fetchProcessingMessage(job, client);
+    if (processingMessage) {
+      try {
+        await processingMessage.edit({
+          embeds: [embed],
+          components,
+          content: '✅ **Recording Processed Successfully**',
+        });
+      } catch (error) {
+        logger.warn('Could not update processing message', {
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info('Upload stage completed', { meetingId: meeting.meetingId });
+  }
+
+  /**
+   * Fetch the job's output text channel
+   * @param {ProcessingJob} job - Processing job document
+   * @param {Client} client - Discord client
+   * @returns {Promise<TextChannel|null>}
+   */
+  async fetchChannel(job, client) {
+    if (!client || !job.channelId) {
+      return null;
+    }
+
+    try {
+      return await client.channels.fetch(job.channelId);
+    } catch (error) {
+      logger.warn('Could not fetch output channel', {
+        error: error.message,
+        channelId: job.channelId,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the job's processing status message
+   * @param {ProcessingJob} job - Processing job document
+   * @param {Client} client - Discord client
+   * @returns {Promise<Message|null>}
+   */
+  async fetchProcessingMessage(job, client) {
+    if (!job.processingMessageId) {
+      return null;
+    }
+
+    const channel = await this.fetchChannel(job, client);
+    if (!channel) {
+      return null;
+    }
+
+    try {
+      return await channel.messages.fetch(job.processingMessageId);
+    } catch (error) {
+      logger.debug('Could not fetch processing message', {
+        error: error.message,
+        messageId: job.processingMessageId,
+      });
+      return null;
+    }
+  }
+}
+
+const processingPipeline = new ProcessingPipeline();
+export default processingPipeline;
@@ -0,0 +1,457 @@
+import logger from '../utils/logger.js';
+import mongoService from './mongoService.js';
+import processingPipeline from './processingPipeline.js';
+import meetingEvents from './meetingEvents.js';
+import ProcessingJob, { PROCESSING_STAGES } from '../models/ProcessingJob.js';
+import {
+  createErrorEmbed,
+  createProcessingStatusEmbed,
+} from '../utils/embedBuilder.js';
+
+/**
+ * Human-readable stage labels for status embeds
+ */
+const STAGE_LABELS = {
+  transcription: 'Transcribing audio',
+  summary: 'Generating summary',
+  upload: 'Uploading results',
+};
+
+/**
+ * Attempts to save a failed job's new state, and the delay before the
+ * first retry (doubled after each attempt), so a brief database outage does
+ * not leave the job running until the next restart
+ */
+const FAILURE_SAVE_ATTEMPTS = 5;
+const FAILURE_SAVE_DELAY_MS = 1000;
+
+/**
+ * Create the error thrown when a reprocess request is refused
+ * @param {string} message - Error message
+ * @param {string} reason - 'invalid', 'not_found' or 'conflict'
+ * @returns {Error} Error with a `reason` property
+ */
+function rejection(message, reason) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Processing Queue Service
+ * MongoDB-backed job queue for the post-recording pipeline
+ * Checkpoints every stage, retries failures with exponential backoff
+ * and resumes interrupted jobs when the bot starts
+ */
+class ProcessingQueue {
+  constructor() {
+    this.client = null;
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.pollInterval = parseInt(process.env.PROCESSING_POLL_INTERVAL_MS || '5000');
+    this.maxAttempts = parseInt(process.env.PROCESSING_MAX_ATTEMPTS || '3');
+    this.retryDelay = parseInt(process.env.PROCESSING_RETRY_DELAY_MS || '30000');
+  }
+
+  /**
+   * Start processing jobs
+   * Requeues jobs left running by a previous process, then begins polling
+   * @param {Client} client - Discord client used for uploads and status updates
+   * @returns {Promise<void>}
+   */
+  async start(client) {
+    this.client = client;
+
+    // The bot runs as a single instance, so anything still marked running
+    // was interrupted by a restart and can safely be picked up again
+    const { modifiedCount } = await ProcessingJob.updateMany(
+      { status: 'running' },
+      { $set: { status: 'pending', nextRunAt: new Date() }, $unset: { lockedAt: 1 } }
+    );
+
+    if (modifiedCount > 0) {
+      logger.info(`Resuming ${modifiedCount} interrupted processing jobs`);
+    }
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    }
+
+    logger.info('Processing queue started', {
+      pollInterval: this.pollInterval,
+      maxAttempts: this.maxAttempts,
+    });
+
+    this.poll();
+  }
+
+  /**
+   * Stop polling for new jobs
+   * A job that is mid-stage stays marked running and resumes on next start
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      logger.info('Processing queue stopped');
+    }
+  }
+
+  /**
+   * Add a meeting to the processing queue
+   * @param {string} meetingId - Meeting UUID
+   * @param {Object} options - Job options
+   * @param {string} options.guildId - Discord guild ID
+   * @param {string} options.channelId - Text channel for results
+   * @param {string} options.processingMessageId - Status message to update
+   * @param {Array} options.userAudioFiles - Per-user tracks from the recorder
+   * @param {Array<string>} options.stages - Stages to run (default: all)
+   * @param {string} options.trigger - What started the run ('recording', 'api', 'command', 'button')
+   * @param {string} options.requestedBy - Who requested the run
+   * @returns {Promise<ProcessingJob>} Created job
+   */
+  async enqueue(meetingId, options = {}) {
+    const stages = options.stages || PROCESSING_STAGES;
+
+    const job = await ProcessingJob.create({
+      meetingId,
+      guildId: options.guildId,
+      channelId: options.channelId,
+      processingMessageId: options.processingMessageId,
+      userAudioFiles: options.userAudioFiles || [],
+      maxAttempts: this.maxAttempts,
+      // Stages that were not requested are kept as skipped checkpoints
+      stages: PROCESSING_STAGES.map((name) => ({
+        name,
+        status: stages.includes(name) ? 'pending' : 'skipped',
+      })),
+    });
+
+    await mongoService.addProcessingAttempt(meetingId, {
+      jobId: job.id,
+      trigger: options.trigger || 'recording',
+      stages: PROCESSING_STAGES.filter((name) => stages.includes(name)),
+      requestedBy: options.requestedBy,
+    });
+
+    logger.info('Processing job queued', { meetingId, jobId: job.id, stages });
+
+    if (this.pollTimer) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Re-run pipeline stages for an existing meeting
+   * Reuses the retained per-user tracks and output channel of the latest job
+   * @param {string} meetingId - Meeting UUID
+   * @param {Object} options - Reprocess options
+   * @param {Array<string>} options.stages - Stages to re-run (default: all)
+   * @param {string} options.channelId - Text channel for results (default: previous job's)
+   * @param {string} options.processingMessageId - Status message to update
+   * @param {string} options.trigger - What started the run ('api', 'command' or 'button')
+   * @param {string} options.requestedBy - Who requested the run
+   * @returns {Promise<ProcessingJob>} Created job
+   * @throws {Error} If the meeting cannot be reprocessed; error.reason is 'invalid'
+   *   (bad stages or options), 'not_found' or 'conflict' (recording or already processing)
+   */
+  async reprocess(meetingId, options = {}) {
+    const stages = options.stages || PROCESSING_STAGES;
+
+    const invalidStages = stages.filter((stage) => !PROCESSING_STAGES.includes(stage));
+    if (invalidStages.length > 0 || stages.length === 0) {
+      throw rejection(`Invalid processing stages: ${invalidStages.join(', ') || 'none given'}`, 'invalid');
+    }
+
+    const meeting = await mongoService.findMeeting(meetingId);
+    if (!meeting) {
+      throw rejection(`Meeting not found: ${meetingId}`, 'not_found');
+    }
+
+    if (meeting.recordingStatus === 'recording') {
+      throw rejection('Meeting is still being recorded', 'conflict');
+    }
+
+    if (await this.getActiveJob(meetingId)) {
+      throw rejection('Meeting is already being processed', 'conflict');
+    }
+
+    if (stages.includes('summary') && !stages.includes('transcription') && !meeting.transcript) {
+      throw rejection('Transcript not available; include the transcription stage', 'invalid');
+    }
+
+    const previousJob = await ProcessingJob.findLatestForMeeting(meetingId);
+    const channelId = options.channelId || previousJob?.channelId;
+
+    if (stages.includes('upload') && !channelId) {
+      throw rejection('No output channel known for this meeting; omit the upload stage', 'invalid');
+    }
+
+    await mongoService.updateMeeting(meetingId, { recordingStatus: 'processing' });
+
+    logger.info('Reprocessing meeting', {
+      meetingId,
+      stages,
+      trigger: options.trigger,
+      requestedBy: options.requestedBy,
+    });
+
+    return this.enqueue(meetingId, {
+      guildId: meeting.guildId,
+      channelId,
+      processingMessageId: options.processingMessageId,
+      userAudioFiles: previousJob?.userAudioFiles.map((file) => file.toObject()) || [],
+      stages,
+      trigger: options.trigger,
+      requestedBy: options.requestedBy,
+    });
+  }
+
+  /**
+   * Get the pending or running job for a meeting, if any
+   * @param {string} meetingId - Meeting UUID
+   * @returns {Promise<ProcessingJob|null>}
+   */
+  async getActiveJob(meetingId) {
+    return ProcessingJob.findOne({
+      meetingId,
+      status: { $in: ['pending', 'running'] },
+    });
+  }
+
+  /**
+   * Claim and run due jobs one at a time
+   * @private
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.isPolling || !mongoService.isConnected()) {
+      return;
+    }
+
+    this.isPolling = true;
+
+    try {
+      let job = await ProcessingJob.claimNext();
+      while (job) {
+        await this.runJob(job);
+        job = this.pollTimer ? await ProcessingJob.claimNext() : null;
+      }
+    } catch (error) {
+      logger.error('Error polling processing queue', { error: error.message });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Run the remaining stages of a claimed job
+   * @private
+   * @param {ProcessingJob} job - Claimed job document
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    const { meetingId } = job;
+    logger.info('Running processing job', { meetingId, jobId: job.id });
+
+    for (const stage of job.stages) {
+      if (stage.status === 'completed' || stage.status === 'skipped') {
+        continue;
+      }
+
+      stage.status = 'running';
+      stage.attempts += 1;
+      stage.startedAt = new Date();
+      job.currentStage = stage.name;
+
+      // Checkpoint errors count as stage failures too, so the job is
+      // rescheduled instead of staying running until the next restart
+      try {
+        await job.save();
+        await this.updateStatusMessage(job);
+
+        await processingPipeline.runStage(stage.name, job, this.client, {
+          onProgress: (progress) => this.updateStatusMessage(job, progress),
+        });
+
+        stage.status = 'completed';
+        stage.completedAt = new Date();
+        stage.lastError = undefined;
+        await job.save();
+      } catch (error) {
+        await this.handleStageFailure(job, stage, error);
+        return;
+      }
+    }
+
+    job.status = 'completed';
+    job.currentStage = null;
+    job.completedAt = new Date();
+    job.lockedAt = undefined;
+    await job.save();
+
+    const meeting = await mongoService.updateMeeting(meetingId, {
+      recordingStatus: 'completed',
+      processedAt: new Date(),
+    });
+    await mongoService.finishProcessingAttempt(meetingId, job.id, 'completed');
+    logger.info('Recording processing completed successfully', { meetingId, jobId: job.id });
+
+    meetingEvents.emitCompleted(meeting);
+  }
+
+  /**
+   * Schedule a retry or fail the job after a stage error
+   * @private
+   * @param {ProcessingJob} job - Job document
+   * @param {Object} stage - Failed stage subdocument
+   * @param {Error} error - Stage error
+   * @returns {Promise<void>}
+   */
+  async handleStageFailure(job, stage, error) {
+    const { meetingId } = job;
+
+    logger.error('Processing stage failed', {
+      error: error.message,
+      stack: error.stack,
+      meetingId,
+      stage: stage.name,
+      attempt: stage.attempts,
+      maxAttempts: job.maxAttempts,
+    });
+
+    stage.lastError = error.message;
+    job.lastError = error.message;
+    job.lockedAt = undefined;
+
+    try {
+      await mongoService.recordError(meetingId, stage.name, error.message);
+    } catch (dbError) {
+      logger.error('Could not record processing error in database', {
+        error: dbError.message,
+      });
+    }
+
+    if (stage.attempts < job.maxAttempts) {
+      const delay = this.retryDelay * Math.pow(2, stage.attempts - 1); // Exponential backoff
+      stage.status = 'pending';
+      job.status = 'pending';
+      job.nextRunAt = new Date(Date.now() + delay);
+      await this.saveFailedJob(job);
+
+      logger.warn(`Retrying ${stage.name} stage in ${delay}ms`, {
+        meetingId,
+        attempt: stage.attempts,
+      });
+      return;
+    }
+
+    stage.status = 'failed';
+    job.status = 'failed';
+    job.failedAt = new Date();
+    await this.saveFailedJob(job);
+
+    try {
+      await mongoService.updateMeeting(meetingId, { recordingStatus: 'failed' });
+      await mongoService.finishProcessingAttempt(meetingId, job.id, 'failed', error.message);
+    } catch (dbError) {
+      logger.error('Could not mark meeting as failed', {
+        error: dbError.message,
+        meetingId,
+      });
+    }
+
+    // Notify user of error
+    const processingMessage = await processingPipeline.fetchProcessingMessage(job, this.client);
+    if (processingMessage) {
+      try {
+        await processingMessage.edit({
+          embeds: [
+            createErrorEmbed(
+              'Processing Failed',
+              `Failed to process recording: ${error.message}`,
+              stage.name
+            ),
+          ],
+        });
+      } catch (notifyError) {
+        logger.warn('Could not send error notification', {
+          error: notifyError.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Save a job after a stage failure, retrying with backoff
+   * @private
+   * @param {ProcessingJob} job - Job document
+   * @returns {Promise<void>}
+   * @throws {Error} If every attempt fails; the job then stays running until the next start
+   */
+  async saveFailedJob(job) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await job.save();
+        return;
+      } catch (error) {
+        if (attempt >= FAILURE_SAVE_ATTEMPTS) {
+          logger.error('Could not save failed processing job', {
+            error: error.message,
+            meetingId: job.meetingId,
+            jobId: job.id,
+          });
+          throw error;
+        }
+
+        const delay = FAILURE_SAVE_DELAY_MS * Math.pow(2, attempt - 1);
+        logger.warn(`Could not save failed processing job, retrying in ${delay}ms`, {
+          error: error.message,
+          meetingId: job.meetingId,
+          attempt,
+        });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Reflect stage progress on the job's processing status message
+   * @private
+   * @param {ProcessingJob} job - Job document
+   * @param {string} progress - Progress line for the running stage (optional)
+   * @returns {Promise<void>}
+   */
+  async updateStatusMessage(job, progress = null) {
+    // Status updates are cosmetic and must never fail a stage
+    try {
+      const processingMessage = await processingPipeline.fetchProcessingMessage(job, this.client);
+      if (!processingMessage) {
+        return;
+      }
+
+      const embed = createProcessingStatusEmbed(
+        'processing',
+        job.stages.map((stage) => ({
+          name: STAGE_LABELS[stage.name] || stage.name,
+          status: stage.status,
+        }))
+      );
+      if (progress) {
+        embed.addFields({ name: 'Progress', value: progress, inline: false });
+      }
+      embed.setFooter({ text: `Meeting ${job.meetingId}` });
+
+      await processingMessage.edit({ embeds: [embed] });
+    } catch (error) {
+      logger.warn('Could not update processing message', {
+        error: error.message,
+      });
+    }
+  }
+}
+
+const processingQueue = new ProcessingQueue();
+export default processingQueue;
@@ -0,0 +1,814 @@
+import { v4 as uuidv4 } from 'uuid';
+import fs from 'fs';
+import logger from '../utils/logger.js';
+import audioRecorder from './audioRecorder.js';
+import mongoService from './mongoService.js';
+import processingQueue from './processingQueue.js';
+import guildConfigService from './guildConfigService.js';
+import liveTranscriptionService from './liveTranscriptionService.js';
+import { PROCESSING_STAGES } from '../models/ProcessingJob.js';
+import { createErrorEmbed, createRecordingStartEmbed, formatElapsed } from '../utils/embedBuilder.js';
+
+/**
+ * How automatic stops explain themselves in the output channel
+ */
+const END_REASON_DESCRIPTIONS = {
+  auto_empty_channel: 'everyone left the voice channel',
+  max_duration: 'it reached the maximum recording length',
+};
+
+/**
+ * Recording Service
+ * The shared lifecycle of a recording: creates the meeting and starts
+ * capture, and at the end stops capture, records why the meeting ended and
+ * queues the processing pipeline. The slash commands call it directly;
+ * automatic starts and stops also decide when to act and where to post.
+ * Recordings are capped at the guild's maximum duration, after which they
+ * stop or roll over into a linked continuation meeting
+ */
+class RecordingService {
+  constructor() {
+    this.pendingStops = new Map(); // meetingId -> timeout
+    this.startingGuilds = new Set(); // guild IDs with a start in progress
+    this.durationTimers = new Map(); // meetingId -> [warning timeout, limit timeout]
+    this.rollingOver = new Set(); // meeting IDs being finalized by a rollover
+    this.trackRetentionDays = parseInt(process.env.AUDIO_TRACK_RETENTION_DAYS || '30');
+  }
+
+  /**
+   * Create a meeting for a voice channel and start recording it
+   * @param {VoiceChannel} voiceChannel - Channel to record
+   * @param {Object} options - Start options
+   * @param {Client} options.client - Discord client
+   * @param {string} options.textChannelId - Text channel the recording was started from (optional)
+   * @returns {Promise<{meetingId: string, session: Object, participantNames: string[]}>}
+   * @throws {Error} If the guild is already being recorded
+   */
+  async startRecording(voiceChannel, { client, textChannelId } = {}) {
+    const { guild } = voiceChannel;
+    // The bot holds one voice connection per guild; joining a second channel
+    // would move it away from the recording in progress
+    if (this.isGuildRecording(guild.id)) {
+      throw new Error('A meeting is already being recorded in this server. Stop it before starting another.');
+    }
+
+    this.startingGuilds.add(guild.id);
+
+    const meetingId = this.generateMeetingId();
+    let participantNames;
+    let session;
+    try {
+      participantNames = await this.createMeetingRecord(voiceChannel, meetingId, { textChannelId });
+
+      try {
+        session = await audioRecorder.startRecording(voiceChannel, meetingId, client);
+      } catch (error) {
+        // Nothing was recorded, so the meeting must not stay 'recording'
+        await mongoService.updateMeeting(meetingId, { recordingStatus: 'failed' }).catch(() => {});
+        throw error;
+      }
+    } finally {
+      this.startingGuilds.delete(guild.id);
+    }
+    await this.armDurationLimit(meetingId, voiceChannel.guild, client);
+
+    logger.info('Recording started', {
+      meetingId,
+      channelName: voiceChannel.name,
+      participants: participantNames.length,
+      guildId: voiceChannel.guild.id,
+    });
+
+    return { meetingId, session, participantNames };
+  }
+
+  /**
+   * Whether a guild has a recording running or starting
+   * @param {string} guildId - Discord guild ID
+   * @returns {boolean}
+   */
+  isGuildRecording(guildId) {
+    return (
+      this.startingGuilds.has(guildId) ||
+      audioRecorder.getActiveRecordings().some((r) => r.guildId === guildId)
+    );
+  }
+
+  /**
+   * Create the meeting document for a recording of a voice channel, with
+   * the people currently in it as participants
+   * @private
+   * @param {VoiceChannel} voiceChannel - Channel being recorded
+   * @param {string} meetingId - Meeting identifier
+   * @param {Object} fields - Additional meeting fields
+   * @returns {Promise<string[]>} Participant display names
+   */
+  async createMeetingRecord(voiceChannel, meetingId, fields = {}) {
+    const participants = Array.from(voiceChannel.members.values()).filter((m) => !m.user.bot);
+
+    await mongoService.createMeeting({
+      meetingId,
+      channelId: voiceChannel.id,
+      channelName: voiceChannel.name,
+      guildId: voiceChannel.guild.id,
+      guildName: voiceChannel.guild.name,
+      ...fields,
+      startTimestamp: new Date(),
+      recordingStatus: 'recording',
+      participants: participants.map((m) => ({
+        userId: m.id,
+        username: m.displayName,
+        joinedAt: new Date(),
+        duration: 0,
+        wasDeafened: m.voice.deaf,
+        speakingTime: 0,
+      })),
+    });
+
+    return participants.map((m) => m.displayName);
+  }
+
+  /**
+   * Open a live transcript thread on the recording-start message, if live
+   * transcription is enabled. Failures are logged, not thrown
+   * @param {string} meetingId - Meeting identifier
+   * @param {Message} startMessage - Recording-start message
+   * @param {Object} options - Live options
+   * @param {string} options.guildId - Discord guild ID
+   * @param {number} options.startTime - Recording start (ms)
+   * @param {boolean|null} options.override - Explicit choice from the command (optional)
+   * @returns {Promise<void>}
+   */
+  async startLiveTranscript(meetingId, startMessage, { guildId, startTime, override = null }) {
+    try {
+      const live = await liveTranscriptionService.isEnabled(guildId, override);
+
+      if (live) {
+        const thread = await liveTranscriptionService.start(meetingId, startMessage, {
+          guildId,
+          startTime,
+        });
+        await mongoService.updateMeeting(meetingId, { liveThreadId: thread.id });
+      }
+    } catch (error) {
+      logger.warn('Could not start live transcription', {
+        error: error.message,
+        meetingId,
+      });
+    }
+  }
+
+  /**
+   * Start recording a watched voice channel once enough people are in it
+   * Does nothing unless auto-record is enabled for the guild, the channel is
+   * watched, and the guild is not already being recorded (the bot can only
+   * be in one voice channel per guild)
+   * @param {VoiceChannel} voiceChannel - Channel someone joined
+   * @param {Client} client - Discord client
+   * @returns {Promise<string|null>} Meeting ID if a recording was started
+   */
+  async maybeAutoStart(voiceChannel, client) {
+    const { guild } = voiceChannel;
+    const { autoRecord } = await guildConfigService.getConfig(guild.id);
+
+    if (!autoRecord.enabled || !autoRecord.voiceChannelIds.includes(voiceChannel.id)) {
+      return null;
+    }
+
+    const present = voiceChannel.members.filter((m) => !m.user.bot).size;
+    if (present < autoRecord.startThreshold) {
+      return null;
+    }
+
+    // Two watched channels filling up at once must not both start
+    if (this.isGuildRecording(guild.id)) {
+      return null;
+    }
+
+    try {
+      const { meetingId, session, participantNames } = await this.startRecording(voiceChannel, {
+        client,
+      });
+
+      logger.info('Recording auto-started', {
+        meetingId,
+        channelId: voiceChannel.id,
+        present,
+        threshold: autoRecord.startThreshold,
+      });
+
+      const channel = await this.resolveOutputChannel(meetingId, guild);
+      if (channel) {
+        const startMessage = await channel.send({
+          embeds: [createRecordingStartEmbed(voiceChannel.name, participantNames)],
+          content: `🎙️ **Recording Started Automatically**\nMeeting ID: \`${meetingId}\``,
+        });
+
+        // Results of the meeting go where it was announced
+        await mongoService.updateMeeting(meetingId, { textChannelId: channel.id });
+        await this.startLiveTranscript(meetingId, startMessage, {
+          guildId: guild.id,
+          startTime: session.startTime,
+        });
+      }
+
+      return meetingId;
+    } catch (error) {
+      logger.error('Error auto-starting recording', {
+        error: error.message,
+        channelId: voiceChannel.id,
+        guildId: guild.id,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Stop a recording and queue it for processing
+   * @param {string} meetingId - Meeting identifier
+   * @param {Object} options - Stop options
+   * @param {string} options.endReason - Why the recording ended (default: 'manual')
+   * @param {string} options.channelId - Text channel for results; without one the upload stage is skipped
+   * @param {string} options.processingMessageId - Status message to update
+   * @param {string} options.requestedBy - Who stopped the recording (optional)
+   * @returns {Promise<Object>} Recording info from the recorder
+   */
+  async finishRecording(meetingId, options = {}) {
+    this.cancelAutoStop(meetingId);
+    this.clearDurationLimit(meetingId);
+
+    const recordingInfo = await audioRecorder.stopRecording(meetingId);
+    await this.queueProcessing(meetingId, recordingInfo, options);
+
+    return recordingInfo;
+  }
+
+  /**
+   * Record how a stopped recording ended and queue it for processing
+   * @private
+   * @param {string} meetingId - Meeting identifier
+   * @param {Object} recordingInfo - Final recording info from the recorder
+   * @param {Object} options - Same options as finishRecording
+   * @returns {Promise<void>}
+   */
+  async queueProcessing(
+    meetingId,
+    recordingInfo,
+    { endReason = 'manual', channelId, processingMessageId, requestedBy } = {}
+  ) {
+    if (!recordingInfo.filePath) {
+      throw new Error('Recording stopped but no file path returned');
+    }
+
+    await mongoService.updateMeeting(meetingId, {
+      recordingStatus: 'processing',
+      endTimestamp: new Date(),
+      duration: recordingInfo.duration,
+      audioFilePath: recordingInfo.filePath,
+      audioTracks: recordingInfo.audioTracks,
+      audioStartTimestamp: recordingInfo.audioStartTimestamp,
+      pauses: recordingInfo.pauses,
+      pausedDuration: recordingInfo.pausedDuration,
+      endReason,
+    });
+
+    logger.info('Recording stopped, starting processing pipeline', {
+      meetingId,
+      endReason,
+      duration: recordingInfo.duration,
+      participants: recordingInfo.participantCount,
+    });
+
+    await processingQueue.enqueue(meetingId, {
+      guildId: recordingInfo.guildId,
+      channelId,
+      processingMessageId,
+      userAudioFiles: audioRecorder.getSession(meetingId)?.userAudioFiles || [],
+      stages: channelId ? PROCESSING_STAGES : PROCESSING_STAGES.filter((stage) => stage !== 'upload'),
+      trigger: 'recording',
+      requestedBy,
+    });
+
+    // Each recording adds full-length speaker tracks, so expire old ones now
+    this.pruneSpeakerTracks();
+  }
+
+  /**
+   * Delete the timeline-aligned speaker tracks of meetings that ended more
+   * than AUDIO_TRACK_RETENTION_DAYS ago (0 keeps them forever)
+   * Every track is as long as the meeting, so they take far more space than
+   * the mixdown; the mixdown and the per-speaker files used for
+   * transcription are kept
+   * @returns {Promise<number>} Meetings whose tracks were removed
+   */
+  async pruneSpeakerTracks() {
+    if (this.trackRetentionDays <= 0) {
+      return 0;
+    }
+
+    let pruned = 0;
+
+    try {
+      const cutoff = new Date(Date.now() - this.trackRetentionDays * 24 * 60 * 60 * 1000);
+      const meetings = await mongoService.getMeetingsWithTracksEndedBefore(cutoff);
+
+      for (const meeting of meetings) {
+        for (const track of meeting.audioTracks) {
+          await fs.promises.rm(track.filePath, { force: true });
+        }
+
+        await mongoService.updateMeeting(meeting.meetingId, { audioTracks: [] });
+        pruned++;
+      }
+
+      if (pruned > 0) {
+        logger.info('Removed expired speaker tracks', {
+          meetings: pruned,
+          retentionDays: this.trackRetentionDays,
+        });
+      }
+    } catch (error) {
+      logger.warn('Could not remove expired speaker tracks', { error: error.message });
+    }
+
+    return pruned;
+  }
+
+  /**
+   * List a guild's active recordings, oldest first
+   * @param {Guild} guild - Discord guild
+   * @returns {Array<Object>} Recordings from audioRecorder.getActiveRecordings(),
+   *   with the voice channel's name
+   */
+  listRecordings(guild) {
+    return audioRecorder
+      .getActiveRecordings()
+      .filter((r) => r.guildId === guild.id)
+      .map((r) => ({
+        ...r,
+        channelName: guild.channels.cache.get(r.channelId)?.name || 'unknown channel',
+      }));
+  }
+
+  /**
+   * Pick the recording a command is aimed at
+   * An explicitly chosen meeting wins; otherwise the recording of the
+   * caller's voice channel, then the guild's only recording
+   * @param {Guild} guild - Discord guild
+   * @param {Object} target - What the caller asked for
+   * @param {string} target.meetingId - Chosen meeting (optional)
+   * @param {string} target.voiceChannelId - Caller's voice channel (optional)
+   * @returns {Object} Recording from listRecordings()
+   * @throws {Error} If nothing matches, or several recordings do and none was chosen
+   */
+  findRecording(guild, { meetingId, voiceChannelId } = {}) {
+    const recordings = this.listRecordings(guild);
+
+    if (meetingId) {
+      const chosen = recordings.find((r) => r.meetingId === meetingId);
+      if (!chosen) {
+        throw new Error(`Meeting \`${meetingId}\` is not being recorded in this server.`);
+      }
+      return chosen;
+    }
+
+    if (recordings.length === 0) {
+      throw new Error('There is no active recording in this server.');
+    }
+
+    const inCallersChannel = recordings.find((r) => r.channelId === voiceChannelId);
+    if (inCallersChannel) {
+      return inCallersChannel;
+    }
+
+    if (recordings.length > 1) {
+      throw new Error(
+        'Several voice channels are being recorded. Join the one you mean, or choose it with the `meeting` option.'
+      );
+    }
+
+    return recordings[0];
+  }
+
+  /**
+   * Autocomplete choices for a meeting option, over the guild's active recordings
+   * @param {Guild} guild - Discord guild
+   * @param {string} typed - What the user has typed so far
+   * @returns {Array<{name: string, value: string}>} At most 25 choices
+   */
+  getRecordingChoices(guild, typed = '') {
+    const query = typed.trim().toLowerCase();
+
+    return this.listRecordings(guild)
+      .filter(
+        (r) => !query || r.meetingId.includes(query) || r.channelName.toLowerCase().includes(query)
+      )
+      .slice(0, 25)
+      .map((r) => {
+        const state = r.isPaused ? '⏸️' : '🔴';
+        return {
+          name: `${state} ${r.channelName} · ${formatElapsed(r.duration)} (${r.meetingId})`.substring(0, 100),
+          value: r.meetingId,
+        };
+      });
+  }
+
+  /**
+   * Go off the record without ending the meeting
+   * @param {string} meetingId - Meeting identifier
+   * @param {string} userId - Who paused
+   * @returns {Promise<Object>} The new pause
+   * @throws {Error} If the recording is not running or already paused
+   */
+  async pauseRecording(meetingId, userId) {
+    const pause = audioRecorder.pauseRecording(meetingId, userId);
+    await this.savePauses(meetingId);
+    return pause;
+  }
+
+  /**
+   * Go back on the record
+   * @param {string} meetingId - Meeting identifier
+   * @param {Client} client - Discord client
+   * @param {string} userId - Who resumed
+   * @returns {Promise<Object>} The finished pause
+   * @throws {Error} If the recording is not running or not paused
+   */
+  async resumeRecording(meetingId, client, userId) {
+    const pause = audioRecorder.resumeRecording(meetingId, client, userId);
+    await this.savePauses(meetingId);
+    return pause;
+  }
+
+  /**
+   * Copy a running recording's pauses to its meeting document
+   * A failed write is only logged: the pauses are saved again when the
+   * recording ends
+   * @private
+   * @param {string} meetingId - Meeting identifier
+   * @returns {Promise<void>}
+   */
+  async savePauses(meetingId) {
+    const session = audioRecorder.getSession(meetingId);
+
+    try {
+      await mongoService.updateMeeting(meetingId, { pauses: session.pauses });
+    } catch (error) {
+      logger.warn('Could not save recording pauses', { error: error.message, meetingId });
+    }
+  }
+
+  /**
+   * Enforce the guild's maximum duration on a recording that just started:
+   * post a warning ahead of the limit, then stop or roll over at the limit.
+   * The settings in effect at the start apply to the whole recording
+   * @param {string} meetingId - Meeting identifier
+   * @param {Guild} guild - Discord guild of the recording
+   * @param {Client} client - Discord client
+   * @returns {Promise<void>}
+   */
+  async armDurationLimit(meetingId, guild, client) {
+    const { recording } = await guildConfigService.getConfig(guild.id);
+    if (!recording.maxDurationMinutes) {
+      return;
+    }
+
+    const limitMs = recording.maxDurationMinutes * 60 * 1000;
+    const warningMs = limitMs - recording.warnMinutesBefore * 60 * 1000;
+
+    const timers = [];
+    if (recording.warnMinutesBefore > 0 && warningMs > 0) {
+      timers.push(setTimeout(() => this.warnDurationLimit(meetingId, guild, recording), warningMs));
+    }
+    timers.push(
+      setTimeout(() => this.enforceDurationLimit(meetingId, guild, client, recording.rollover), limitMs)
+    );
+
+    this.durationTimers.set(meetingId, timers);
+  }
+
+  /**
+   * Cancel the duration warning and limit of a recording
+   * @param {string} meetingId - Meeting identifier
+   */
+  clearDurationLimit(meetingId) {
+    for (const timer of this.durationTimers.get(meetingId) || []) {
+      clearTimeout(timer);
+    }
+    this.durationTimers.delete(meetingId);
+  }
+
+  /**
+   * Post that a recording is about to reach its limit
+   * @private
+   * @param {string} meetingId - Meeting identifier
+   * @param {Guild} guild - Discord guild of the recording
+   * @param {Object} recording - Guild recording settings
+   * @returns {Promise<void>}
+   */
+  async warnDurationLimit(meetingId, guild, recording) {
+    if (!audioRecorder.isRecording(meetingId)) {
+      return;
+    }
+
+    try {
+      const channel = await this.resolveOutputChannel(meetingId, guild);
+      const outcome = recording.rollover
+        ? 'it will continue as a new meeting part'
+        : 'the recording will stop and be processed';
+
+      await channel?.send(
+        `⏰ **Recording Limit Approaching**\n` +
+          `Meeting \`${meetingId}\` reaches the ${recording.maxDurationMinutes}-minute limit in ` +
+          `${recording.warnMinutesBefore} minute(s); ${outcome}.`
+      );
+    } catch (error) {
+      logger.warn('Could not post recording limit warning', {
+        error: error.message,
+        meetingId,
+      });
+    }
+  }
+
+  /**
+   * Stop or roll over a recording that reached its limit
+   * @private
+   * @param {string} meetingId - Meeting identifier
+   * @param {Guild} guild - Discord guild of the recording
+   * @param {Client} client - Discord client
+   * @param {boolean} rollover - Continue as a new meeting instead of stopping
+   * @returns {Promise<void>}
+   */
+  async enforceDurationLimit(meetingId, guild, client, rollover) {
+    this.durationTimers.delete(meetingId);
+
+    if (!audioRecorder.isRecording(meetingId)) {
+      return;
+    }
+
+    logger.info('Recording reached maximum duration', { meetingId, rollover });
+
+    if (rollover) {
+      await this.rollover(meetingId, guild, client);
+    } else {
+      await this.autoStop(meetingId, guild, 'max_duration');
+    }
+  }
+
+  /**
+   * End the current part of a recording and continue it as a linked meeting
+   * on the same voice connection; the finished part is processed on its own
+   * @private
+   * @param {string} meetingId - Meeting identifier of the current part
+   * @param {Guild} guild - Discord guild of the recording
+   * @param {Client} client - Discord client
+   * @returns {Promise<string|null>} Meeting ID of the continuation
+   */
+  async rollover(meetingId, guild, client) {
+    const nextMeetingId = this.generateMeetingId();
+
+    try {
+      const meeting = await mongoService.findMeeting(meetingId);
+      const voiceChannel = await guild.channels.fetch(meeting.channelId);
+
+      const partNumber = (meeting.partNumber || 1) + 1;
+
+      const participantNames = await this.createMeetingRecord(voiceChannel, nextMeetingId, {
+        textChannelId: meeting.textChannelId,
+        partNumber,
+        previousMeetingId: meetingId,
+      });
+
+      // A pending empty-channel stop must not fire on this part while it is
+      // finalized: stopping it would destroy the connection both parts share
+      this.cancelAutoStop(meetingId);
+      this.rollingOver.add(meetingId);
+
+      let rolledOver;
+      try {
+        rolledOver = await audioRecorder.rolloverRecording(meetingId, nextMeetingId, client);
+      } finally {
+        this.rollingOver.delete(meetingId);
+      }
+      const { recordingInfo, session } = rolledOver;
+
+      await mongoService.updateMeeting(meetingId, { nextMeetingId });
+      if (session.isPaused) {
+        await this.savePauses(nextMeetingId);
+      }
+      await this.armDurationLimit(nextMeetingId, guild, client);
+
+      // Stops scheduled against the finished part during the mixdown are moot;
+      // if the channel is empty now, the continuation gets the grace period
+      this.cancelAutoStop(meetingId);
+      if (this.isChannelEmpty(voiceChannel)) {
+        await this.scheduleAutoStop(nextMeetingId, guild, 'auto_empty_channel');
+      }
+
+      logger.info('Recording continued as a new part', { meetingId, nextMeetingId, partNumber });
+
+      const channel = await this.resolveOutputChannel(meetingId, guild);
+
+      let processingMessage = null;
+      if (channel) {
+        const startMessage = await channel.send({
+          embeds: [createRecordingStartEmbed(voiceChannel.name, participantNames)],
+          content:
+            `🔁 **Recording Continued**\n` +
+            `Meeting ID: \`${nextMeetingId}\` (part ${partNumber}, continues \`${meetingId}\`)`,
+        });
+        await this.startLiveTranscript(nextMeetingId, startMessage, {
+          guildId: guild.id,
+          startTime: session.startTime,
+        });
+
+        const embed = createErrorEmbed(
+          'Processing Recording',
+          `Meeting ${meetingId} (part ${partNumber - 1}) reached the maximum recording length.\n` +
+            '⏳ Transcribing audio...\n⏳ Generating summary...\n⏳ Uploading results...',
+          'processing'
+        );
+        embed.setColor('#FFA500');
+        processingMessage = await channel.send({ embeds: [embed] });
+      }
+
+      await this.queueProcessing(meetingId, recordingInfo, {
+        endReason: 'rollover',
+        channelId: channel?.id,
+        processingMessageId: processingMessage?.id,
+      });
+
+      return nextMeetingId;
+    } catch (error) {
+      logger.error('Error rolling over recording', {
+        error: error.message,
+        meetingId,
+        nextMeetingId,
+      });
+
+      // Don't leave a continuation that never started marked as recording
+      if (!audioRecorder.isRecording(nextMeetingId)) {
+        await mongoService.updateMeeting(nextMeetingId, { recordingStatus: 'failed' }).catch(() => {});
+      }
+
+      // The stop cancelled above still applies if this part keeps recording
+      const session = audioRecorder.getSession(meetingId);
+      const voiceChannel = session && guild.channels.cache.get(session.channelId);
+      if (audioRecorder.isRecording(meetingId) && voiceChannel && this.isChannelEmpty(voiceChannel)) {
+        await this.scheduleAutoStop(meetingId, guild, 'auto_empty_channel').catch(() => {});
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Stop a recording after the guild's grace period
+   * Does nothing if a stop is already pending for the meeting
+   * @param {string} meetingId - Meeting identifier
+   * @param {Guild} guild - Discord guild of the recording
+   * @param {string} endReason - Why the recording is ending
+   * @returns {Promise<number>} Grace period in seconds
+   */
+  async scheduleAutoStop(meetingId, guild, endReason) {
+    const { recording } = await guildConfigService.getConfig(guild.id);
+    const delaySeconds = recording.stopDelaySeconds;
+
+    if (!this.pendingStops.has(meetingId)) {
+      this.pendingStops.set(
+        meetingId,
+        setTimeout(() => this.autoStop(meetingId, guild, endReason), delaySeconds * 1000)
+      );
+
+      logger.info('Recording auto-stop scheduled', { meetingId, endReason, delaySeconds });
+    }
+
+    return delaySeconds;
+  }
+
+  /**
+   * Whether only bots are left in a voice channel
+   * @param {VoiceChannel} voiceChannel - Voice channel
+   * @returns {boolean}
+   */
+  isChannelEmpty(voiceChannel) {
+    return voiceChannel.members.filter((m) => !m.user.bot).size === 0;
+  }
+
+  /**
+   * Cancel a pending automatic stop, e.g. when someone rejoins
+   * @param {string} meetingId - Meeting identifier
+   * @returns {boolean} Whether a stop was pending
+   */
+  cancelAutoStop(meetingId) {
+    const timer = this.pendingStops.get(meetingId);
+    if (!timer) {
+      return false;
+    }
+
+    clearTimeout(timer);
+    this.pendingStops.delete(meetingId);
+    return true;
+  }
+
+  /**
+   * Stop a recording automatically and post progress to the output channel
+   * @private
+   * @param {string} meetingId - Meeting identifier
+   * @param {Guild} guild - Discord guild of the recording
+   * @param {string} endReason - Why the recording is ending
+   * @returns {Promise<void>}
+   */
+  async autoStop(meetingId, guild, endReason) {
+    this.pendingStops.delete(meetingId);
+
+    // A part being rolled over is finalized by the rollover, which re-checks the channel
+    if (!audioRecorder.isRecording(meetingId) || this.rollingOver.has(meetingId)) {
+      return;
+    }
+
+    // Someone may have come back without the rejoin cancelling the stop
+    const session = audioRecorder.getSession(meetingId);
+    const voiceChannel = guild.channels.cache.get(session.channelId);
+    if (endReason === 'auto_empty_channel' && voiceChannel && !this.isChannelEmpty(voiceChannel)) {
+      logger.info('Voice channel no longer empty, not auto-stopping', { meetingId });
+      return;
+    }
+
+    try {
+      const channel = await this.resolveOutputChannel(meetingId, guild);
+
+      let processingMessage = null;
+      if (channel) {
+        const embed = createErrorEmbed(
+          'Recording Auto-Stopped',
+          `Meeting ${meetingId} ended because ${END_REASON_DESCRIPTIONS[endReason]}.\n` +
+            '⏳ Transcribing audio...\n⏳ Generating summary...\n⏳ Uploading results...',
+          'processing'
+        );
+        embed.setColor('#FFA500');
+        processingMessage = await channel.send({ embeds: [embed] });
+      } else {
+        logger.warn('No output channel for auto-stopped recording; results will not be posted', {
+          meetingId,
+          guildId: guild.id,
+        });
+      }
+
+      await this.finishRecording(meetingId, {
+        endReason,
+        channelId: channel?.id,
+        processingMessageId: processingMessage?.id,
+      });
+    } catch (error) {
+      logger.error('Error auto-stopping recording', {
+        error: error.message,
+        meetingId,
+      });
+    }
+  }
+
+  /**
+   * Find where to post results of an automatic stop: the guild's configured
+   * output channel, else the channel the recording was started from, else
+   * the guild's system channel
+   * @private
+   * @param {string} meetingId - Meeting identifier
+   * @param {Guild} guild - Discord guild of the recording
+   * @returns {Promise<TextChannel|null>}
+   */
+  async resolveOutputChannel(meetingId, guild) {
+    const { recording } = await guildConfigService.getConfig(guild.id);
+    const meeting = await mongoService.findMeeting(meetingId);
+
+    for (const channelId of [recording.outputChannelId, meeting?.textChannelId]) {
+      if (!channelId) continue;
+
+      try {
+        const channel = await guild.channels.fetch(channelId);
+        if (channel?.isTextBased()) {
+          return channel;
+        }
+      } catch (error) {
+        logger.warn('Could not fetch output channel', {
+          error: error.message,
+          channelId,
+          meetingId,
+        });
+      }
+    }
+
+    return guild.systemChannel || null;
+  }
+
+  /**
+   * Generate a public meeting ID
+   * @private
+   * @returns {string}
+   */
+  generateMeetingId() {
+    return `mtg_${uuidv4().substring(0, 8)}`;
+  }
+}
+
+const recordingService = new RecordingService();
+export default recordingService;
@@ -0,0 +1,258 @@
+import Meeting from '../models/Meeting.js';
+import TranscriptSegment from '../models/TranscriptSegment.js';
+import logger from '../utils/logger.js';
+import { parseTranscriptText } from '../utils/transcriptChunker.js';
+
+/**
+ * Characters of context kept on each side of a match in snippets
+ */
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Search Service
+ * Full-text search across transcripts and summaries using MongoDB text
+ * indexes (TranscriptSegment.segment_text_search, Meeting.meeting_text_search).
+ * Hits are grouped per meeting, with timestamps for transcript matches.
+ * Meetings transcribed before segments existed are backfilled on startup
+ */
+class SearchService {
+  constructor() {
+    this.maxCandidates = parseInt(process.env.SEARCH_MAX_CANDIDATES || '500');
+    this.hitsPerMeeting = parseInt(process.env.SEARCH_HITS_PER_MEETING || '5');
+  }
+
+  /**
+   * Search all meetings
+   * @param {string} query - Search text; supports "quoted phrases" and -exclusions
+   * @param {Object} options - Search options
+   * @param {string} options.guildId - Only search this guild's meetings (optional)
+   * @param {number} options.limit - Meetings per page (default: 20)
+   * @param {number} options.skip - Meetings to skip (default: 0)
+   * @returns {Promise<{total: number, terms: Array<string>, results: Array<Object>}>}
+   *   Results are { meeting, score, hitCount, hits } sorted by relevance;
+   *   hits are { type, text, snippet, score } plus segment timing for transcript hits
+   */
+  async search(query, { guildId, limit = 20, skip = 0 } = {}) {
+    const terms = this.extractTerms(query);
+    const termPattern = this.buildTermPattern(terms);
+
+    const segmentFilter = { $text: { $search: query } };
+    const meetingFilter = { $text: { $search: query } };
+
+    if (guildId) {
+      // Segments do not carry the guild, so scope them through its meetings
+      segmentFilter.meetingId = { $in: await Meeting.distinct('meetingId', { guildId }) };
+      meetingFilter.guildId = guildId;
+    }
+
+    const [segments, meetings] = await Promise.all([
+      TranscriptSegment.find(segmentFilter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(this.maxCandidates)
+        .lean(),
+      Meeting.find(meetingFilter, {
+        score: { $meta: 'textScore' },
+        meetingId: 1,
+        channelName: 1,
+        summary: 1,
+      })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(this.maxCandidates)
+        .lean(),
+    ]);
+
+    const groups = new Map(); // meetingId -> { meetingId, score, hits }
+    const groupFor = (meetingId) => {
+      if (!groups.has(meetingId)) {
+        groups.set(meetingId, { meetingId, score: 0, hits: [] });
+      }
+      return groups.get(meetingId);
+    };
+
+    for (const segment of segments) {
+      const group = groupFor(segment.meetingId);
+      group.score += segment.score;
+      group.hits.push({
+        type: 'transcript',
+        segment,
+        text: segment.text,
+        snippet: this.buildSnippet(segment.text, termPattern),
+        score: segment.score,
+      });
+    }
+
+    for (const meeting of meetings) {
+      const group = groupFor(meeting.meetingId);
+      group.score += meeting.score;
+      group.hits.push(...this.findSummaryHits(meeting, termPattern));
+    }
+
+    const ranked = [...groups.values()].sort((a, b) => b.score - a.score);
+    const page = ranked.slice(skip, skip + limit);
+
+    // Load full meeting documents only for the page being returned
+    const documents = await Meeting.find({ meetingId: { $in: page.map((group) => group.meetingId) } })
+      .select('-transcript -summary.chunks');
+    const byId = new Map(documents.map((doc) => [doc.meetingId, doc]));
+
+    const results = page
+      .filter((group) => byId.has(group.meetingId))
+      .map((group) => ({
+        meeting: byId.get(group.meetingId),
+        score: group.score,
+        hitCount: group.hits.length,
+        hits: group.hits
+          .sort((a, b) => b.score - a.score)
+          .slice(0, this.hitsPerMeeting)
+          // Read transcript hits in meeting order, after summary hits
+          .sort((a, b) => (a.segment?.index ?? -1) - (b.segment?.index ?? -1)),
+      }));
+
+    logger.debug('Search completed', {
+      query,
+      guildId,
+      segmentHits: segments.length,
+      summaryHits: meetings.length,
+      meetings: ranked.length,
+    });
+
+    return { total: ranked.length, terms, results };
+  }
+
+  /**
+   * Create transcript segments for meetings transcribed before segments were
+   * stored, so what was said in them can be searched
+   * Segments are parsed from the formatted transcript, so they carry the
+   * speaker name and start time but no user ID or wall-clock time
+   * @returns {Promise<number>} Meetings backfilled
+   */
+  async backfillSegments() {
+    let backfilled = 0;
+
+    try {
+      const meetings = await Meeting.find({
+        transcript: { $exists: true, $nin: [null, ''] },
+        transcriptSegmentCount: { $in: [0, null] },
+      }).select('meetingId');
+
+      for (const { meetingId } of meetings) {
+        if (await TranscriptSegment.exists({ meetingId })) {
+          continue;
+        }
+
+        const meeting = await Meeting.findOne({ meetingId }).select('transcript');
+        const segments = await TranscriptSegment.replaceForMeeting(
+          meetingId,
+          parseTranscriptText(meeting.transcript)
+        );
+        await Meeting.updateOne({ meetingId }, { transcriptSegmentCount: segments.length });
+        backfilled++;
+      }
+
+      if (backfilled > 0) {
+        logger.info('Backfilled transcript segments for search', { meetings: backfilled });
+      }
+    } catch (error) {
+      logger.error('Error backfilling transcript segments', { error: error.message });
+    }
+
+    return backfilled;
+  }
+
+  /**
+   * Find which summary fields of a matched meeting contain the search terms
+   * Falls back to the executive summary when the match came from stemming
+   * @private
+   * @param {Object} meeting - Lean meeting document with text score
+   * @param {RegExp} termPattern - Pattern matching any search term
+   * @returns {Array<Object>} Summary hits
+   */
+  findSummaryHits(meeting, termPattern) {
+    const summary = meeting.summary || {};
+    const candidates = [
+      { type: 'executiveSummary', text: summary.executiveSummary },
+      ...(summary.keyPoints || []).map((text) => ({ type: 'keyPoint', text })),
+      ...(summary.actionItems || []).map((item) => ({ type: 'actionItem', text: item.task })),
+    ].filter((candidate) => candidate.text);
+
+    let hits = candidates.filter((candidate) => termPattern && termPattern.test(candidate.text));
+    if (hits.length === 0 && candidates.length > 0) {
+      hits = [candidates[0]];
+    }
+
+    // Split the document's score across its hits so one meeting's summary
+    // does not outrank stronger transcript matches
+    return hits.map((hit) => ({
+      ...hit,
+      snippet: this.buildSnippet(hit.text, termPattern),
+      score: meeting.score / hits.length,
+    }));
+  }
+
+  /**
+   * Extract the words and phrases to highlight from a search query
+   * @param {string} query - Search text
+   * @returns {Array<string>} Terms, excluding negated ones
+   */
+  extractTerms(query) {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+      const negated = match[1] || match[3];
+      const term = (match[2] || match[4]).trim();
+      if (!negated && term.length > 1) {
+        terms.push(term);
+      }
+    }
+
+    return [...new Set(terms.map((term) => term.toLowerCase()))];
+  }
+
+  /**
+   * Build a pattern matching any term, including word endings
+   * so "deploy" also finds "deployment" like the stemmed index does
+   * @private
+   * @param {Array<string>} terms - Search terms
+   * @returns {RegExp|null}
+   */
+  buildTermPattern(terms) {
+    if (terms.length === 0) {
+      return null;
+    }
+
+    const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(${escaped.join('|')})\\w*`, 'i');
+  }
+
+  /**
+   * Cut a snippet of text around the first match
+   * @param {string} text - Full text
+   * @param {RegExp} termPattern - Pattern matching any search term
+   * @returns {string} Snippet with ellipses where text was cut
+   */
+  buildSnippet(text, termPattern) {
+    const match = termPattern ? termPattern.exec(text) : null;
+    const matchIndex = match ? match.index : 0;
+    const matchLength = match ? match[0].length : 0;
+
+    let start = Math.max(0, matchIndex - SNIPPET_RADIUS);
+    let end = Math.min(text.length, matchIndex + matchLength + SNIPPET_RADIUS);
+
+    // Avoid cutting words in half
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space !== -1 && space < matchIndex ? space + 1 : start;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      end = space > matchIndex + matchLength ? space : end;
+    }
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  }
+}
+
+const searchService = new SearchService();
+export default searchService;
@@ -0,0 +1,408 @@
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+import { formatChunkTimestamp } from '../../utils/transcriptChunker.js';
+
+/**
+ * Chat Completion Summary Provider
+ * Base provider for any API that speaks the OpenAI chat-completions protocol
+ * Handles prompting, retries with exponential backoff and response parsing
+ */
+export default class ChatCompletionProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider identifier
+   * @param {string} options.baseURL - API base URL (without /chat/completions)
+   * @param {string} options.apiKey - Bearer token (optional for local servers)
+   * @param {string} options.model - Model name
+   * @param {boolean} options.requiresApiKey - Whether requests fail without a key
+   * @param {string} options.apiKeyEnv - Environment variable that holds the key
+   */
+  constructor({ name, baseURL, apiKey, model, requiresApiKey = true, apiKeyEnv = 'API key' }) {
+    this.name = name;
+    this.baseURL = baseURL?.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.requiresApiKey = requiresApiKey;
+    this.apiKeyEnv = apiKeyEnv;
+    this.maxTokens = parseInt(process.env.SUMMARY_MAX_TOKENS || process.env.PERPLEXITY_MAX_TOKENS || '1000');
+    this.temperature = 0.7;
+    this.maxRetries = 3;
+    this.retryDelay = 1000; // ms
+  }
+
+  /**
+   * Validate provider is configured
+   * @private
+   * @throws {Error} If the base URL or a required API key is missing
+   */
+  validateConfig() {
+    if (!this.baseURL) {
+      throw new Error(`${this.name} summary provider has no base URL configured.`);
+    }
+
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new Error(
+        `${this.apiKeyEnv} not configured. Please set environment variable.`
+      );
+    }
+  }
+
+  /**
+   * Generate meeting summary from transcript
+   * Uses the chat model to analyze meeting discussion and extract insights
+   * @param {string} transcript - Meeting transcript with speaker labels
+   * @param {Object} participants - Participant information
+   * @param {Object} options - Summary options
+   * @param {Object} options.section - Set when summarizing one chunk of a longer meeting
+   *   ({ index, total, startTime, endTime })
+   * @returns {Promise<Object>} Meeting summary object
+   */
+  async generateMeetingSummary(transcript, participants = [], { section } = {}) {
+    try {
+      this.validateConfig();
+
+      // Build participant context for the prompt
+      const participantList = participants
+        .map((p) => `- ${p.username || p.userId}`)
+        .join('\n');
+
+      // Craft detailed system prompt for meeting analysis
+      const systemPrompt = `You are an expert meeting analyst. Analyze the provided meeting transcript and generate a comprehensive summary.
+
+Meeting Participants:
+${participantList}
+
+Provide your analysis in the following JSON structure:
+{
+  "executiveSummary": "3-5 sentences summarizing the key discussion points",
+  "keyPoints": ["list", "of", "important", "discussion", "points"],
+  "actionItems": [{"task": "description", "assignee": "name or null", "dueDate": "ISO date (YYYY-MM-DD) if a deadline was stated, else null"}, ...],
+  "innovations": ["new idea 1", "new idea 2"],
+  "sentiment": "positive|neutral|negative"
+}
+
+Be concise and focus on actionable insights.${
+        section
+          ? `\n\nThis transcript is part ${section.index + 1} of ${section.total} of a longer meeting, covering ${formatChunkTimestamp(section.startTime)} to ${formatChunkTimestamp(section.endTime)}. Summarize only this part.`
+          : ''
+      }`;
+
+      const userPrompt = `Please analyze this meeting transcript and provide a structured summary:
+
+${transcript}`;
+
+      const response = await this.callChatAPI(systemPrompt, userPrompt);
+
+      // Parse the response
+      const summary = this.parseSummaryResponse(response);
+      logger.info(`Successfully generated meeting summary via ${this.name}`);
+
+      return {
+        ...summary,
+        model: this.model,
+        provider: this.name,
+      };
+    } catch (error) {
+      logger.error('Error generating meeting summary', {
+        error: error.message,
+        provider: this.name,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Combine per-chunk summaries of a long meeting into one overview
+   * @param {Array} sections - Chunk summaries ({ startTime, endTime, executiveSummary, keyPoints })
+   * @param {Object} participants - Participant information
+   * @returns {Promise<{executiveSummary: string, keyPoints: Array<string>}>}
+   */
+  async combineSummaries(sections, participants = []) {
+    this.validateConfig();
+
+    const participantList = participants
+      .map((p) => `- ${p.username || p.userId}`)
+      .join('\n');
+
+    const systemPrompt = `You are an expert meeting analyst. You are given summaries of consecutive parts of one long meeting. Merge them into a single overview of the whole meeting.
+
+Meeting Participants:
+${participantList}
+
+Provide your answer in the following JSON structure:
+{
+  "executiveSummary": "3-5 sentences summarizing the whole meeting",
+  "keyPoints": ["the most important discussion points across all parts, without duplicates"]
+}`;
+
+    const userPrompt = sections
+      .map(
+        (section, i) =>
+          `Part ${i + 1} (${formatChunkTimestamp(section.startTime)} - ${formatChunkTimestamp(section.endTime)}):
+${section.executiveSummary}
+${(section.keyPoints || []).map((point) => `- ${point}`).join('\n')}`
+      )
+      .join('\n\n');
+
+    const response = await this.callChatAPI(systemPrompt, userPrompt);
+    const { executiveSummary, keyPoints } = this.parseSummaryResponse(response);
+
+    return { executiveSummary, keyPoints };
+  }
+
+  /**
+   * Answer a question from retrieved meeting excerpts
+   * @param {string} question - User question
+   * @param {Array} sources - Excerpts ({ ref, label, text }) to answer from
+   * @returns {Promise<string>} Answer citing sources inline as [ref]
+   */
+  async answerQuestion(question, sources) {
+    this.validateConfig();
+
+    const systemPrompt = `You answer questions about a team's past meetings using only the meeting excerpts provided. Each excerpt is labelled with a number in square brackets.
+
+Rules:
+- Cite every claim with the excerpt number(s) it comes from, e.g. [2] or [1][3]
+- Mention when something was said if it helps answer the question
+- If the excerpts do not contain the answer, say you could not find it in the recorded meetings
+- Answer in at most 5 sentences`;
+
+    const userPrompt = `Meeting excerpts:
+
+${sources.map((source) => `[${source.ref}] ${source.label}
+${source.text}`).join('\n\n')}
+
+Question: ${question}`;
+
+    const answer = await this.callChatAPI(systemPrompt, userPrompt);
+    return answer.trim();
+  }
+
+  /**
+   * Build request headers
+   * @private
+   * @returns {Object} HTTP headers
+   */
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Call chat-completions API with retry logic
+   * Implements exponential backoff for failed requests
+   * @private
+   * @param {string} systemPrompt - System context
+   * @param {string} userPrompt - User query
+   * @returns {Promise<string>} API response text
+   */
+  async callChatAPI(systemPrompt, userPrompt) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        const response = await axios.post(
+          `${this.baseURL}/chat/completions`,
+          {
+            model: this.model,
+            messages: [
+              {
+                role: 'system',
+                content: systemPrompt,
+              },
+              {
+                role: 'user',
+                content: userPrompt,
+              },
+            ],
+            max_tokens: this.maxTokens,
+            temperature: this.temperature,
+          },
+          {
+            headers: this.buildHeaders(),
+            timeout: 60000, // 60 second timeout
+          }
+        );
+
+        if (response.status === 200 && response.data.choices?.[0]?.message?.content) {
+          return response.data.choices[0].message.content;
+        } else {
+          throw new Error(`Invalid response format from ${this.name} API`);
+        }
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < this.maxRetries) {
+          const delay = this.retryDelay * Math.pow(2, attempt - 1);
+          logger.warn(
+            `${this.name} API call failed (attempt ${attempt}/${this.maxRetries}). Retrying in ${delay}ms...`,
+            {
+              error: error.message,
+              statusCode: error.response?.status,
+            }
+          );
+
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    throw new Error(
+      `${this.name} API failed after ${this.maxRetries} attempts: ${lastError.message}`
+    );
+  }
+
+  /**
+   * Parse and validate chat model response
+   * Extracts JSON from response and validates structure
+   * @private
+   * @param {string} responseText - Raw API response
+   * @returns {Object} Parsed summary object
+   */
+  parseSummaryResponse(responseText) {
+    try {
+      // Try to extract JSON from response
+      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        throw new Error('No JSON found in response');
+      }
+
+      const summary = JSON.parse(jsonMatch[0]);
+
+      // Validate required fields
+      if (!summary.executiveSummary) {
+        throw new Error('Missing executiveSummary in response');
+      }
+
+      // Set defaults for optional fields
+      return {
+        executiveSummary: summary.executiveSummary || '',
+        keyPoints: Array.isArray(summary.keyPoints) ? summary.keyPoints : [],
+        actionItems: this.normalizeActionItems(summary.actionItems),
+        innovations: Array.isArray(summary.innovations) ? summary.innovations : [],
+        sentiment: summary.sentiment || 'neutral',
+      };
+    } catch (error) {
+      logger.error(`Error parsing ${this.name} response`, {
+        error: error.message,
+        responseLength: responseText.length,
+      });
+
+      // Return fallback summary if parsing fails
+      return {
+        executiveSummary: responseText.substring(0, 500),
+        keyPoints: [],
+        actionItems: [],
+        innovations: [],
+        sentiment: 'neutral',
+      };
+    }
+  }
+
+  /**
+   * Validate action items from a model response
+   * Drops items without a task and due dates that do not parse, so only
+   * real dates reach the tracked items and their reminders
+   * @private
+   * @param {Array} items - Action items as returned by the model
+   * @returns {Array<{task: string, assignee: string|null, dueDate: Date|null}>}
+   */
+  normalizeActionItems(items) {
+    if (!Array.isArray(items)) {
+      return [];
+    }
+
+    return items
+      .filter((item) => item && typeof item.task === 'string' && item.task.trim())
+      .map((item) => {
+        const dueDate = item.dueDate ? new Date(item.dueDate) : null;
+
+        return {
+          task: item.task,
+          assignee: item.assignee || null,
+          dueDate: dueDate && !Number.isNaN(dueDate.getTime()) ? dueDate : null,
+        };
+      });
+  }
+
+  /**
+   * Extract action items from transcript
+   * More aggressive action item extraction using secondary prompt
+   * @param {string} transcript - Meeting transcript
+   * @returns {Promise<Array>} Array of action items
+   */
+  async extractActionItems(transcript) {
+    try {
+      this.validateConfig();
+
+      const systemPrompt =
+        'You are an expert at identifying action items and tasks from meeting transcripts. Extract all specific tasks mentioned as assignments.';
+
+      const userPrompt = `Extract action items from this transcript. For each item, identify the task, who it was assigned to and its deadline. Return as JSON array:
+[{"task": "description", "assignee": "name or null", "dueDate": "ISO date (YYYY-MM-DD) if a deadline was stated, else null"}, ...]
+
+Transcript:
+${transcript}`;
+
+      const response = await this.callChatAPI(systemPrompt, userPrompt);
+
+      try {
+        const jsonMatch = response.match(/\[[\s\S]*\]/);
+        if (jsonMatch) {
+          return this.normalizeActionItems(JSON.parse(jsonMatch[0]));
+        }
+      } catch (parseError) {
+        logger.warn('Error parsing action items response', {
+          error: parseError.message,
+        });
+      }
+
+      return [];
+    } catch (error) {
+      logger.error('Error extracting action items', {
+        error: error.message,
+        provider: this.name,
+      });
+      return []; // Return empty array on failure
+    }
+  }
+
+  /**
+   * Check API availability and credentials
+   * @returns {Promise<boolean>}
+   */
+  async validateApiKey() {
+    try {
+      this.validateConfig();
+
+      const response = await axios.post(
+        `${this.baseURL}/chat/completions`,
+        {
+          model: this.model,
+          messages: [
+            {
+              role: 'user',
+              content: 'Hi',
+            },
+          ],
+          max_tokens: 10,
+        },
+        {
+          headers: this.buildHeaders(),
+          timeout: 10000,
+        }
+      );
+
+      return response.status === 200;
+    } catch (error) {
+      logger.error('API key validation failed', {
+        error: error.message,
+        provider: this.name,
+      });
+      return false;
+    }
+  }
+}
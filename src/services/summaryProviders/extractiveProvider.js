@@ -0,0 +1,267 @@
+import logger from '../../utils/logger.js';
+
+/**
+ * Words ignored when scoring sentences
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'because', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from',
+  'get', 'go', 'going', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'know', 'like', 'me',
+  'my', 'no', 'not', 'now', 'of', 'oh', 'ok', 'okay', 'on', 'one', 'or', 'our', 'out',
+  'really', 'right', 'so', 'some', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'think', 'this', 'to', 'um', 'uh', 'up', 'us', 'was', 'we', 'well',
+  'were', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'would', 'yeah',
+  'yes', 'you', 'your',
+]);
+
+const ACTION_PATTERN = /\b(i'll|i will|we'll|we will|we need to|need to|we should|have to|todo|to-do|action item|follow up|let's|can you|could you|please)\b/i;
+const FIRST_PERSON_PATTERN = /\b(i'll|i will|i can|i'm going to)\b/i;
+const INNOVATION_PATTERN = /\b(idea|what if|we could|propose|proposal|suggest|new approach|experiment|prototype)\b/i;
+
+const POSITIVE_WORDS = new Set([
+  'agree', 'awesome', 'good', 'great', 'excellent', 'happy', 'love', 'nice', 'perfect',
+  'progress', 'success', 'thanks', 'thank', 'win', 'works', 'done', 'glad',
+]);
+const NEGATIVE_WORDS = new Set([
+  'bad', 'blocked', 'blocker', 'broken', 'bug', 'concern', 'delay', 'delayed', 'fail',
+  'failed', 'issue', 'problem', 'risk', 'stuck', 'worried', 'wrong', 'unfortunately',
+]);
+
+/**
+ * Extractive Summary Provider
+ * Deterministic, fully offline summarizer that needs no API or model.
+ * Picks the highest-scoring sentences by word frequency and finds
+ * action items and ideas with keyword heuristics
+ */
+export default class ExtractiveProvider {
+  constructor() {
+    this.name = 'extractive';
+    this.model = 'extractive-v1';
+    this.summarySentences = 4;
+    this.maxKeyPoints = 6;
+  }
+
+  /**
+   * Generate meeting summary from transcript
+   * @param {string} transcript - Meeting transcript with speaker labels
+   * @param {Object} participants - Participant information (unused)
+   * @returns {Promise<Object>} Meeting summary object
+   */
+  async generateMeetingSummary(transcript, participants = []) {
+    const sentences = this.splitSentences(transcript);
+    const frequencies = this.buildFrequencies(sentences);
+
+    const ranked = sentences
+      .map((sentence, index) => ({
+        ...sentence,
+        index,
+        score: this.scoreSentence(sentence.text, frequencies),
+      }))
+      .filter((sentence) => sentence.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    // Keep the original order so the summary reads naturally
+    const summarySentences = ranked
+      .slice(0, this.summarySentences)
+      .sort((a, b) => a.index - b.index)
+      .map((sentence) => sentence.text);
+
+    const keyPoints = ranked
+      .slice(0, this.maxKeyPoints)
+      .sort((a, b) => a.index - b.index)
+      .map((sentence) => `${sentence.speaker ? `${sentence.speaker}: ` : ''}${sentence.text}`);
+
+    const innovations = sentences
+      .filter((sentence) => INNOVATION_PATTERN.test(sentence.text))
+      .slice(0, 5)
+      .map((sentence) => sentence.text);
+
+    logger.info('Generated meeting summary with extractive provider', {
+      sentences: sentences.length,
+      participants: participants.length,
+    });
+
+    return {
+      executiveSummary: summarySentences.join(' ') || 'No discussion content detected.',
+      keyPoints,
+      actionItems: this.findActionItems(sentences),
+      innovations,
+      sentiment: this.detectSentiment(sentences),
+      model: this.model,
+      provider: this.name,
+    };
+  }
+
+  /**
+   * Combine per-chunk summaries of a long meeting into one overview
+   * Ranks the chunk-level key points again across the whole meeting
+   * @param {Array} sections - Chunk summaries ({ keyPoints })
+   * @returns {Promise<{executiveSummary: string, keyPoints: Array<string>}>}
+   */
+  async combineSummaries(sections) {
+    const keyPoints = new Set(sections.flatMap((section) => section.keyPoints || []));
+    const text = [...keyPoints].join('\n');
+
+    const summary = await this.generateMeetingSummary(text);
+    return { executiveSummary: summary.executiveSummary, keyPoints: summary.keyPoints };
+  }
+
+  /**
+   * Answer a question by quoting the most relevant sentences
+   * @param {string} question - User question
+   * @param {Array} sources - Excerpts ({ ref, label, text }) to answer from
+   * @returns {Promise<string>} Quoted sentences citing sources as [ref]
+   */
+  async answerQuestion(question, sources) {
+    const questionWords = new Set(this.tokenize(question));
+
+    const ranked = sources
+      .flatMap((source) =>
+        this.splitSentences(source.text).map((sentence) => ({
+          ...sentence,
+          ref: source.ref,
+          score: this.tokenize(sentence.text).filter((word) => questionWords.has(word)).length,
+        }))
+      )
+      .filter((sentence) => sentence.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3);
+
+    if (ranked.length === 0) {
+      return 'I could not find anything about that in the recorded meetings.';
+    }
+
+    return ranked
+      .map((sentence) => `${sentence.speaker ? `${sentence.speaker}: ` : ''}"${sentence.text}" [${sentence.ref}]`)
+      .join('\n');
+  }
+
+  /**
+   * Extract action items from transcript
+   * @param {string} transcript - Meeting transcript
+   * @returns {Promise<Array>} Array of action items
+   */
+  async extractActionItems(transcript) {
+    return this.findActionItems(this.splitSentences(transcript));
+  }
+
+  /**
+   * Offline provider is always available
+   * @returns {Promise<boolean>}
+   */
+  async validateApiKey() {
+    return true;
+  }
+
+  /**
+   * Split a formatted transcript into speaker-attributed sentences
+   * Understands the "[HH:MM:SS] Speaker:  text" line format
+   * @private
+   * @param {string} transcript - Transcript text
+   * @returns {Array<{speaker: string|null, text: string}>}
+   */
+  splitSentences(transcript) {
+    const sentences = [];
+
+    for (const line of (transcript || '').split('\n')) {
+      const match = line.match(/^\[[\d:]+\]\s*([^:]+):\s*(.*)$/);
+      const speaker = match ? match[1].trim() : null;
+      const text = match ? match[2] : line;
+
+      for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+        const trimmed = sentence.trim();
+        if (trimmed.split(/\s+/).length >= 4) {
+          sentences.push({ speaker, text: trimmed });
+        }
+      }
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Tokenize text into lowercase content words
+   * @private
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>}
+   */
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9'\s-]/g, ' ')
+      .split(/\s+/)
+      .filter((word) => word.length > 2 && !STOP_WORDS.has(word));
+  }
+
+  /**
+   * Count content word frequencies across all sentences
+   * @private
+   * @param {Array} sentences - Parsed sentences
+   * @returns {Map<string, number>}
+   */
+  buildFrequencies(sentences) {
+    const frequencies = new Map();
+    for (const sentence of sentences) {
+      for (const word of this.tokenize(sentence.text)) {
+        frequencies.set(word, (frequencies.get(word) || 0) + 1);
+      }
+    }
+    return frequencies;
+  }
+
+  /**
+   * Score a sentence by the frequency of its content words
+   * Normalized by length so long rambling sentences are not favoured
+   * @private
+   * @param {string} text - Sentence text
+   * @param {Map<string, number>} frequencies - Word frequencies
+   * @returns {number}
+   */
+  scoreSentence(text, frequencies) {
+    const words = this.tokenize(text);
+    if (words.length === 0) return 0;
+
+    const total = words.reduce((sum, word) => sum + (frequencies.get(word) || 0), 0);
+    return total / Math.sqrt(words.length);
+  }
+
+  /**
+   * Find sentences that read like commitments or requests
+   * @private
+   * @param {Array} sentences - Parsed sentences
+   * @returns {Array<{task: string, assignee: string|null, dueDate: null}>}
+   */
+  findActionItems(sentences) {
+    return sentences
+      .filter((sentence) => ACTION_PATTERN.test(sentence.text))
+      .slice(0, 10)
+      .map((sentence) => ({
+        task: sentence.text,
+        // "I'll do X" is owned by whoever said it
+        assignee: FIRST_PERSON_PATTERN.test(sentence.text) ? sentence.speaker : null,
+        // Deadlines are not recognized without a model
+        dueDate: null,
+      }));
+  }
+
+  /**
+   * Classify overall tone with a small word list
+   * @private
+   * @param {Array} sentences - Parsed sentences
+   * @returns {string} 'positive', 'neutral' or 'negative'
+   */
+  detectSentiment(sentences) {
+    let score = 0;
+    for (const sentence of sentences) {
+      for (const word of sentence.text.toLowerCase().split(/\W+/)) {
+        if (POSITIVE_WORDS.has(word)) score++;
+        if (NEGATIVE_WORDS.has(word)) score--;
+      }
+    }
+
+    if (score > 2) return 'positive';
+    if (score < -2) return 'negative';
+    return 'neutral';
+  }
+}
@@ -0,0 +1,25 @@
+import ChatCompletionProvider from './chatCompletionProvider.js';
+
+/**
+ * OpenAI-Compatible Summary Provider
+ * Works with OpenAI itself or any server exposing /v1/chat/completions,
+ * such as a local llama.cpp server, Ollama or vLLM
+ */
+export default class OpenAICompatibleProvider extends ChatCompletionProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.model - Model override (default: OPENAI_MODEL)
+   * @param {string} options.baseURL - Base URL override (default: OPENAI_BASE_URL)
+   */
+  constructor({ model, baseURL } = {}) {
+    super({
+      name: 'openai',
+      baseURL: baseURL || process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: model || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      // Local servers usually run without authentication
+      requiresApiKey: false,
+      apiKeyEnv: 'OPENAI_API_KEY',
+    });
+  }
+}
@@ -0,0 +1,42 @@
+import ChatCompletionProvider from './chatCompletionProvider.js';
+
+/**
+ * Perplexity Summary Provider
+ * Uses the hosted Perplexity chat-completions API
+ */
+export default class PerplexityProvider extends ChatCompletionProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.model - Model override (default: PERPLEXITY_MODEL)
+   * @param {string} options.baseURL - Base URL override
+   */
+  constructor({ model, baseURL } = {}) {
+    super({
+      name: 'perplexity',
+      baseURL: baseURL || 'https://api.perplexity.ai',
+      apiKey: process.env.PERPLEXITY_API_KEY,
+      model: model || process.env.PERPLEXITY_MODEL || 'llama-3.1-sonar-large-128k-online',
+      requiresApiKey: true,
+      apiKeyEnv: 'PERPLEXITY_API_KEY',
+    });
+  }
+
+  /**
+   * Estimate API cost for a transcript
+   * Rough estimation based on token count
+   * @param {string} transcript - Transcript text
+   * @returns {Object} Cost estimation
+   */
+  estimateCost(transcript) {
+    // Very rough estimation: ~1 token per 4 characters
+    const estimatedTokens = Math.ceil(transcript.length / 4);
+    // Perplexity online model approximately $0.005 per 1k input tokens
+    const estimatedCost = (estimatedTokens / 1000) * 0.005;
+
+    return {
+      estimatedTokens,
+      estimatedCostUSD: estimatedCost,
+      model: this.model,
+    };
+  }
+}
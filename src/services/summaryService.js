@@ -0,0 +1,296 @@
+import logger from '../utils/logger.js';
+import guildConfigService from './guildConfigService.js';
+import PerplexityProvider from './summaryProviders/perplexityProvider.js';
+import OpenAICompatibleProvider from './summaryProviders/openaiCompatibleProvider.js';
+import ExtractiveProvider from './summaryProviders/extractiveProvider.js';
+import { chunkSegments, chunkTranscriptText } from '../utils/transcriptChunker.js';
+
+/**
+ * Registered summary providers by name
+ * Every provider implements generateMeetingSummary, extractActionItems and validateApiKey
+ */
+const PROVIDERS = {
+  perplexity: PerplexityProvider,
+  openai: OpenAICompatibleProvider,
+  extractive: ExtractiveProvider,
+};
+
+export const SUMMARY_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Summary Service
+ * Resolves the summary provider configured for a guild and delegates to it.
+ * Long meetings are summarized map-reduce style: each chunk is summarized
+ * on its own, then the chunk results are merged into one summary
+ */
+class SummaryService {
+  constructor() {
+    this.providers = new Map(); // cache key -> provider instance
+    this.chunkOptions = {
+      maxChars: parseInt(process.env.SUMMARY_CHUNK_MAX_CHARS || '6000'),
+      maxDuration: parseInt(process.env.SUMMARY_CHUNK_MAX_MINUTES || '10') * 60,
+    };
+  }
+
+  /**
+   * Get a provider instance by name
+   * @param {string} name - Provider name
+   * @param {Object} options - Provider options
+   * @param {string} options.model - Model override
+   * @param {string} options.baseUrl - Base URL override
+   * @returns {Object} Provider instance
+   * @throws {Error} If the provider is unknown
+   */
+  getProvider(name, { model, baseUrl } = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(
+        `Unknown summary provider: ${name}. Available: ${SUMMARY_PROVIDERS.join(', ')}`
+      );
+    }
+
+    const key = `${name}|${model || ''}|${baseUrl || ''}`;
+    if (!this.providers.has(key)) {
+      this.providers.set(key, new Provider({ model, baseURL: baseUrl }));
+    }
+
+    return this.providers.get(key);
+  }
+
+  /**
+   * Get the provider configured for a guild
+   * @param {string} guildId - Discord guild ID (optional)
+   * @returns {Promise<Object>} Provider instance
+   */
+  async getProviderForGuild(guildId) {
+    const { summarization } = await guildConfigService.getConfig(guildId);
+    return this.getProvider(summarization.provider, summarization);
+  }
+
+  /**
+   * Generate meeting summary with the guild's provider
+   * Transcripts that fit in one chunk are summarized directly; longer ones
+   * are summarized per chunk and merged, keeping the chunk summaries
+   * @param {string} transcript - Meeting transcript with speaker labels
+   * @param {Array} participants - Participant information
+   * @param {Object} options - Options
+   * @param {string} options.guildId - Guild whose provider should be used
+   * @param {Array} options.segments - Structured transcript segments used for chunking
+   * @returns {Promise<Object>} Meeting summary object, with chunks for long meetings
+   */
+  async generateMeetingSummary(transcript, participants = [], { guildId, segments } = {}) {
+    const provider = await this.getProviderForGuild(guildId);
+    const chunks = this.chunkTranscript(transcript, segments);
+
+    logger.info('Generating meeting summary', {
+      provider: provider.name,
+      model: provider.model,
+      guildId,
+      chunks: chunks.length,
+    });
+
+    if (chunks.length <= 1) {
+      return {
+        ...(await provider.generateMeetingSummary(transcript, participants)),
+        chunks: [],
+      };
+    }
+
+    // Map: summarize each chunk in order
+    const chunkSummaries = [];
+    for (const chunk of chunks) {
+      const summary = await provider.generateMeetingSummary(chunk.text, participants, {
+        section: {
+          index: chunk.index,
+          total: chunks.length,
+          startTime: chunk.startTime,
+          endTime: chunk.endTime,
+        },
+      });
+
+      chunkSummaries.push({
+        index: chunk.index,
+        startTime: chunk.startTime,
+        endTime: chunk.endTime,
+        speakers: chunk.speakers,
+        segmentCount: chunk.segmentCount,
+        executiveSummary: summary.executiveSummary,
+        keyPoints: summary.keyPoints,
+        actionItems: summary.actionItems,
+        innovations: summary.innovations,
+        sentiment: summary.sentiment,
+      });
+
+      logger.debug('Summarized transcript chunk', {
+        chunk: chunk.index + 1,
+        total: chunks.length,
+      });
+    }
+
+    // Reduce: merge chunk results into one summary
+    const merged = await this.mergeChunkSummaries(provider, chunkSummaries, participants);
+
+    return {
+      ...merged,
+      model: provider.model,
+      provider: provider.name,
+      chunks: chunkSummaries,
+    };
+  }
+
+  /**
+   * Extract action items with the guild's provider
+   * Runs per chunk so nothing past the provider's context is missed
+   * @param {string} transcript - Meeting transcript
+   * @param {Object} options - Options
+   * @param {string} options.guildId - Guild whose provider should be used
+   * @param {Array} options.segments - Structured transcript segments used for chunking
+   * @returns {Promise<Array>} Array of action items
+   */
+  async extractActionItems(transcript, { guildId, segments } = {}) {
+    const provider = await this.getProviderForGuild(guildId);
+    const chunks = this.chunkTranscript(transcript, segments);
+
+    const actionItems = [];
+    for (const chunk of chunks) {
+      actionItems.push(...(await provider.extractActionItems(chunk.text)));
+    }
+
+    return this.dedupeActionItems(actionItems);
+  }
+
+  /**
+   * Answer a question from meeting excerpts with the guild's provider
+   * @param {string} question - User question
+   * @param {Array} sources - Excerpts ({ ref, label, text })
+   * @param {Object} options - Options
+   * @param {string} options.guildId - Guild whose provider should be used
+   * @returns {Promise<{answer: string, provider: string, model: string}>}
+   */
+  async answerQuestion(question, sources, { guildId } = {}) {
+    const provider = await this.getProviderForGuild(guildId);
+    const answer = await provider.answerQuestion(question, sources);
+
+    return { answer, provider: provider.name, model: provider.model };
+  }
+
+  /**
+   * Split a transcript into summary chunks
+   * @private
+   * @param {string} transcript - Formatted transcript
+   * @param {Array} segments - Structured segments (preferred when available)
+   * @returns {Array<Object>} Chunks
+   */
+  chunkTranscript(transcript, segments) {
+    return segments?.length > 0
+      ? chunkSegments(segments, this.chunkOptions)
+      : chunkTranscriptText(transcript, this.chunkOptions);
+  }
+
+  /**
+   * Merge chunk summaries into the final meeting summary
+   * The provider writes the overall executive summary and key points;
+   * action items and innovations are the de-duplicated union of all chunks
+   * @private
+   * @param {Object} provider - Summary provider
+   * @param {Array} chunkSummaries - Per-chunk summaries
+   * @param {Array} participants - Participant information
+   * @returns {Promise<Object>} Merged summary fields
+   */
+  async mergeChunkSummaries(provider, chunkSummaries, participants) {
+    let overview;
+
+    try {
+      overview = await provider.combineSummaries(chunkSummaries, participants);
+    } catch (error) {
+      logger.warn('Could not combine chunk summaries, concatenating instead', {
+        error: error.message,
+        provider: provider.name,
+      });
+    }
+
+    return {
+      executiveSummary:
+        overview?.executiveSummary ||
+        chunkSummaries.map((chunk) => chunk.executiveSummary).filter(Boolean).join(' '),
+      keyPoints:
+        overview?.keyPoints?.length > 0
+          ? overview.keyPoints
+          : this.dedupeStrings(chunkSummaries.flatMap((chunk) => chunk.keyPoints || [])),
+      actionItems: this.dedupeActionItems(
+        chunkSummaries.flatMap((chunk) => chunk.actionItems || [])
+      ),
+      innovations: this.dedupeStrings(
+        chunkSummaries.flatMap((chunk) => chunk.innovations || [])
+      ),
+      sentiment: this.mergeSentiment(chunkSummaries),
+    };
+  }
+
+  /**
+   * Overall sentiment is the most common chunk sentiment, weighted by chunk size
+   * @private
+   * @param {Array} chunkSummaries - Per-chunk summaries
+   * @returns {string} 'positive', 'neutral' or 'negative'
+   */
+  mergeSentiment(chunkSummaries) {
+    const weights = { positive: 0, neutral: 0, negative: 0 };
+
+    for (const chunk of chunkSummaries) {
+      if (chunk.sentiment in weights) {
+        weights[chunk.sentiment] += chunk.segmentCount || 1;
+      }
+    }
+
+    const [top] = Object.entries(weights).sort((a, b) => b[1] - a[1]);
+    return top[1] > 0 && top[1] > weights.neutral ? top[0] : 'neutral';
+  }
+
+  /**
+   * Remove duplicate strings, ignoring case and surrounding whitespace
+   * @private
+   * @param {Array<string>} values - Strings to de-duplicate
+   * @returns {Array<string>}
+   */
+  dedupeStrings(values) {
+    const seen = new Set();
+    return values.filter((value) => {
+      const key = String(value).trim().toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Remove duplicate action items by task text
+   * @private
+   * @param {Array<{task: string, assignee: string|null, dueDate: Date|null}>} items - Action items
+   * @returns {Array}
+   */
+  dedupeActionItems(items) {
+    const seen = new Set();
+    return items.filter((item) => {
+      const key = String(item?.task || '').trim().toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Check that the guild's provider is reachable and authorized
+   * @param {Object} options - Options
+   * @param {string} options.guildId - Guild whose provider should be checked
+   * @returns {Promise<{provider: string, model: string, valid: boolean}>}
+   */
+  async validateApiKey({ guildId } = {}) {
+    const provider = await this.getProviderForGuild(guildId);
+    const valid = await provider.validateApiKey();
+
+    return { provider: provider.name, model: provider.model, valid };
+  }
+}
+
+const summaryService = new SummaryService();
+export default summaryService;
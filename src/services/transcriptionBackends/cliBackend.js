@@ -0,0 +1,124 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { execFile } from 'child_process';
+import logger from '../../utils/logger.js';
+
+const execFilePromise = promisify(execFile);
+
+/**
+ * Command-Line Transcription Backend
+ * Runs a local whisper.cpp binary, so no transcription service is needed.
+ * Audio is converted to 16 kHz mono WAV with FFmpeg first, as whisper.cpp expects
+ */
+export default class CliBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.model - ggml model path override (default: WHISPER_CLI_MODEL)
+   */
+  constructor({ model } = {}) {
+    this.name = 'cli';
+    this.binary = process.env.WHISPER_CLI_PATH || 'whisper-cli';
+    this.model = model || process.env.WHISPER_CLI_MODEL || './models/ggml-base.bin';
+    this.threads = parseInt(process.env.WHISPER_CLI_THREADS || '0');
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {string} audioFilePath - Audio file path
+   * @param {Object} options - Transcription options
+   * @param {string} options.language - Spoken language code
+   * @returns {Promise<Object>} Whisper-style result ({ text, segments, language, duration })
+   */
+  async transcribe(audioFilePath, { language } = {}) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'teamtape-whisper-'));
+    const wavPath = path.join(workDir, 'audio.wav');
+    const outputBase = path.join(workDir, 'output');
+
+    try {
+      await execFilePromise('ffmpeg', [
+        '-i', audioFilePath,
+        '-ar', '16000',
+        '-ac', '1',
+        '-c:a', 'pcm_s16le',
+        '-y', wavPath,
+      ]);
+
+      const args = [
+        '-m', this.model,
+        '-f', wavPath,
+        '-l', language || 'auto',
+        '-oj',
+        '-of', outputBase,
+        '-np', // No progress output
+      ];
+      if (this.threads > 0) {
+        args.push('-t', String(this.threads));
+      }
+
+      logger.debug('Running whisper.cpp', {
+        binary: this.binary,
+        model: this.model,
+        fileSize: fs.statSync(audioFilePath).size,
+      });
+
+      await execFilePromise(this.binary, args, {
+        timeout: 1800000, // 30 minutes
+        maxBuffer: 64 * 1024 * 1024,
+      });
+
+      const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf-8'));
+      return this.parseOutput(output, language);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Convert whisper.cpp JSON output into Whisper verbose_json shape
+   * @private
+   * @param {Object} output - Parsed whisper.cpp -oj output
+   * @param {string} language - Requested language
+   * @returns {Object} Transcription data
+   */
+  parseOutput(output, language) {
+    const segments = (output.transcription || [])
+      .map((entry, id) => ({
+        id,
+        start: (entry.offsets?.from || 0) / 1000,
+        end: (entry.offsets?.to || 0) / 1000,
+        text: (entry.text || '').trim(),
+      }))
+      .filter((segment) => segment.text);
+
+    return {
+      text: segments.map((segment) => segment.text).join(' '),
+      segments,
+      language: output.result?.language || language,
+      duration: segments[segments.length - 1]?.end || 0,
+    };
+  }
+
+  /**
+   * Check the binary runs and the model file exists
+   * @returns {Promise<Object>} { healthy, binary, model, error? }
+   */
+  async checkHealth() {
+    if (!fs.existsSync(this.model)) {
+      return {
+        healthy: false,
+        binary: this.binary,
+        model: this.model,
+        error: `Model file not found: ${this.model}`,
+      };
+    }
+
+    try {
+      await execFilePromise(this.binary, ['--help'], { timeout: 5000 });
+      return { healthy: true, binary: this.binary, model: this.model };
+    } catch (error) {
+      return { healthy: false, binary: this.binary, model: this.model, error: error.message };
+    }
+  }
+}
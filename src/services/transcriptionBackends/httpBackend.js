@@ -0,0 +1,84 @@
+import fs from 'fs';
+import FormData from 'form-data';
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+
+/**
+ * HTTP Transcription Backend
+ * Talks to the local Faster-Whisper Docker service at WHISPER_API_URL,
+ * which transcribes with the model it was started with (WHISPER_MODEL)
+ */
+export default class HttpBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.baseURL - Service URL override (default: WHISPER_API_URL)
+   * @param {string} options.model - Model name override; not supported, the service's model is used
+   */
+  constructor({ baseURL, model } = {}) {
+    this.name = 'http';
+    this.baseURL = (baseURL || process.env.WHISPER_API_URL || 'http://localhost:7704').replace(/\/+$/, '');
+    this.model = process.env.WHISPER_MODEL || 'base';
+
+    if (model && model !== this.model) {
+      logger.warn('The http transcription backend cannot switch models; ignoring model override', {
+        requested: model,
+        model: this.model,
+        baseURL: this.baseURL,
+      });
+    }
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {string} audioFilePath - Audio file path
+   * @param {Object} options - Transcription options
+   * @param {string} options.language - Spoken language code
+   * @returns {Promise<Object>} Whisper verbose_json result ({ text, segments, language, duration })
+   */
+  async transcribe(audioFilePath, { language } = {}) {
+    // Create form data with audio file
+    const form = new FormData();
+    form.append('file', fs.createReadStream(audioFilePath));
+    form.append('language', language);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities', 'segment');
+
+    // Add additional parameters to improve transcription quality
+    // These help reduce repetition in Whisper output
+    form.append('temperature', '0.0'); // Deterministic output
+    form.append('compression_ratio_threshold', '2.4'); // Filter out low-quality segments
+    form.append('no_speech_threshold', '0.6'); // Be stricter about speech detection
+
+    logger.debug('Sending audio to Whisper API', {
+      url: `${this.baseURL}/v1/audio/transcriptions`,
+      fileSize: fs.statSync(audioFilePath).size,
+      language,
+    });
+
+    const response = await axios.post(`${this.baseURL}/v1/audio/transcriptions`, form, {
+      headers: {
+        ...form.getHeaders(),
+      },
+      timeout: 300000, // 5 minutes timeout
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Check the Whisper service is reachable
+   * @returns {Promise<Object>} { healthy, baseURL, model, error? }
+   */
+  async checkHealth() {
+    try {
+      const response = await axios.get(`${this.baseURL}/health`, {
+        timeout: 5000,
+      });
+      return { healthy: response.status === 200, baseURL: this.baseURL, model: this.model };
+    } catch (error) {
+      return { healthy: false, baseURL: this.baseURL, model: this.model, error: error.message };
+    }
+  }
+}
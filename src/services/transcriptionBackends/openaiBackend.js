@@ -0,0 +1,90 @@
+import fs from 'fs';
+import FormData from 'form-data';
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+
+/**
+ * OpenAI-Compatible Transcription Backend
+ * Uses the /v1/audio/transcriptions endpoint of OpenAI or any compatible
+ * server (e.g. a whisper.cpp server, LocalAI, Groq)
+ */
+export default class OpenAIBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.baseURL - API base URL override (default: OPENAI_TRANSCRIPTION_BASE_URL)
+   * @param {string} options.model - Model override (default: OPENAI_TRANSCRIPTION_MODEL)
+   */
+  constructor({ baseURL, model } = {}) {
+    this.name = 'openai';
+    this.baseURL = (
+      baseURL || process.env.OPENAI_TRANSCRIPTION_BASE_URL || 'https://api.openai.com/v1'
+    ).replace(/\/+$/, '');
+    this.apiKey = process.env.OPENAI_TRANSCRIPTION_API_KEY || process.env.OPENAI_API_KEY;
+    this.model = model || process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+  }
+
+  /**
+   * Build request headers
+   * @private
+   * @returns {Object} HTTP headers
+   */
+  buildHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {string} audioFilePath - Audio file path
+   * @param {Object} options - Transcription options
+   * @param {string} options.language - Spoken language code
+   * @returns {Promise<Object>} Whisper verbose_json result ({ text, segments, language, duration })
+   */
+  async transcribe(audioFilePath, { language } = {}) {
+    const form = new FormData();
+    form.append('file', fs.createReadStream(audioFilePath));
+    form.append('model', this.model);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'segment');
+    form.append('temperature', '0');
+    if (language) {
+      form.append('language', language);
+    }
+
+    logger.debug('Sending audio to OpenAI-compatible transcription API', {
+      url: `${this.baseURL}/audio/transcriptions`,
+      fileSize: fs.statSync(audioFilePath).size,
+      model: this.model,
+    });
+
+    const response = await axios.post(`${this.baseURL}/audio/transcriptions`, form, {
+      headers: {
+        ...form.getHeaders(),
+        ...this.buildHeaders(),
+      },
+      timeout: 300000, // 5 minutes timeout
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+    });
+
+    return {
+      ...response.data,
+      segments: response.data.segments || [],
+    };
+  }
+
+  /**
+   * Check the API is reachable and the key is accepted
+   * @returns {Promise<Object>} { healthy, baseURL, model, error? }
+   */
+  async checkHealth() {
+    try {
+      const response = await axios.get(`${this.baseURL}/models`, {
+        headers: this.buildHeaders(),
+        timeout: 5000,
+      });
+      return { healthy: response.status === 200, baseURL: this.baseURL, model: this.model };
+    } catch (error) {
+      return { healthy: false, baseURL: this.baseURL, model: this.model, error: error.message };
+    }
+  }
+}
@@ -1,20 +1,39 @@
 import fs from 'fs';
 import path from 'path';
-import FormData from 'form-data';
-import axios from 'axios';
 import logger from '../utils/logger.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import guildConfigService from './guildConfigService.js';
+import HttpBackend from './transcriptionBackends/httpBackend.js';
+import OpenAIBackend from './transcriptionBackends/openaiBackend.js';
+import CliBackend from './transcriptionBackends/cliBackend.js';
+
+/**
+ * Registered transcription backends by name
+ * Every backend implements transcribe(audioFilePath, { language }) and checkHealth()
+ */
+const BACKENDS = {
+  http: HttpBackend,
+  openai: OpenAIBackend,
+  cli: CliBackend,
+};
+
+export const TRANSCRIPTION_BACKENDS = Object.keys(BACKENDS);
 
 /**
  * Transcription Service
  * Handles audio transcription and speaker diarization
- * Integrates with local Faster-Whisper Docker service
+ * Delegates speech-to-text to the backend configured for the guild:
+ * the Faster-Whisper HTTP service, an OpenAI-compatible API or a local whisper.cpp binary
  */
 class TranscriptionService {
   constructor() {
     this.userMappings = this.loadUserMappings();
-    this.whisperApiUrl = process.env.WHISPER_API_URL || 'http://localhost:7704';
-    this.whisperModel = process.env.WHISPER_MODEL || 'base';
-    this.whisperLanguage = process.env.WHISPER_LANGUAGE || 'en';
+    this.backends = new Map(); // cache key -> backend instance
+
+    // Per-user track worker pool settings
+    this.trackConcurrency = parseInt(process.env.TRANSCRIPTION_CONCURRENCY || '3');
+    this.trackAttempts = parseInt(process.env.TRANSCRIPTION_TRACK_ATTEMPTS || '3');
+    this.trackRetryDelay = parseInt(process.env.TRANSCRIPTION_TRACK_RETRY_DELAY_MS || '2000');
 
     // Deduplication settings
     this.similarityThreshold = 0.85; // 85% similarity = duplicate
@@ -283,11 +302,21 @@ class TranscriptionService {
 
   /**
    * Transcribe audio files for each user separately with Discord-level speaker identification
+   * Tracks are transcribed concurrently by a bounded worker pool; each track is
+   * retried on failure. Tracks that still fail are reported instead of failing
+   * the meeting, unless the backend itself is unavailable: then this throws,
+   * so the processing queue retries the whole stage later
    * @param {Array} userAudioFiles - Array of {userId, filePath, segments} objects
    * @param {Array} participants - List of meeting participants
+   * @param {Object} options - Transcription options
+   * @param {string} options.guildId - Guild whose transcription backend should be used
+   * @param {Function} options.onProgress - Called after each track with
+   *   { completed, failed, total, userId, username, status }
+   * @param {Array} options.pauses - Meeting pauses to mark in the transcript
    * @returns {Promise<Object>} Combined transcription with accurate speaker labels
+   *   and the list of failedTracks
    */
-  async transcribePerUser(userAudioFiles, participants = []) {
+  async transcribePerUser(userAudioFiles, participants = [], { guildId, onProgress, pauses = [] } = {}) {
     try {
       if (!userAudioFiles || userAudioFiles.length === 0) {
         throw new Error('No user audio files provided for transcription');
@@ -296,6 +325,7 @@ class TranscriptionService {
       logger.info('Starting per-user transcription', {
         userCount: userAudioFiles.length,
         participantCount: participants.length,
+        concurrency: this.trackConcurrency,
       });
 
       // Create user lookup map
@@ -304,60 +334,75 @@ class TranscriptionService {
         userMap.set(participant.userId, participant.username);
       }
 
-      // Transcribe each user's audio separately
-      const userTranscriptions = [];
-
-      for (const userFile of userAudioFiles) {
-        const { userId, filePath, segments } = userFile;
-
-        if (!fs.existsSync(filePath)) {
-          logger.warn(`Audio file not found for user ${userId}: ${filePath}`);
-          continue;
+      const total = userAudioFiles.length;
+      let completed = 0;
+      let failed = 0;
+
+      // Transcribe each user's audio separately, several at a time
+      const results = await mapWithConcurrency(
+        userAudioFiles,
+        this.trackConcurrency,
+        async (userFile) => {
+          const username =
+            userMap.get(userFile.userId) || this.getUserName(userFile.userId) || userFile.userId;
+
+          try {
+            const result = await this.transcribeUserTrack(userFile, username, { guildId });
+            completed++;
+            this.reportProgress(onProgress, {
+              completed, failed, total, userId: userFile.userId, username, status: 'completed',
+            });
+            return result;
+          } catch (error) {
+            failed++;
+            this.reportProgress(onProgress, {
+              completed, failed, total, userId: userFile.userId, username, status: 'failed',
+            });
+            error.username = username;
+            throw error;
+          }
         }
+      );
 
-        const username = userMap.get(userId) || this.getUserName(userId) || userId;
-
-        logger.info(`Transcribing audio for ${username} (${userId})`);
-
-        // Transcribe this user's audio
-        const transcript = await this.performTranscription(filePath);
-
-        if (!transcript.segments || transcript.segments.length === 0) {
-          logger.warn(`No segments returned for user ${username}`);
-          continue;
+      const userTranscriptions = [];
+      const failedTracks = [];
+
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          if (result.value) {
+            userTranscriptions.push(result.value);
+          }
+        } else {
+          failedTracks.push({
+            userId: userAudioFiles[index].userId,
+            username: result.reason.username,
+            error: result.reason.message,
+            backendUnavailable: !!result.reason.backendUnavailable,
+          });
         }
+      });
 
-        // Get the actual start time from Discord segments
-        const baseStartTime = segments?.[0]?.startTime || Date.now();
+      const outage = failedTracks.find((track) => track.backendUnavailable);
+      if (outage) {
+        throw new Error(
+          `Transcription backend unavailable for ${failedTracks.length}/${total} tracks: ${outage.error}`
+        );
+      }
 
-        // Add speaker information to each segment
-        const enhancedSegments = transcript.segments.map((segment, index) => ({
-          ...segment,
-          speaker: username,
-          speakerId: userId,
-          absoluteStartTime: baseStartTime + (segment.start * 1000),
-          absoluteEndTime: baseStartTime + (segment.end * 1000),
-          segmentIndex: index,
-        }));
-
-        userTranscriptions.push({
-          userId,
-          username,
-          filePath,
-          segments: enhancedSegments,
-          text: transcript.text,
-          duration: transcript.duration,
-          language: transcript.language,
-          baseStartTime,
+      if (failedTracks.length > 0) {
+        logger.warn('Some user tracks could not be transcribed', {
+          failed: failedTracks.length,
+          total,
+          failedTracks,
         });
-
-        logger.info(
-          `Completed transcription for ${username}: ${enhancedSegments.length} segments, ${Math.floor(transcript.duration)}s`
-        );
       }
 
       if (userTranscriptions.length === 0) {
-        throw new Error('No successful transcriptions from any user audio');
+        throw new Error(
+          failedTracks.length > 0
+            ? `No successful transcriptions from any user audio: ${failedTracks[0].error}`
+            : 'No successful transcriptions from any user audio'
+        );
       }
 
       logger.info('All user audio transcribed, creating combined transcript', {
@@ -366,7 +411,7 @@ class TranscriptionService {
       });
 
       // Merge all transcriptions chronologically with deduplication
-      const mergedTranscript = this.mergeTranscriptsChronologically(userTranscriptions);
+      const mergedTranscript = this.mergeTranscriptsChronologically(userTranscriptions, pauses);
 
       logger.info('Per-user transcription completed successfully', {
         totalSegments: mergedTranscript.segments.length,
@@ -374,7 +419,10 @@ class TranscriptionService {
         duration: mergedTranscript.duration?.toFixed(2),
       });
 
-      return mergedTranscript;
+      return {
+        ...mergedTranscript,
+        failedTracks: failedTracks.map(({ userId, username, error }) => ({ userId, username, error })),
+      };
     } catch (error) {
       logger.error('Error in per-user transcription', {
         error: error.message,
@@ -384,14 +432,151 @@ class TranscriptionService {
     }
   }
 
+  /**
+   * Transcribe one user's track, retrying with exponential backoff
+   * @private
+   * @param {Object} userFile - {userId, filePath, segments}
+   * @param {string} username - Speaker display name
+   * @param {Object} options - Transcription options
+   * @param {string} options.guildId - Guild whose transcription backend should be used
+   * @returns {Promise<Object|null>} User transcription, or null if nothing was said
+   * @throws {Error} If the file is missing or every attempt fails
+   */
+  async transcribeUserTrack(userFile, username, { guildId } = {}) {
+    const { userId, filePath, segments } = userFile;
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Audio file not found for user ${userId}: ${filePath}`);
+    }
+
+    let transcript;
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.trackAttempts; attempt++) {
+      try {
+        logger.info(`Transcribing audio for ${username} (${userId})`, { attempt });
+        transcript = await this.performTranscription(filePath, { guildId });
+        break;
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < this.trackAttempts) {
+          const delay = this.trackRetryDelay * Math.pow(2, attempt - 1);
+          logger.warn(
+            `Transcription failed for ${username} (attempt ${attempt}/${this.trackAttempts}). Retrying in ${delay}ms...`,
+            { error: error.message }
+          );
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    if (!transcript) {
+      throw lastError;
+    }
+
+    if (!transcript.segments || transcript.segments.length === 0) {
+      logger.warn(`No segments returned for user ${username}`);
+      return null;
+    }
+
+    // Get the actual start time from Discord segments
+    const baseStartTime = segments?.[0]?.startTime || Date.now();
+
+    // Add speaker information to each segment, placing it at the wall-clock
+    // time of the speaking burst it came from
+    const enhancedSegments = transcript.segments.map((segment, index) => {
+      const absoluteStartTime = this.mapTrackOffset(segments, segment.start, baseStartTime);
+      const absoluteEndTime = this.mapTrackOffset(segments, segment.end, baseStartTime, true);
+
+      return {
+        ...segment,
+        speaker: username,
+        speakerId: userId,
+        absoluteStartTime,
+        absoluteEndTime: Math.max(absoluteStartTime, absoluteEndTime),
+        segmentIndex: index,
+      };
+    });
+
+    logger.info(
+      `Completed transcription for ${username}: ${enhancedSegments.length} segments, ${Math.floor(transcript.duration)}s`
+    );
+
+    return {
+      userId,
+      username,
+      filePath,
+      segments: enhancedSegments,
+      text: transcript.text,
+      duration: transcript.duration,
+      language: transcript.language,
+      baseStartTime,
+    };
+  }
+
+  /**
+   * Map an offset in a user's concatenated track to wall-clock time
+   * The track is the user's speaking bursts back to back, so the offset is
+   * located in its burst and measured from that burst's start time
+   * @private
+   * @param {Array} bursts - Burst timeline ({ startTime, duration, offset }) from the recorder
+   * @param {number} seconds - Offset into the user track
+   * @param {number} baseStartTime - Fallback reference when bursts carry no offsets
+   * @param {boolean} isEnd - Map an end offset (a burst boundary belongs to the earlier burst)
+   * @returns {number} Absolute time in milliseconds
+   */
+  mapTrackOffset(bursts, seconds, baseStartTime, isEnd = false) {
+    const timeline = (bursts || []).filter((burst) => typeof burst.offset === 'number');
+
+    // Tracks recorded before burst offsets were stored
+    if (timeline.length === 0) {
+      return baseStartTime + seconds * 1000;
+    }
+
+    let burst = timeline[0];
+    for (const candidate of timeline) {
+      if (isEnd ? candidate.offset < seconds : candidate.offset <= seconds) {
+        burst = candidate;
+      } else {
+        break;
+      }
+    }
+
+    // Whisper can overshoot a burst slightly; keep the segment within it
+    const withinBurst = Math.min(
+      Math.max(0, seconds - burst.offset),
+      burst.duration || Infinity
+    );
+
+    return burst.startTime + withinBurst * 1000;
+  }
+
+  /**
+   * Invoke a progress callback without letting it break transcription
+   * @private
+   * @param {Function} onProgress - Progress callback (optional)
+   * @param {Object} progress - Progress details
+   */
+  reportProgress(onProgress, progress) {
+    if (!onProgress) return;
+
+    try {
+      onProgress(progress);
+    } catch (error) {
+      logger.debug('Progress callback failed', { error: error.message });
+    }
+  }
+
   /**
    * Merge per-user transcripts chronologically using Discord segment timestamps
    * Includes deduplication to handle Whisper repetition issues
    * @private
    * @param {Array} userTranscriptions - Array of per-user transcription objects
+   * @param {Array} pauses - Meeting pauses to mark in the transcript
    * @returns {Object} Merged transcription data
    */
-  mergeTranscriptsChronologically(userTranscriptions) {
+  mergeTranscriptsChronologically(userTranscriptions, pauses = []) {
     // Flatten all segments from all users
     const allSegments = [];
 
@@ -454,9 +639,7 @@ class TranscriptionService {
     });
 
     // Format transcript with speaker labels and timestamps
-    const formattedTranscript = finalSegments
-      .map((seg) => `[${seg.timestamp}] ${seg.speaker}:  ${seg.text}`)
-      .join('\n');
+    const formattedTranscript = this.formatTranscript(finalSegments, pauses, meetingStartTime);
 
     // Get full text (concatenated)
     const fullText = finalSegments.map((seg) => seg.text).join(' ');
@@ -478,12 +661,16 @@ class TranscriptionService {
   }
 
   /**
-   * Transcribe audio file using local Whisper model
+   * Transcribe audio file using the guild's Whisper backend
    * @param {string} audioFilePath - Path to audio file
    * @param {Array} participants - List of meeting participants
+   * @param {Object} options - Transcription options
+   * @param {string} options.guildId - Guild whose transcription backend should be used
+   * @param {Array} options.pauses - Meeting pauses to mark in the transcript
+   * @param {Date} options.audioStartTimestamp - Wall-clock time at position 0 of the file
    * @returns {Promise<Object>} Transcription data
    */
-  async transcribeAudio(audioFilePath, participants = []) {
+  async transcribeAudio(audioFilePath, participants = [], { guildId, pauses = [], audioStartTimestamp } = {}) {
     try {
       if (!fs.existsSync(audioFilePath)) {
         throw new Error(`Audio file not found: ${audioFilePath}`);
@@ -492,7 +679,7 @@ class TranscriptionService {
       const stats = fs.statSync(audioFilePath);
       logger.info(`Starting transcription of ${audioFilePath} (${stats.size} bytes)`);
 
-      const transcript = await this.performTranscription(audioFilePath);
+      const transcript = await this.performTranscription(audioFilePath, { guildId });
 
       // Add speaker labels and timestamps
       const enrichedTranscript = this.enrichTranscriptWithSpeakerData(
@@ -504,9 +691,11 @@ class TranscriptionService {
       enrichedTranscript.segments = this.deduplicateSegments(enrichedTranscript.segments);
 
       // Regenerate formatted transcript after deduplication
-      enrichedTranscript.formattedTranscript = enrichedTranscript.segments
-        .map((seg) => `[${seg.timestamp}] ${seg.speaker}:  ${seg.text}`)
-        .join('\n');
+      enrichedTranscript.formattedTranscript = this.formatTranscript(
+        enrichedTranscript.segments,
+        pauses,
+        audioStartTimestamp ? new Date(audioStartTimestamp).getTime() : null
+      );
 
       logger.info('Transcription completed successfully');
 
@@ -521,117 +710,110 @@ class TranscriptionService {
   }
 
   /**
-   * Perform actual transcription using local Faster-Whisper API
+   * Get a transcription backend instance by name
+   * @param {string} name - Backend name
+   * @param {Object} options - Backend options
+   * @param {string} options.model - Model override
+   * @param {string} options.baseUrl - Service URL override
+   * @returns {Object} Backend instance
+   * @throws {Error} If the backend is unknown
+   */
+  getBackend(name, { model, baseUrl } = {}) {
+    const Backend = BACKENDS[name];
+    if (!Backend) {
+      throw new Error(
+        `Unknown transcription backend: ${name}. Available: ${TRANSCRIPTION_BACKENDS.join(', ')}`
+      );
+    }
+
+    const key = `${name}|${model || ''}|${baseUrl || ''}`;
+    if (!this.backends.has(key)) {
+      this.backends.set(key, new Backend({ model, baseURL: baseUrl }));
+    }
+
+    return this.backends.get(key);
+  }
+
+  /**
+   * Get the backend and language configured for a guild
+   * @param {string} guildId - Discord guild ID (optional)
+   * @returns {Promise<{backend: Object, language: string}>}
+   */
+  async getBackendForGuild(guildId) {
+    const { transcription } = await guildConfigService.getConfig(guildId);
+
+    return {
+      backend: this.getBackend(transcription.backend, transcription),
+      language: transcription.language,
+    };
+  }
+
+  /**
+   * Perform actual transcription using the guild's backend
+   * An unavailable backend is an error rather than an empty result, so the
+   * processing queue retries the stage once the backend is back
    * @private
    * @param {string} audioFilePath - Audio file path
+   * @param {Object} options - Transcription options
+   * @param {string} options.guildId - Guild whose transcription backend should be used
    * @returns {Promise<Object>} Raw transcription data
+   * @throws {Error} If the backend is unavailable (error.backendUnavailable) or transcription fails
    */
-  async performTranscription(audioFilePath) {
-    try {
-      // Check if Whisper service is available
-      const isHealthy = await this.checkWhisperHealth();
-      if (!isHealthy) {
-        logger.warn('Whisper service not healthy, using placeholder');
-        return this.getPlaceholderTranscription();
-      }
-
-      // Create form data with audio file
-      const form = new FormData();
-      form.append('file', fs.createReadStream(audioFilePath));
-      form.append('language', this.whisperLanguage);
-      form.append('response_format', 'verbose_json');
-      form.append('timestamp_granularities', 'segment');
-
-      // Add additional parameters to improve transcription quality
-      // These help reduce repetition in Whisper output
-      form.append('temperature', '0.0'); // Deterministic output
-      form.append('compression_ratio_threshold', '2.4'); // Filter out low-quality segments
-      form.append('no_speech_threshold', '0.6'); // Be stricter about speech detection
-
-      logger.debug('Sending audio to Whisper API', {
-        url: `${this.whisperApiUrl}/v1/audio/transcriptions`,
-        fileSize: fs.statSync(audioFilePath).size,
-        language: this.whisperLanguage,
-      });
+  async performTranscription(audioFilePath, { guildId } = {}) {
+    const { backend, language } = await this.getBackendForGuild(guildId);
 
-      // Call Whisper API
-      const response = await axios.post(
-        `${this.whisperApiUrl}/v1/audio/transcriptions`,
-        form,
-        {
-          headers: {
-            ...form.getHeaders(),
-          },
-          timeout: 300000, // 5 minutes timeout
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity,
-        }
+    const health = await backend.checkHealth();
+    if (!health.healthy) {
+      const error = new Error(
+        `Transcription backend ${backend.name} is unavailable: ${health.error || 'health check failed'}`
       );
+      error.backendUnavailable = true;
+      throw error;
+    }
 
-      logger.info('Whisper transcription completed', {
-        duration: response.data.duration,
-        language: response.data.language,
-        segments: response.data.segments?.length || 0,
-      });
-
-      return response.data;
+    let result;
+    try {
+      result = await backend.transcribe(audioFilePath, { language });
     } catch (error) {
-      if (error.code === 'ECONNREFUSED' || error.response?.status === 404) {
-        logger.warn('Whisper service unavailable, using placeholder transcription', {
-          error: error.message,
-        });
-        return this.getPlaceholderTranscription();
+      // Unreachable, overloaded or misrouted services are outages, not bad audio
+      const status = error.response?.status;
+      if (error.isAxiosError && (!status || status >= 500 || status === 404 || status === 429)) {
+        error.backendUnavailable = true;
       }
       throw error;
     }
+
+    logger.info('Whisper transcription completed', {
+      backend: backend.name,
+      duration: result.duration,
+      language: result.language,
+      segments: result.segments?.length || 0,
+    });
+
+    return result;
   }
 
   /**
-   * Check if Whisper service is healthy
-   * @private
-   * @returns {Promise<boolean>}
+   * Check the status of the active transcription backend
+   * @param {string} guildId - Guild whose backend should be checked (optional)
+   * @returns {Promise<Object>} { backend, healthy, ...backend details }
    */
-  async checkWhisperHealth() {
+  async checkWhisperHealth(guildId) {
     try {
-      const response = await axios.get(`${this.whisperApiUrl}/health`, {
-        timeout: 5000,
-      });
-      return response.status === 200;
+      const { backend } = await this.getBackendForGuild(guildId);
+      const health = await backend.checkHealth();
+
+      if (!health.healthy) {
+        logger.debug('Whisper health check failed', { backend: backend.name, error: health.error });
+      }
+
+      return { backend: backend.name, ...health };
     } catch (error) {
       logger.debug('Whisper health check failed', { error: error.message });
-      return false;
+      return { backend: null, healthy: false, error: error.message };
     }
   }
 
-  /**
-   * Get placeholder transcription when Whisper is unavailable
-   * @private
-   * @returns {Object} Placeholder transcription data
-   */
-  getPlaceholderTranscription() {
-    logger.info('Using placeholder transcription - Whisper service not available');
-
-    return {
-      text: 'Meeting discussion audio - Whisper service unavailable',
-      segments: [
-        {
-          id: 0,
-          seek: 0,
-          start: 0.0,
-          end: 10.0,
-          text: 'Transcription service temporarily unavailable. Please ensure Docker container is running.',
-          tokens: [],
-          temperature: 0.0,
-          avg_logprob: -0.5,
-          compression_ratio: 1.5,
-          no_speech_prob: 0.1,
-        },
-      ],
-      language: 'en',
-      duration: 10.0,
-    };
-  }
-
   /**
    * Enrich transcript with speaker labels and timestamps
    * @private
@@ -675,6 +857,40 @@ class TranscriptionService {
     };
   }
 
+  /**
+   * Format segments as a transcript with speaker labels and timestamps
+   * Each pause gets a marker line where it started
+   * @private
+   * @param {Array} segments - Segments with start (seconds), timestamp, speaker and text
+   * @param {Array} pauses - Pauses ({ startedAt, endedAt })
+   * @param {number|null} referenceTime - Wall-clock time (ms) of segment start 0;
+   *   pauses are not marked without it
+   * @returns {string} Formatted transcript
+   */
+  formatTranscript(segments, pauses = [], referenceTime = null) {
+    const lines = segments.map((seg) => ({
+      start: seg.start,
+      text: `[${seg.timestamp}] ${seg.speaker}:  ${seg.text}`,
+    }));
+
+    if (referenceTime !== null) {
+      for (const pause of pauses.filter((p) => p.endedAt)) {
+        const start = Math.max(0, (new Date(pause.startedAt).getTime() - referenceTime) / 1000);
+        const length = (new Date(pause.endedAt) - new Date(pause.startedAt)) / 1000;
+
+        lines.push({
+          start,
+          text: `[${this.formatTimestamp(start)}] ⏸️ Recording paused for ${this.formatTimestamp(length)}`,
+        });
+      }
+
+      // Stable sort keeps speech ahead of a pause starting at the same second
+      lines.sort((a, b) => a.start - b.start);
+    }
+
+    return lines.map((line) => line.text).join('\n');
+  }
+
   /**
    * Format seconds to HH:MM:SS timestamp
    * @private
@@ -0,0 +1,149 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  UserSelectMenuBuilder,
+} from 'discord.js';
+
+/**
+ * Custom ID prefixes of message components
+ * A component's custom ID is `<prefix>:<argument>`; src/components holds
+ * one handler per prefix, routed by index.js
+ */
+export const COMPONENT_IDS = {
+  regenerateSummary: 'meeting-regenerate-summary',
+  showTranscript: 'meeting-show-transcript',
+  assignActionItems: 'action-items-assign',
+  pickActionItem: 'action-items-assign-item',
+  pickAssignee: 'action-items-assign-user',
+  completeActionItems: 'action-items-complete',
+};
+
+/**
+ * Discord limits select menus to 25 options
+ */
+const MAX_SELECT_OPTIONS = 25;
+
+/**
+ * Build a custom ID from a prefix and argument
+ * @param {string} prefix - One of COMPONENT_IDS
+ * @param {string} argument - Meeting or action item ID
+ * @returns {string}
+ */
+export function buildCustomId(prefix, argument) {
+  return `${prefix}:${argument}`;
+}
+
+/**
+ * Build select menu options for action items
+ * @param {Array} items - ActionItem documents
+ * @returns {Array<Object>} Options
+ */
+function actionItemOptions(items) {
+  return items.slice(0, MAX_SELECT_OPTIONS).map((item) => ({
+    label: item.task.substring(0, 100),
+    description: (item.assigneeName ? `Assigned to ${item.assigneeName}` : 'Unassigned').substring(0, 100),
+    value: item.itemId,
+  }));
+}
+
+/**
+ * Creates the components posted under a meeting summary
+ * Buttons for follow-up actions, plus a menu to mark open action items done
+ * @param {Object} meeting - Meeting document
+ * @param {Array} openItems - Open ActionItem documents of the meeting
+ * @returns {Array<ActionRowBuilder>} Message component rows
+ */
+export function createMeetingSummaryComponents(meeting, openItems = []) {
+  const { meetingId } = meeting;
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(buildCustomId(COMPONENT_IDS.regenerateSummary, meetingId))
+      .setLabel('Regenerate summary')
+      .setEmoji('🔄')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(buildCustomId(COMPONENT_IDS.showTranscript, meetingId))
+      .setLabel('Show full transcript')
+      .setEmoji('📝')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(!meeting.transcript),
+    new ButtonBuilder()
+      .setCustomId(buildCustomId(COMPONENT_IDS.assignActionItems, meetingId))
+      .setLabel('Assign action items')
+      .setEmoji('👤')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(openItems.length === 0)
+  );
+
+  // Link buttons need an absolute URL, so only offer one when the dashboard's is known
+  if (process.env.DASHBOARD_URL) {
+    buttons.addComponents(
+      new ButtonBuilder()
+        .setLabel('Open in dashboard')
+        .setEmoji('🌐')
+        .setStyle(ButtonStyle.Link)
+        .setURL(`${process.env.DASHBOARD_URL.replace(/\/$/, '')}/meeting/${meetingId}`)
+    );
+  }
+
+  const rows = [buttons];
+
+  if (openItems.length > 0) {
+    const options = actionItemOptions(openItems);
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(buildCustomId(COMPONENT_IDS.completeActionItems, meetingId))
+          .setPlaceholder('✅ Mark action items done…')
+          .setMinValues(1)
+          .setMaxValues(options.length)
+          .addOptions(options)
+      )
+    );
+  }
+
+  return rows;
+}
+
+/**
+ * Creates the menu for choosing which action item to assign
+ * @param {string} meetingId - Meeting ID
+ * @param {Array} items - Open ActionItem documents
+ * @returns {Array<ActionRowBuilder>} Message component rows
+ */
+export function createActionItemPickerComponents(meetingId, items) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(buildCustomId(COMPONENT_IDS.pickActionItem, meetingId))
+        .setPlaceholder('Choose an action item…')
+        .addOptions(actionItemOptions(items))
+    ),
+  ];
+}
+
+/**
+ * Creates the menu for choosing an action item's assignee
+ * @param {Object} item - ActionItem document
+ * @returns {Array<ActionRowBuilder>} Message component rows
+ */
+export function createAssigneePickerComponents(item) {
+  const menu = new UserSelectMenuBuilder()
+    .setCustomId(buildCustomId(COMPONENT_IDS.pickAssignee, item.itemId))
+    .setPlaceholder('Choose who is responsible…');
+
+  if (item.assigneeId) {
+    menu.setDefaultUsers(item.assigneeId);
+  }
+
+  return [new ActionRowBuilder().addComponents(menu)];
+}
+
+export default {
+  createMeetingSummaryComponents,
+  createActionItemPickerComponents,
+  createAssigneePickerComponents,
+};
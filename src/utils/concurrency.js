@@ -0,0 +1,33 @@
+/**
+ * Concurrency utilities
+ */
+
+/**
+ * Run an async worker over items with at most `limit` running at once
+ * Never rejects: every item gets a settled result, in input order,
+ * shaped like Promise.allSettled ({ status, value } or { status, reason })
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function (item, index) => result
+ * @returns {Promise<Array<Object>>} Settled results
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
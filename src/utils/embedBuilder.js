@@ -1,4 +1,5 @@
 import { EmbedBuilder } from 'discord.js';
+import { formatChunkTimestamp } from './transcriptChunker.js';
 
 /**
  * Creates a Discord embed for meeting summary
@@ -275,6 +276,192 @@ export function createStatsEmbed(stats) {
   return embed;
 }
 
+/**
+ * Creates embed answering a question about past meetings
+ * @param {string} question - Question asked
+ * @param {Object} result - Result from embeddingService.ask ({ answer, citations, provider })
+ * @returns {EmbedBuilder}
+ */
+export function createAnswerEmbed(question, result) {
+  const embed = new EmbedBuilder()
+    .setColor('#2180B1')
+    .setTitle('🔎 Meeting Archive')
+    .setDescription(`**Q:** ${question}\n\n${result.answer}`.substring(0, 4096));
+
+  if (result.citations.length > 0) {
+    const sources = result.citations.map((citation) => {
+      const date = citation.meetingStart
+        ? `<t:${Math.floor(new Date(citation.meetingStart).getTime() / 1000)}:d>`
+        : 'unknown date';
+      const timestamp = formatChunkTimestamp(citation.audioStart ?? citation.startTime);
+
+      return `**[${citation.ref}]** \`${citation.meetingId}\` · #${citation.channelName || 'unknown'} · ${date} · ${timestamp}`;
+    });
+
+    embed.addFields({
+      name: '📚 Sources',
+      value: sources.join('\n').substring(0, 1024),
+      inline: false,
+    });
+  }
+
+  if (result.provider) {
+    embed.setFooter({ text: `Answered by ${result.provider}` });
+  }
+
+  return embed.setTimestamp();
+}
+
+/**
+ * Format an action item as one line for list embeds
+ * @param {Object} item - ActionItem document
+ * @returns {string}
+ */
+function formatActionItemLine(item) {
+  const icon = { open: '⬜', done: '✅', cancelled: '❌' }[item.status] || '⬜';
+  const task = item.status === 'cancelled' ? `~~${item.task}~~` : item.task;
+  const owner = item.assigneeId
+    ? ` · <@${item.assigneeId}>`
+    : item.assigneeName
+      ? ` · ${item.assigneeName}`
+      : '';
+  const due = item.dueDate ? ` · due <t:${Math.floor(new Date(item.dueDate).getTime() / 1000)}:R>` : '';
+
+  return `${icon} \`${item.itemId}\` ${task}${owner}${due}`;
+}
+
+/**
+ * Creates embed listing action items
+ * @param {Array} items - ActionItem documents
+ * @param {Object} options - Options
+ * @param {string} options.title - Embed title
+ * @param {number} options.total - Total matching items, when more exist than are listed
+ * @returns {EmbedBuilder}
+ */
+export function createActionItemListEmbed(items, { title = '✅ Action Items', total = items.length } = {}) {
+  const embed = new EmbedBuilder().setColor('#2180B1').setTitle(title);
+
+  if (items.length === 0) {
+    return embed.setDescription('No action items found.');
+  }
+
+  // Discord descriptions are limited to 4096 characters
+  const lines = [];
+  let length = 0;
+  for (const item of items) {
+    const line = formatActionItemLine(item);
+    if (length + line.length + 1 > 4000) break;
+    lines.push(line);
+    length += line.length + 1;
+  }
+
+  embed.setDescription(lines.join('\n'));
+
+  if (total > lines.length) {
+    embed.setFooter({ text: `Showing ${lines.length} of ${total} items` });
+  }
+
+  return embed;
+}
+
+/**
+ * Creates embed reminding an assignee of an action item
+ * @param {Object} item - ActionItem document
+ * @returns {EmbedBuilder}
+ */
+export function createActionItemReminderEmbed(item) {
+  const dueDate = new Date(item.dueDate);
+  const overdue = dueDate < new Date();
+
+  const embed = new EmbedBuilder()
+    .setColor(overdue ? '#FF0000' : '#FFA500')
+    .setTitle(overdue ? '⏰ Action Item Overdue' : '⏰ Action Item Due Soon')
+    .setDescription(`**${item.task}**`)
+    .addFields({
+      name: '📅 Due',
+      value: `<t:${Math.floor(dueDate.getTime() / 1000)}:F> (<t:${Math.floor(dueDate.getTime() / 1000)}:R>)`,
+      inline: false,
+    });
+
+  if (item.meetingId) {
+    embed.addFields({ name: '🎙️ Meeting', value: `\`${item.meetingId}\``, inline: true });
+  }
+
+  return embed
+    .setFooter({ text: `Mark it done with /action-items complete item: ${item.itemId}` })
+    .setTimestamp();
+}
+
+/**
+ * Format elapsed time compactly (e.g. 1h 5m, 12m 30s, 45s)
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+export function formatElapsed(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+/**
+ * Creates embed listing a guild's active recordings
+ * @param {Array} recordings - Recordings from recordingService.listRecordings()
+ * @returns {EmbedBuilder}
+ */
+export function createActiveRecordingsEmbed(recordings) {
+  const embed = new EmbedBuilder()
+    .setColor(recordings.length > 0 ? '#32B8C6' : '#808080')
+    .setTitle('🎙️ Active Recordings')
+    .setTimestamp();
+
+  if (recordings.length === 0) {
+    return embed.setDescription('Nothing is being recorded in this server.');
+  }
+
+  return embed.addFields(
+    recordings.slice(0, 25).map((recording) => ({
+      name: `${recording.isPaused ? '⏸️' : '🔴'} ${recording.channelName}`,
+      value:
+        `\`${recording.meetingId}\` · ` +
+        `⏱️ ${formatElapsed(recording.duration)}${recording.isPaused ? ' (paused)' : ''} · ` +
+        `🗣️ ${recording.participants} ${recording.participants === 1 ? 'speaker' : 'speakers'}`,
+      inline: false,
+    }))
+  );
+}
+
+/**
+ * Creates embed showing a guild's automatic recording settings
+ * @param {Object} config - Effective guild config from guildConfigService
+ * @returns {EmbedBuilder}
+ */
+export function createAutoRecordConfigEmbed(config) {
+  const { autoRecord, recording } = config;
+
+  const channels = autoRecord.voiceChannelIds.map((id) => `<#${id}>`).join('\n');
+
+  return new EmbedBuilder()
+    .setColor(autoRecord.enabled ? '#32B8C6' : '#808080')
+    .setTitle(`🎙️ Auto-Record ${autoRecord.enabled ? 'Enabled' : 'Disabled'}`)
+    .addFields(
+      { name: '🔊 Watched Channels', value: channels || 'None', inline: false },
+      { name: '👥 Start Threshold', value: `${autoRecord.startThreshold} people`, inline: true },
+      { name: '⏱️ Stop Delay', value: `${recording.stopDelaySeconds}s after the channel empties`, inline: true },
+      {
+        name: '📢 Announcements',
+        value: recording.outputChannelId ? `<#${recording.outputChannelId}>` : 'Server system channel',
+        inline: true,
+      }
+    )
+    .setTimestamp();
+}
+
 export default {
   createMeetingSummaryEmbed,
   createRecordingStartEmbed,
@@ -282,4 +469,9 @@ export default {
   createErrorEmbed,
   createProcessingStatusEmbed,
   createStatsEmbed,
+  createAnswerEmbed,
+  createActionItemListEmbed,
+  createActionItemReminderEmbed,
+  createAutoRecordConfigEmbed,
+  createActiveRecordingsEmbed,
 };
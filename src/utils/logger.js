@@ -30,7 +30,9 @@ const format = winston.format.combine(
 
 const transports = [
   // Console transport without custom colors (use winston defaults)
+  // LOG_STDERR sends every level to stderr, for processes whose stdout is a protocol stream
   new winston.transports.Console({
+    stderrLevels: process.env.LOG_STDERR === 'true' ? Object.keys(logLevels) : [],
     format: winston.format.combine(
       winston.format.colorize(), // Use default winston colorize
       winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
@@ -0,0 +1,224 @@
+/**
+ * Transcript chunking utilities
+ * Splits long transcripts into sections small enough for a model context,
+ * breaking only between utterances and preferring speaker changes
+ */
+
+const DEFAULT_MAX_CHARS = 6000;
+const DEFAULT_MAX_DURATION = 600; // seconds
+
+/**
+ * Share of a limit after which a chunk is closed at the next speaker change
+ */
+const SOFT_LIMIT_RATIO = 0.8;
+
+/**
+ * Format seconds as HH:MM:SS
+ * @param {number} seconds - Offset in seconds
+ * @returns {string} Formatted timestamp
+ */
+export function formatChunkTimestamp(seconds) {
+  const validSeconds = Math.max(0, seconds || 0);
+  const hours = Math.floor(validSeconds / 3600);
+  const minutes = Math.floor((validSeconds % 3600) / 60);
+  const secs = Math.floor(validSeconds % 60);
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+/**
+ * Cut text into pieces of at most maxLength characters
+ * Prefers the last sentence end in the second half of a piece, then the
+ * last space, and only cuts inside a word when there is neither
+ * @param {string} text - Text to cut
+ * @param {number} maxLength - Maximum piece length
+ * @returns {Array<{text: string, offset: number}>} Pieces with their offset in text
+ */
+function splitText(text, maxLength) {
+  const pieces = [];
+  let offset = 0;
+
+  while (text.length - offset > maxLength) {
+    const window = text.slice(offset, offset + maxLength + 1);
+    const sentenceEnd = Math.max(
+      window.lastIndexOf('. '),
+      window.lastIndexOf('! '),
+      window.lastIndexOf('? ')
+    );
+    const space = window.lastIndexOf(' ');
+
+    let cut = maxLength;
+    if (sentenceEnd >= maxLength / 2) {
+      cut = sentenceEnd + 1;
+    } else if (space > 0) {
+      cut = space;
+    }
+
+    pieces.push({ text: text.slice(offset, offset + cut).trim(), offset });
+    offset += cut;
+    while (text[offset] === ' ') offset++;
+  }
+
+  pieces.push({ text: text.slice(offset).trim(), offset });
+  return pieces.filter((piece) => piece.text);
+}
+
+/**
+ * Split a segment whose line would not fit in a chunk into consecutive
+ * segments of the same speaker, with times interpolated by text position
+ * @param {Object} segment - Transcript segment
+ * @param {string} text - Trimmed segment text
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {Array<Object>} The segment, or its pieces
+ */
+function splitOversizedSegment(segment, text, maxChars) {
+  // "[HH:MM:SS] Speaker:  " prefix, plus the newline joining lines
+  const prefixLength = 11 + (segment.speaker || 'Unknown').length + 3 + 1;
+  const maxTextLength = Math.max(maxChars - prefixLength, Math.floor(maxChars / 2));
+
+  if (text.length <= maxTextLength) {
+    return [segment];
+  }
+
+  const start = segment.start || 0;
+  const duration = Math.max(0, (segment.end || start) - start);
+  const absoluteStart = segment.absoluteStartTime ? new Date(segment.absoluteStartTime).getTime() : null;
+  const pieces = splitText(text, maxTextLength);
+
+  return pieces.map((piece, index) => {
+    const pieceStart = start + (duration * piece.offset) / text.length;
+    const pieceEnd =
+      index + 1 < pieces.length ? start + (duration * pieces[index + 1].offset) / text.length : start + duration;
+
+    return {
+      ...segment,
+      text: piece.text,
+      start: pieceStart,
+      end: pieceEnd,
+      absoluteStartTime:
+        absoluteStart !== null ? new Date(absoluteStart + (pieceStart - start) * 1000) : segment.absoluteStartTime,
+    };
+  });
+}
+
+/**
+ * Split transcript segments into chunks along time and speaker boundaries
+ * A chunk is closed before it would exceed either limit, or once it passes
+ * 80% of a limit and the speaker changes, so turns are rarely cut apart.
+ * A single segment too long for a chunk is split into several
+ * @param {Array} segments - Transcript segments ({ speaker, speakerId, start, end, absoluteStartTime, text })
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxChars - Maximum characters per chunk
+ * @param {number} options.maxDuration - Maximum seconds of meeting per chunk
+ * @returns {Array<Object>} Chunks with index, startTime, endTime, absoluteStartTime
+ *   (wall-clock start of the first segment, if known), speakers, segmentCount and text
+ */
+export function chunkSegments(segments, options = {}) {
+  const maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+  const maxDuration = options.maxDuration || DEFAULT_MAX_DURATION;
+
+  const chunks = [];
+  let current = null;
+  let lastSpeaker = null;
+
+  const closeChunk = () => {
+    if (current) {
+      chunks.push({
+        index: chunks.length,
+        startTime: current.startTime,
+        endTime: current.endTime,
+        absoluteStartTime: current.absoluteStartTime,
+        speakers: [...current.speakers],
+        segmentCount: current.lines.length,
+        text: current.lines.join('\n'),
+      });
+      current = null;
+    }
+  };
+
+  const pieces = (segments || []).flatMap((segment) => {
+    const text = segment.text?.trim();
+    return text ? splitOversizedSegment(segment, text, maxChars) : [];
+  });
+
+  for (const segment of pieces) {
+    const text = segment.text.trim();
+
+    const start = segment.start || 0;
+    const end = Math.max(start, segment.end || start);
+    const speaker = segment.speaker || 'Unknown';
+    const line = `[${formatChunkTimestamp(start)}] ${speaker}:  ${text}`;
+
+    if (current) {
+      const chars = current.chars + line.length + 1;
+      const elapsed = end - current.startTime;
+      const nearLimit =
+        current.chars >= maxChars * SOFT_LIMIT_RATIO ||
+        start - current.startTime >= maxDuration * SOFT_LIMIT_RATIO;
+      const speakerChanged = (segment.speakerId || speaker) !== lastSpeaker;
+
+      if (chars > maxChars || elapsed > maxDuration || (nearLimit && speakerChanged)) {
+        closeChunk();
+      }
+    }
+
+    if (!current) {
+      current = {
+        startTime: start,
+        endTime: end,
+        absoluteStartTime: segment.absoluteStartTime,
+        speakers: new Set(),
+        lines: [],
+        chars: 0,
+      };
+    }
+
+    current.lines.push(line);
+    current.chars += line.length + 1;
+    current.endTime = Math.max(current.endTime, end);
+    current.speakers.add(speaker);
+    lastSpeaker = segment.speakerId || speaker;
+  }
+
+  closeChunk();
+  return chunks;
+}
+
+/**
+ * Parse a formatted transcript back into segments
+ * Reads "[HH:MM:SS] Speaker:  text" lines; other lines are attributed to an
+ * unknown speaker at the previous timestamp, and pause markers are skipped
+ * @param {string} transcript - Formatted transcript text
+ * @returns {Array<Object>} Segments ({ speaker, start, end, text }); end equals start
+ */
+export function parseTranscriptText(transcript) {
+  const segments = [];
+  let lastStart = 0;
+
+  for (const line of (transcript || '').split('\n')) {
+    const match = line.match(/^\[(\d+):(\d{2}):(\d{2})\]\s*([^:]+):\s*(.*)$/);
+
+    if (/^\[\d+:\d{2}:\d{2}\]\s*⏸️/u.test(line)) {
+      continue;
+    } else if (match) {
+      lastStart = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+      segments.push({ speaker: match[4].trim(), start: lastStart, end: lastStart, text: match[5] });
+    } else if (line.trim()) {
+      segments.push({ speaker: 'Unknown', start: lastStart, end: lastStart, text: line });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Split a formatted transcript into chunks
+ * Used when structured segments are unavailable (e.g. meetings transcribed
+ * before segments were stored)
+ * @param {string} transcript - Formatted transcript text
+ * @param {Object} options - Chunking options (see chunkSegments)
+ * @returns {Array<Object>} Chunks
+ */
+export function chunkTranscriptText(transcript, options = {}) {
+  return chunkSegments(parseTranscriptText(transcript), options);
+}